@@ -0,0 +1,98 @@
+// analytics.js
+
+/* ---------- Core Bindings ---------- */
+const { computeTradeAnalytics } = BotCore;
+
+const ANALYTICS_SORTED_BY_KEY = ['confidence', 'hour']; // Ordered scales; other breakdowns list the busiest first
+
+let equityChart = null;
+let lastAnalytics = null;
+
+/* ---------- Analytics Panel ---------- */
+async function refreshAnalytics() {
+    try {
+        const { records } = await queryJournal({ mode: analyticsModeEl.value }, 0, Infinity);
+        lastAnalytics = computeTradeAnalytics(records);
+    } catch (e) {
+        appendFeed(`Analytics failed: ${e.message}`, 'error');
+        return;
+    }
+    renderAnalyticsSummary(lastAnalytics);
+    renderEquityChart(lastAnalytics.equityCurve);
+    renderAnalyticsBreakdown();
+}
+
+function formatRatio(value) {
+    if (value === null) return '-';
+    return value === Infinity ? '∞' : value.toFixed(2);
+}
+
+function renderAnalyticsSummary(a) {
+    if (a.trades === 0) {
+        analyticsSummaryEl.innerHTML = '<p class="form-hint">No settled trades in the journal for this mode yet</p>';
+        return;
+    }
+    const profitColor = a.totalProfit >= 0 ? 'var(--success-color)' : 'var(--error-color)';
+    analyticsSummaryEl.innerHTML = `
+        <div class="history-summary">
+            <strong>Trades:</strong> ${a.trades} • <strong>Win Rate:</strong> ${(a.winRate * 100).toFixed(1)}% •
+            <strong>P/L:</strong> <span style="color: ${profitColor}">${a.totalProfit.toFixed(2)} USD</span> •
+            <strong>Max Drawdown:</strong> ${a.maxDrawdown.toFixed(2)} USD<br>
+            <strong>Profit Factor:</strong> ${formatRatio(a.profitFactor)} •
+            <strong>Expectancy:</strong> ${a.expectancy.toFixed(3)} USD/trade •
+            <strong>Sharpe (per trade):</strong> ${formatRatio(a.sharpe)} •
+            <strong>Longest Streaks:</strong> ${a.longestWinStreak}W / ${a.longestLossStreak}L
+        </div>
+    `;
+}
+
+function renderEquityChart(curve) {
+    const ctx = document.getElementById('equityChart').getContext('2d');
+    if (equityChart) equityChart.destroy();
+    equityChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: curve.map(p => new Date(p.time).toLocaleString()),
+            datasets: [{
+                label: 'Equity (USD)',
+                data: curve.map(p => p.equity),
+                borderColor: 'var(--accent-color)',
+                tension: 0.1,
+                pointRadius: 0,
+                borderWidth: 2,
+                fill: false
+            }]
+        },
+        options: {
+            animation: false,
+            plugins: {
+                legend: { labels: { color: 'var(--text-color)' } }
+            },
+            scales: {
+                x: { ticks: { color: 'var(--muted-color)', maxTicksLimit: 8 } },
+                y: {
+                    ticks: { color: 'var(--muted-color)' },
+                    grid: { color: 'var(--border-color)' }
+                }
+            },
+            responsive: true,
+            maintainAspectRatio: false
+        }
+    });
+}
+
+function renderAnalyticsBreakdown() {
+    if (!lastAnalytics) return;
+    const name = analyticsBreakdownEl.value;
+    const entries = Object.entries(lastAnalytics.breakdowns[name] || {});
+    if (ANALYTICS_SORTED_BY_KEY.includes(name)) entries.sort((a, b) => a[0].localeCompare(b[0]));
+    else entries.sort((a, b) => b[1].trades - a[1].trades);
+    analyticsBreakdownRowsEl.innerHTML = entries.map(([key, g]) => `
+        <div class="history-item">
+            <span>${key}</span>
+            <span>Trades: ${g.trades}</span>
+            <span>Win: ${(g.winRate * 100).toFixed(1)}%</span>
+            <span style="color: ${g.profit >= 0 ? 'var(--success-color)' : 'var(--error-color)'}">${g.profit.toFixed(2)}</span>
+        </div>
+    `).join('');
+}
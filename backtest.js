@@ -0,0 +1,107 @@
+// backtest.js
+
+/* ---------- Backtest Config ---------- */
+const { runBacktest, BACKTEST_MIN_CANDLES, BACKTEST_DEFAULT_PAYOUT } = BotCore;
+const BACKTEST_PAGE_SIZE = 1000;
+
+let backtestState = null;
+
+/* ---------- Historical Data Paging ---------- */
+// Pages backwards from the latest bar until `target` candles are collected or history runs out
+async function fetchCandleHistory(symbol, granularity, target) {
+    let candles = [];
+    let end = 'latest';
+    while (candles.length < target) {
+        const data = await api.send({
+            ticks_history: symbol,
+            end,
+            count: Math.min(BACKTEST_PAGE_SIZE, target - candles.length),
+            style: 'candles',
+            granularity
+        });
+        const oldest = candles.length > 0 ? candles[0].epoch : Infinity;
+        // Each page is older than the last, so it is prepended to the series
+        const older = (data.candles || []).filter(c => c.epoch < oldest);
+        if (older.length === 0) break;
+        candles = older.concat(candles);
+        end = candles[0].epoch - 1;
+        showLoading(`Fetched ${candles.length}/${target} candles...`);
+    }
+    return candles;
+}
+
+async function startBacktest() {
+    if (!api || !api.isOpen()) {
+        appendFeed('Cannot run backtest - WS not open', 'error');
+        return;
+    }
+    if (backtestState || optimizerRunning) {
+        appendFeed('A backtest or optimization is already running', 'warn');
+        return;
+    }
+    backtestState = {
+        symbol: symbolEl.value,
+        granularity: parseInt(granEl.value, 10),
+        target: Math.max(BACKTEST_MIN_CANDLES + 1, parseInt(backtestCandlesEl.value, 10) || 1000),
+        payout: (parseFloat(backtestPayoutEl.value) || BACKTEST_DEFAULT_PAYOUT * 100) / 100,
+        stake: parseFloat(stakeEl.value) || 1,
+        strategy: getActiveStrategy()
+    };
+    runBacktestBtn.disabled = true;
+    showLoading(`Fetching ${backtestState.target} candles for backtest...`);
+    appendFeed(`Backtest started on ${backtestState.symbol} with ${backtestState.strategy.name} (${backtestState.target} candles @ ${backtestState.granularity}s)`, 'info');
+
+    let candles;
+    try {
+        candles = await fetchCandleHistory(backtestState.symbol, backtestState.granularity, backtestState.target);
+    } catch (e) {
+        abortBacktest(`Backtest candles request failed: ${e.message}`);
+        return;
+    }
+
+    const { symbol, granularity, stake, payout, strategy } = backtestState;
+    backtestState = null;
+    runBacktestBtn.disabled = false;
+    hideLoading();
+    if (candles.length <= BACKTEST_MIN_CANDLES) {
+        appendFeed(`Backtest aborted - only ${candles.length} candles available`, 'error');
+        return;
+    }
+    const report = runBacktest(candles, { symbol, granularity, stake, payout, strategy });
+    renderBacktestReport(report);
+    appendFeed(`Backtest complete: ${report.trades} trades | Win Rate: ${(report.winRate * 100).toFixed(1)}% | P/L: ${report.totalProfit.toFixed(2)} | Max DD: ${report.maxDrawdown.toFixed(2)}`, report.totalProfit >= 0 ? 'success' : 'error');
+}
+
+function abortBacktest(message) {
+    backtestState = null;
+    runBacktestBtn.disabled = false;
+    hideLoading();
+    appendFeed(message, 'error');
+}
+
+/* ---------- Report ---------- */
+function renderBacktestReport(report) {
+    const from = new Date(report.from * 1000).toLocaleString();
+    const to = new Date(report.to * 1000).toLocaleString();
+    const profitColor = report.totalProfit >= 0 ? 'var(--success-color)' : 'var(--error-color)';
+    const regimeRows = Object.entries(report.byRegime)
+        .sort((a, b) => b[1].trades - a[1].trades)
+        .map(([regime, r]) => `
+            <div class="history-item">
+                <span>${regime}</span>
+                <span>Trades: ${r.trades}</span>
+                <span>Win: ${(r.winRate * 100).toFixed(1)}%</span>
+                <span style="color: ${r.profit >= 0 ? 'var(--success-color)' : 'var(--error-color)'}">${r.profit.toFixed(2)}</span>
+            </div>
+        `).join('');
+
+    backtestResultsEl.innerHTML = `
+        <div class="history-summary">
+            <strong>${report.symbol}</strong> @ ${report.granularity}s • ${report.strategy} • ${report.candles} candles (${from} → ${to})<br>
+            <strong>Trades:</strong> ${report.trades} • <strong>Win Rate:</strong> ${(report.winRate * 100).toFixed(1)}% •
+            <strong>P/L:</strong> <span style="color: ${profitColor}">${report.totalProfit.toFixed(2)} USD</span> •
+            <strong>Max Drawdown:</strong> ${report.maxDrawdown.toFixed(2)} USD
+        </div>
+        ${regimeRows || '<p class="form-hint">No trades triggered in this range</p>'}
+    `;
+}
@@ -0,0 +1,372 @@
+// chart.js
+
+/* ---------- Core Bindings ---------- */
+const {
+    calcMA, calcRSI, calcBollinger, calcMACD, calcATR, calcStochastic, calcWilliamsR, calcCCI, calcADX, calcSupertrend, calcIchimoku
+} = BotCore;
+
+// Stacked panes share the candle labels; zooming or panning one moves the others
+const CHART_PANES = ['price', 'oscillator', 'macd', 'atr'];
+const CHART_Y_AXIS_WIDTH = 64; // Fixed so the panes' x axes line up
+const MARKER_COLORS = { up: '--success-color', down: '--error-color', flat: '--muted-color' };
+
+// Price overlays tag their datasets with `overlay`; only the selected one is shown
+const PRICE_OVERLAYS = ['bollinger', 'ichimoku', 'supertrend', 'none'];
+
+// Oscillator pane choices: up to three lines read from the series at bar i, dashed guide levels and a fixed y range
+const OSCILLATORS = {
+    rsi: { lines: [['RSI(14)', (s, i) => s.rsi[i]]], guides: [70, 30], min: 0, max: 100 },
+    stoch: { lines: [['%K(14)', (s, i) => s.stoch[i].k], ['%D(3)', (s, i) => s.stoch[i].d]], guides: [80, 20], min: 0, max: 100 },
+    williamsR: { lines: [['Williams %R(14)', (s, i) => s.williamsR[i]]], guides: [-20, -80], min: -100, max: 0 },
+    cci: { lines: [['CCI(20)', (s, i) => s.cci[i]]], guides: [100, -100] },
+    adx: {
+        lines: [['ADX(14)', (s, i) => s.adx[i].adx], ['+DI', (s, i) => s.adx[i].plusDI], ['-DI', (s, i) => s.adx[i].minusDI]],
+        guides: [25],
+        min: 0
+    }
+};
+const OSCILLATOR_LINES = 3;
+const OSCILLATOR_GUIDES = 2;
+// Candles one tick may append (gap fills) and still be drawn as a tail update rather than a full redraw
+const CHART_TAIL_BARS = 5;
+
+let chartPanes = null; // { price, oscillator, macd, atr } Chart.js instances, built once and updated in place
+let chartView = null;  // What the panes hold: { symbol, firstEpoch, length, overlay, oscillator }
+
+function cssColor(name, fallback) {
+    const value = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+    return value || fallback;
+}
+
+/* ---------- Pane Construction ---------- */
+function zoomOptions() {
+    const sync = ({ chart }) => syncChartPanes(chart);
+    return {
+        pan: { enabled: true, mode: 'x', onPanComplete: sync },
+        zoom: { wheel: { enabled: true }, pinch: { enabled: true }, mode: 'x', onZoomComplete: sync }
+    };
+}
+
+function paneOptions({ showX = false, yMin, yMax } = {}) {
+    return {
+        animation: false,
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+            legend: { labels: { color: cssColor('--text-secondary', '#aaa'), boxWidth: 12 } },
+            tooltip: {
+                callbacks: {
+                    // Marker datasets carry a note per point; the rest use the default label
+                    label: (ctx) => (ctx.dataset.notes ? ctx.dataset.notes[ctx.dataIndex] : undefined)
+                }
+            },
+            zoom: zoomOptions()
+        },
+        scales: {
+            x: { ticks: { display: showX, color: cssColor('--muted-color', '#888'), maxTicksLimit: 10 }, grid: { display: false } },
+            y: {
+                min: yMin,
+                max: yMax,
+                afterFit: (scale) => scale.width = CHART_Y_AXIS_WIDTH,
+                ticks: { color: cssColor('--muted-color', '#888'), maxTicksLimit: 5 },
+                grid: { color: cssColor('--border-color', '#333') }
+            }
+        }
+    };
+}
+
+const lineDataset = (label, color, extra = {}) => ({
+    type: 'line', label, data: [], borderColor: color, borderWidth: 1.5, tension: 0.1, pointRadius: 0, ...extra
+});
+
+// Points only: null everywhere except at marked candles
+const markerDataset = (label, pointStyle) => ({
+    type: 'line', label, data: [], notes: [], showLine: false, pointStyle,
+    pointRadius: (ctx) => (ctx.raw === null ? 0 : 6), pointHoverRadius: 7,
+    pointBackgroundColor: [], pointBorderColor: [], pointRotation: []
+});
+
+function createChartPanes() {
+    if (typeof ChartZoom !== 'undefined') Chart.register(ChartZoom);
+    const up = cssColor('--success-color', '#26a69a');
+    const down = cssColor('--error-color', '#ef5350');
+    const muted = cssColor('--muted-color', '#888');
+    const accent = cssColor('--accent-color', '#4f8cff');
+    const warn = cssColor('--warn-color', '#f0b429');
+    const ctx = (id) => document.getElementById(id).getContext('2d');
+
+    // Candles are two overlaid floating bars: a thin [low, high] wick and an [open, close] body
+    const price = new Chart(ctx('candleChart'), {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: [
+                { type: 'bar', label: 'Wick', data: [], backgroundColor: [], grouped: false, barPercentage: 0.12, categoryPercentage: 1, order: 3 },
+                { type: 'bar', label: 'OHLC', data: [], backgroundColor: [], grouped: false, barPercentage: 0.7, categoryPercentage: 1, order: 2 },
+                lineDataset('MA(14)', down),
+                lineDataset('MA(50)', '#ff9900'),
+                lineDataset('BB Upper', warn, { borderDash: [6, 4], borderWidth: 1 }),
+                lineDataset('BB Middle', muted, { borderWidth: 1 }),
+                lineDataset('BB Lower', up, { borderDash: [6, 4], borderWidth: 1 }),
+                markerDataset('Entries', 'triangle'),
+                markerDataset('Exits', 'circle'),
+                markerDataset('Patterns', 'star'),
+                lineDataset('Tenkan (9)', accent, { overlay: 'ichimoku', borderWidth: 1 }),
+                lineDataset('Kijun (26)', down, { overlay: 'ichimoku', borderWidth: 1 }),
+                lineDataset('Span A', up, { overlay: 'ichimoku', borderWidth: 1 }),
+                lineDataset('Span B', muted, { overlay: 'ichimoku', borderWidth: 1, fill: '-1', backgroundColor: 'rgba(128, 128, 128, 0.15)' }),
+                // Coloured per segment by the direction at its end point
+                lineDataset('Supertrend (10, 3)', up, {
+                    overlay: 'supertrend',
+                    directions: [],
+                    segment: { borderColor: (c) => (c.chart.data.datasets[c.datasetIndex].directions[c.p1DataIndex] < 0 ? down : up) }
+                })
+            ]
+        },
+        options: paneOptions()
+    });
+    price.data.datasets.slice(4, 7).forEach(d => d.overlay = 'bollinger');
+    price.options.plugins.legend.labels.filter = (item) => item.text !== 'Wick' && !item.hidden;
+
+    const lineColors = ['#9966ff', '#ff9900', accent];
+    const oscillator = new Chart(ctx('oscillatorChart'), {
+        type: 'line',
+        data: {
+            labels: [],
+            datasets: [
+                ...lineColors.map(color => lineDataset('', color)),
+                ...Array.from({ length: OSCILLATOR_GUIDES }, () => lineDataset('', muted, { borderDash: [4, 4], borderWidth: 1, guide: true }))
+            ]
+        },
+        options: paneOptions()
+    });
+    oscillator.options.plugins.legend.labels.filter = (item, data) => !item.hidden && !data.datasets[item.datasetIndex].guide;
+
+    const macd = new Chart(ctx('macdChart'), {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: [
+                { type: 'bar', label: 'Histogram', data: [], backgroundColor: [], barPercentage: 0.7, categoryPercentage: 1, order: 2 },
+                lineDataset('MACD', accent),
+                lineDataset('Signal', '#ff9900')
+            ]
+        },
+        options: paneOptions()
+    });
+
+    const atr = new Chart(ctx('atrChart'), {
+        type: 'line',
+        data: { labels: [], datasets: [lineDataset('ATR(14)', warn)] },
+        options: paneOptions({ showX: true })
+    });
+
+    return { price, oscillator, macd, atr };
+}
+
+function syncChartPanes(source) {
+    const { min, max } = source.scales.x;
+    CHART_PANES.map(p => chartPanes[p]).filter(c => c !== source).forEach(c => {
+        c.options.scales.x.min = min;
+        c.options.scales.x.max = max;
+        c.update('none');
+    });
+}
+
+function resetChartZoom() {
+    if (!chartPanes) return;
+    CHART_PANES.forEach(p => {
+        // Not the plugin's resetZoom: it would restore limits the sync set as if they were the originals
+        const c = chartPanes[p];
+        c.options.scales.x.min = undefined;
+        c.options.scales.x.max = undefined;
+        c.update('none');
+    });
+}
+
+/* ---------- Markers ---------- */
+// Sets one point of a marker dataset; several events on one candle share the point and join their notes
+function setMarker(dataset, index, y, color, note, rotation = 0) {
+    if (dataset.data[index] === null) {
+        dataset.data[index] = y;
+        dataset.pointBackgroundColor[index] = color;
+        dataset.pointBorderColor[index] = color;
+        dataset.pointRotation[index] = rotation;
+        dataset.notes[index] = note;
+    } else {
+        dataset.notes[index] += ` | ${note}`;
+    }
+}
+
+// Clears the markers of candles `from` onwards, sizing the dataset to `length` candles
+function resetMarkers(dataset, length, from = 0) {
+    [['data', null], ['notes', ''], ['pointBackgroundColor', null], ['pointBorderColor', null], ['pointRotation', 0]].forEach(([key, blank]) => {
+        dataset[key].length = length;
+        dataset[key].fill(blank, from);
+    });
+}
+
+// Entry and exit points of this symbol's journal records that fall on charted candles `from` onwards
+function plotTradeMarkers(candles, entries, exits, from = 0) {
+    const granularity = parseInt(granEl.value, 10);
+    const indexByEpoch = new Map(candles.map((c, i) => [c.epoch, i]));
+    const candleIndex = (iso) => {
+        const epoch = Math.floor(Date.parse(iso) / 1000);
+        const i = indexByEpoch.get(epoch - (epoch % granularity));
+        return i >= from ? i : undefined;
+    };
+    const color = (key) => cssColor(MARKER_COLORS[key], '#888');
+
+    getJournalRecords().filter(r => r.symbol === chartSymbol).forEach(r => {
+        const entryIdx = r.entry_spot !== undefined ? candleIndex(r.opened_at) : undefined;
+        if (entryIdx !== undefined) {
+            const dir = r.direction !== undefined ? r.direction : (r.contract_type === 'PUT' ? -1 : 1);
+            const side = dir > 0 ? 'up' : (dir < 0 ? 'down' : 'flat');
+            setMarker(entries, entryIdx, r.entry_spot, color(side), `${r.mode} ${r.contract_type} entry @ ${r.entry_spot}`, dir < 0 ? 180 : 0);
+        }
+        const exitIdx = r.exit_spot !== undefined && r.closed_at ? candleIndex(r.closed_at) : undefined;
+        if (exitIdx !== undefined) {
+            const won = r.result === 'WIN';
+            setMarker(exits, exitIdx, r.exit_spot, color(won ? 'up' : 'down'), `${r.contract_type} exit @ ${r.exit_spot}: ${r.result} (${(r.profit || 0).toFixed(2)})`);
+        }
+    });
+}
+
+// One star per candle from `from` onwards; its note lists every pattern completed there
+function plotPatternMarkers(candles, patterns, from = 0) {
+    const color = cssColor('--warn-color', '#f0b429');
+    const stats = chartSymbol ? getPatternStats(chartSymbol) : null;
+    for (let i = Math.max(2, from); i < candles.length; i++) {
+        const p = identifyCandlestickPattern(candles.slice(i - 2, i + 1), stats);
+        if (p.pattern === 'NONE') continue;
+        const c = candles[i];
+        setMarker(patterns, i, c.high + (c.high - c.low) * 0.3, color, p.matches.map(describePatternMatch).join(' | '));
+    }
+}
+
+/* ---------- Rendering ---------- */
+function setupOscillator(pane) {
+    const osc = OSCILLATORS[chartOscillatorEl.value] || OSCILLATORS.rsi;
+    const datasets = pane.data.datasets;
+    for (let i = 0; i < OSCILLATOR_LINES; i++) {
+        datasets[i].label = osc.lines[i] ? osc.lines[i][0] : '';
+        datasets[i].hidden = !osc.lines[i];
+    }
+    for (let i = 0; i < OSCILLATOR_GUIDES; i++) {
+        const level = osc.guides[i];
+        const guide = datasets[OSCILLATOR_LINES + i];
+        guide.label = level !== undefined ? String(level) : '';
+        guide.hidden = level === undefined;
+    }
+    pane.options.scales.y.min = osc.min;
+    pane.options.scales.y.max = osc.max;
+    return osc;
+}
+
+// Writes bar i of the candles and series into every pane's datasets
+function writeChartBar(i, candles, series, osc, colors) {
+    const { price, oscillator, macd, atr } = chartPanes;
+    const c = candles[i];
+    const color = c.close >= c.open ? colors.up : colors.down;
+    const [wick, body, ma14, ma50, bbUpper, bbMiddle, bbLower, , , , tenkan, kijun, spanA, spanB, supertrend] = price.data.datasets;
+    wick.data[i] = [c.low, c.high];
+    wick.backgroundColor[i] = color;
+    // A doji still needs a visible body
+    body.data[i] = c.open === c.close ? [c.open - (c.high - c.low) * 0.01, c.close + (c.high - c.low) * 0.01] : [c.open, c.close];
+    body.backgroundColor[i] = color;
+    ma14.data[i] = series.ma14[i];
+    ma50.data[i] = series.ma50[i];
+    bbUpper.data[i] = series.bb[i].upper;
+    bbMiddle.data[i] = series.bb[i].middle;
+    bbLower.data[i] = series.bb[i].lower;
+    tenkan.data[i] = series.ichimoku[i].conversion;
+    kijun.data[i] = series.ichimoku[i].base;
+    spanA.data[i] = series.ichimoku[i].spanA;
+    spanB.data[i] = series.ichimoku[i].spanB;
+    supertrend.data[i] = series.supertrend[i].value;
+    supertrend.directions[i] = series.supertrend[i].direction;
+
+    const lines = oscillator.data.datasets;
+    osc.lines.forEach((line, k) => lines[k].data[i] = line[1](series, i));
+    osc.guides.forEach((level, k) => lines[OSCILLATOR_LINES + k].data[i] = level);
+
+    const [hist, macdLine, signal] = macd.data.datasets;
+    hist.data[i] = series.macdHist[i];
+    hist.backgroundColor[i] = series.macdHist[i] >= 0 ? colors.up : colors.down;
+    macdLine.data[i] = series.macdLine[i];
+    signal.data[i] = series.macdSignal[i];
+
+    atr.data.datasets[0].data[i] = series.atr[i];
+    const label = new Date(c.epoch * 1000).toLocaleTimeString();
+    CHART_PANES.forEach(p => chartPanes[p].data.labels[i] = label);
+}
+
+// `series` comes from the symbol's indicator stream (or the batch fallback), aligned with `candles`.
+// A tick that only revises the forming bar or appends a few rewrites those bars and re-scans
+// their patterns; a new symbol, a shifted window or another overlay / oscillator redraws everything
+function renderChart(candles, series) {
+    if (!chartPanes) chartPanes = createChartPanes();
+    const { price, oscillator } = chartPanes;
+    const n = candles.length;
+    const overlay = PRICE_OVERLAYS.includes(chartOverlayEl.value) ? chartOverlayEl.value : 'bollinger';
+    const view = { symbol: chartSymbol, firstEpoch: n > 0 ? candles[0].epoch : null, length: n, overlay, oscillator: chartOscillatorEl.value };
+    const tail = chartView !== null && n >= chartView.length && n - chartView.length <= CHART_TAIL_BARS &&
+        ['symbol', 'firstEpoch', 'overlay', 'oscillator'].every(k => chartView[k] === view[k]);
+    // The last drawn bar may have been forming, so it is rewritten too
+    const from = tail ? Math.max(0, chartView.length - 1) : 0;
+    chartView = view;
+
+    const [, , , , , , , entries, exits, patterns] = price.data.datasets;
+    if (!tail) {
+        price.data.datasets.forEach(d => {
+            if (d.overlay) d.hidden = d.overlay !== overlay;
+        });
+        CHART_PANES.forEach(p => {
+            chartPanes[p].data.labels = [];
+            // Marker datasets are cleared below; per-bar colours and directions start over with the data
+            chartPanes[p].data.datasets.filter(d => !d.notes).forEach(d => {
+                d.data = [];
+                if (Array.isArray(d.backgroundColor)) d.backgroundColor = [];
+                if (d.directions) d.directions = [];
+            });
+        });
+    }
+    [entries, exits, patterns].forEach(d => resetMarkers(d, n, from));
+
+    const osc = setupOscillator(oscillator);
+    const colors = { up: cssColor('--success-color', '#26a69a'), down: cssColor('--error-color', '#ef5350') };
+    for (let i = from; i < n; i++) writeChartBar(i, candles, series, osc, colors);
+    plotTradeMarkers(candles, entries, exits, from);
+    plotPatternMarkers(candles, patterns, from);
+
+    CHART_PANES.forEach(p => chartPanes[p].update('none'));
+}
+
+// Redraws every bar on the next render, for changes a tail update would miss (e.g. the journal replaced)
+function redrawChart() {
+    chartView = null;
+    if (candleData.length > 0) updateChartAndIndicators();
+}
+
+// Batch indicators for a candle set without a stream, in the stream's series shape
+function computeChartSeries(candles) {
+    const closes = candles.map(c => c.close);
+    const macd = calcMACD(closes);
+    return {
+        ma14: calcMA(closes, 14),
+        ma50: calcMA(closes, 50),
+        rsi: calcRSI(closes, 14),
+        bb: calcBollinger(closes, 20, 2),
+        macdLine: macd.macdLine,
+        macdSignal: macd.signalLine,
+        macdHist: macd.histogram,
+        atr: calcATR(candles, 14),
+        stoch: calcStochastic(candles, 14, 3),
+        williamsR: calcWilliamsR(candles, 14),
+        cci: calcCCI(candles, 20),
+        adx: calcADX(candles, 14),
+        supertrend: calcSupertrend(candles, 10, 3),
+        ichimoku: calcIchimoku(candles)
+    };
+}
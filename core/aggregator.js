@@ -0,0 +1,44 @@
+// core/aggregator.js
+// Builds OHLC candles from a tick stream, with bars aligned to epoch multiples of the granularity.
+
+(function (exports) {
+    'use strict';
+
+    const MAX_GAP_FILL = 3; // Longer gaps are reported so the caller can refetch history
+
+    /* ---------- Tick-to-Candle Aggregation ---------- */
+    // Applies one tick to the candle series in place (the array may be shared with the chart).
+    // Returns { status: 'UPDATED' | 'OPENED' | 'STALE' | 'GAP', filled, missing }
+    function aggregateTick(candles, tick, granularity, maxCandles = Infinity) {
+        const quote = tick.quote;
+        const barEpoch = tick.epoch - (tick.epoch % granularity);
+        const last = candles[candles.length - 1];
+
+        if (last && barEpoch === last.epoch) {
+            last.high = Math.max(last.high, quote);
+            last.low = Math.min(last.low, quote);
+            last.close = quote;
+            return { status: 'UPDATED', filled: 0, missing: 0 };
+        }
+
+        // Late ticks belong to a bar that has already closed
+        if (last && barEpoch < last.epoch) return { status: 'STALE', filled: 0, missing: 0 };
+
+        let filled = 0;
+        if (last) {
+            const missing = (barEpoch - last.epoch) / granularity - 1;
+            if (missing > MAX_GAP_FILL) return { status: 'GAP', filled: 0, missing };
+            // Short gaps (no ticks for a whole bar) become flat bars at the previous close
+            for (let e = last.epoch + granularity; e < barEpoch; e += granularity) {
+                candles.push({ epoch: e, open: last.close, high: last.close, low: last.close, close: last.close });
+                filled++;
+            }
+        }
+
+        candles.push({ epoch: barEpoch, open: quote, high: quote, low: quote, close: quote });
+        if (candles.length > maxCandles) candles.splice(0, candles.length - maxCandles);
+        return { status: 'OPENED', filled, missing: 0 };
+    }
+
+    Object.assign(exports, { MAX_GAP_FILL, aggregateTick });
+})(typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}));
@@ -0,0 +1,119 @@
+// core/analytics.js
+// Performance statistics over settled trade journal records: equity curve, drawdown, profit
+// factor, expectancy, a per-trade Sharpe-like ratio, streaks, and win rate / P&L broken down
+// by regime, pattern, confidence, symbol, duration and hour of day.
+
+(function (exports) {
+    'use strict';
+
+    const DURATION_BUCKETS = [ // Upper bounds in seconds for time-based contracts
+        [60, '< 1m'],
+        [120, '1-2m'],
+        [300, '2-5m'],
+        [900, '5-15m'],
+        [Infinity, '15m+']
+    ];
+
+    const isSettled = (r) => r.result === 'WIN' || r.result === 'LOSS';
+    const settledAt = (r) => r.closed_at || r.opened_at;
+
+    function confidenceBucket(confidence) {
+        if (typeof confidence !== 'number') return 'n/a';
+        const lo = Math.min(9, Math.floor(confidence * 10)) * 10;
+        return `${lo}-${lo + 10}%`;
+    }
+
+    function durationBucket(r) {
+        if (r.duration_unit === 't') return `${r.duration} ticks`;
+        if (!r.duration) return r.family === 'multipliers' ? 'Open-ended' : 'n/a';
+        return DURATION_BUCKETS.find(([max]) => r.duration < max)[1];
+    }
+
+    // Keys a record is grouped under for each breakdown; `hourOf` maps a Date to an hour (local by default)
+    const BREAKDOWNS = {
+        regime: (r) => r.regime || 'UNKNOWN',
+        pattern: (r) => (r.decision_snapshot && r.decision_snapshot.pattern) || 'n/a',
+        confidence: (r) => confidenceBucket(r.confidence),
+        symbol: (r) => r.symbol || 'n/a',
+        duration: durationBucket,
+        hour: (r, hourOf) => `${String(hourOf(new Date(r.opened_at))).padStart(2, '0')}:00`
+    };
+
+    function groupTrades(trades, keyOf, hourOf) {
+        const groups = {};
+        trades.forEach(t => {
+            const key = keyOf(t, hourOf);
+            if (!groups[key]) groups[key] = { trades: 0, wins: 0, profit: 0 };
+            groups[key].trades++;
+            if (t.result === 'WIN') groups[key].wins++;
+            groups[key].profit += t.profit || 0;
+        });
+        Object.values(groups).forEach(g => g.winRate = g.wins / g.trades);
+        return groups;
+    }
+
+    function computeTradeAnalytics(records, options = {}) {
+        const { hourOf = (d) => d.getHours() } = options;
+        const trades = records.filter(isSettled).sort((a, b) => (settledAt(a) < settledAt(b) ? -1 : 1));
+
+        let equity = 0;
+        let peak = 0;
+        let maxDrawdown = 0;
+        let grossProfit = 0;
+        let grossLoss = 0;
+        let winStreak = 0;
+        let lossStreak = 0;
+        let longestWinStreak = 0;
+        let longestLossStreak = 0;
+        const equityCurve = [];
+
+        trades.forEach(t => {
+            const profit = t.profit || 0;
+            equity += profit;
+            peak = Math.max(peak, equity);
+            maxDrawdown = Math.max(maxDrawdown, peak - equity);
+            if (profit > 0) grossProfit += profit;
+            else grossLoss -= profit;
+            if (t.result === 'WIN') {
+                winStreak++;
+                lossStreak = 0;
+            } else {
+                lossStreak++;
+                winStreak = 0;
+            }
+            longestWinStreak = Math.max(longestWinStreak, winStreak);
+            longestLossStreak = Math.max(longestLossStreak, lossStreak);
+            equityCurve.push({ time: settledAt(t), equity });
+        });
+
+        const n = trades.length;
+        const wins = trades.filter(t => t.result === 'WIN').length;
+        const expectancy = n > 0 ? equity / n : 0;
+        // Mean over standard deviation of per-trade P/L, not annualised
+        const variance = n > 1 ? trades.reduce((s, t) => s + Math.pow((t.profit || 0) - expectancy, 2), 0) / (n - 1) : 0;
+        const sharpe = variance > 0 ? expectancy / Math.sqrt(variance) : null;
+
+        const breakdowns = {};
+        Object.entries(BREAKDOWNS).forEach(([name, keyOf]) => breakdowns[name] = groupTrades(trades, keyOf, hourOf));
+
+        return {
+            trades: n,
+            wins,
+            losses: n - wins,
+            winRate: n > 0 ? wins / n : 0,
+            totalProfit: equity,
+            grossProfit,
+            grossLoss,
+            profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : null),
+            expectancy,
+            sharpe,
+            maxDrawdown,
+            longestWinStreak,
+            longestLossStreak,
+            equityCurve,
+            breakdowns
+        };
+    }
+
+    Object.assign(exports, { ANALYTICS_BREAKDOWNS: Object.keys(BREAKDOWNS), computeTradeAnalytics });
+})(typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}));
@@ -0,0 +1,268 @@
+// core/api.js
+// Deriv WebSocket API client: req_id correlation, promise-returning calls, tracked
+// subscriptions, and reconnection with exponential backoff that restores the
+// authorization and persistent streams. Pass options.WebSocket when running in Node.
+
+(function (exports) {
+    'use strict';
+
+    const DEFAULT_CLIENT_OPTIONS = {
+        keepAliveMs: 25000,
+        minBackoffMs: 1000,
+        maxBackoffMs: 30000,
+        requestTimeoutMs: 30000
+    };
+
+    function apiError(data, request) {
+        const err = new Error(data.error.message || data.error.code || 'Unknown API error');
+        err.code = data.error.code;
+        err.request = request;
+        return err;
+    }
+
+    function createDerivClient(url, options = {}) {
+        const opts = { ...DEFAULT_CLIENT_OPTIONS, ...options };
+        const WS = opts.WebSocket || WebSocket;
+
+        let socket = null;
+        let nextReqId = 1;
+        let token = null;
+        let everOpened = false;
+        let closedByUser = false;
+        let attempt = 0;
+        let pingTimer = null;
+        let reconnectTimer = null;
+        const pending = new Map();       // req_id → { resolve, reject, timer, request }
+        const streams = new Map();       // req_id → subscription record
+        const listeners = { open: [], close: [], reconnect: [], message: [], error: [] };
+
+        // A throwing listener must not break dispatch to the others; its error goes to the
+        // 'error' listeners, or to the console when there are none (or they throw too)
+        function emit(event, payload) {
+            listeners[event].forEach(fn => {
+                try {
+                    fn(payload);
+                } catch (error) {
+                    if (event !== 'error' && listeners.error.length > 0) emit('error', { event, error });
+                    else console.error(`Deriv client ${event} listener failed:`, error);
+                }
+            });
+        }
+
+        function isOpen() {
+            return !!socket && socket.readyState === WS.OPEN;
+        }
+
+        function rawSend(request) {
+            const req_id = nextReqId++;
+            socket.send(JSON.stringify({ ...request, req_id }));
+            return req_id;
+        }
+
+        /* ---------- Requests ---------- */
+        function send(request) {
+            return new Promise((resolve, reject) => {
+                if (!isOpen()) {
+                    reject(new Error('WebSocket not open'));
+                    return;
+                }
+                let req_id;
+                try {
+                    req_id = rawSend(request);
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+                const timer = setTimeout(() => {
+                    pending.delete(req_id);
+                    reject(new Error(`Request timed out: ${Object.keys(request)[0]}`));
+                }, opts.requestTimeoutMs);
+                pending.set(req_id, { resolve, reject, timer, request });
+            });
+        }
+
+        /* ---------- Subscriptions ---------- */
+        // onMessage(data, handle) receives every message of the stream, including the first.
+        // Persistent subscriptions are re-sent after a reconnect; others are dropped.
+        function subscribe(request, onMessage, { persistent = false } = {}) {
+            const sub = { request: { ...request, subscribe: 1 }, onMessage, persistent, id: null, reqId: null, active: true };
+            const handle = {
+                get id() { return sub.id; },
+                get active() { return sub.active; },
+                forget: () => forget(handle)
+            };
+            sub.handle = handle;
+            return new Promise((resolve, reject) => {
+                sub.resolve = () => resolve(handle);
+                sub.reject = reject;
+                startStream(sub);
+            });
+        }
+
+        function startStream(sub) {
+            if (!isOpen()) {
+                if (sub.reject) sub.reject(new Error('WebSocket not open'));
+                return;
+            }
+            try {
+                sub.reqId = rawSend(sub.request);
+                streams.set(sub.reqId, sub);
+            } catch (e) {
+                if (sub.reject) sub.reject(e);
+            }
+        }
+
+        // A stream forgotten before its first reply stays tracked, cancelled, until the reply
+        // brings the subscription id to forget
+        function forget(handle) {
+            for (const [reqId, sub] of streams) {
+                if (sub.handle !== handle) continue;
+                sub.active = false;
+                if (!sub.id) return true;
+                streams.delete(reqId);
+                if (isOpen()) send({ forget: sub.id }).catch(() => {});
+                return true;
+            }
+            return false;
+        }
+
+        /* ---------- Dispatch ---------- */
+        function handleMessage(evt) {
+            let data;
+            try {
+                data = JSON.parse(evt.data);
+            } catch (e) {
+                return;
+            }
+            const reqId = data.req_id;
+
+            const sub = streams.get(reqId);
+            if (sub) {
+                if (data.error) {
+                    streams.delete(reqId);
+                    sub.active = false;
+                    if (sub.reject) sub.reject(apiError(data, sub.request));
+                    sub.resolve = sub.reject = null;
+                } else {
+                    if (data.subscription) sub.id = data.subscription.id;
+                    if (sub.resolve) sub.resolve();
+                    sub.resolve = sub.reject = null;
+                    if (sub.active) {
+                        sub.onMessage(data, sub.handle);
+                    } else {
+                        // Cancelled before the reply arrived
+                        streams.delete(reqId);
+                        if (sub.id && isOpen()) send({ forget: sub.id }).catch(() => {});
+                    }
+                }
+            } else if (pending.has(reqId)) {
+                const p = pending.get(reqId);
+                pending.delete(reqId);
+                clearTimeout(p.timer);
+                if (data.error) p.reject(apiError(data, p.request));
+                else p.resolve(data);
+            }
+            emit('message', data);
+        }
+
+        /* ---------- Connection Lifecycle ---------- */
+        // Settles once per attempt: resolves on open, rejects if the socket errors or closes
+        // first. After a drop the client keeps retrying on its own either way
+        function connect() {
+            closedByUser = false;
+            return new Promise((resolve, reject) => {
+                let settled = false;
+                socket = new WS(url);
+                socket.onopen = () => {
+                    const reconnected = everOpened;
+                    everOpened = true;
+                    attempt = 0;
+                    clearInterval(pingTimer);
+                    pingTimer = setInterval(() => {
+                        if (isOpen()) send({ ping: 1 }).catch(() => {});
+                    }, opts.keepAliveMs);
+                    emit('open', { reconnected });
+                    if (reconnected) restore();
+                    if (!settled) { settled = true; resolve(); }
+                };
+                socket.onmessage = handleMessage;
+                const fail = () => {
+                    if (!settled) { settled = true; reject(new Error('WebSocket connection failed')); }
+                };
+                socket.onerror = fail;
+                socket.onclose = () => {
+                    fail();
+                    clearInterval(pingTimer);
+                    pending.forEach(p => {
+                        clearTimeout(p.timer);
+                        p.reject(new Error('Connection closed'));
+                    });
+                    pending.clear();
+                    emit('close', { willReconnect: !closedByUser });
+                    if (!closedByUser) scheduleReconnect();
+                };
+            });
+        }
+
+        function scheduleReconnect() {
+            const base = Math.min(opts.maxBackoffMs, opts.minBackoffMs * Math.pow(2, attempt));
+            const delay = base / 2 + Math.random() * base / 2; // Jitter avoids reconnect storms
+            attempt++;
+            clearTimeout(reconnectTimer);
+            reconnectTimer = setTimeout(() => {
+                connect().catch(() => {}); // onclose schedules the next attempt
+            }, delay);
+        }
+
+        async function restore() {
+            // Subscription ids from the old connection are void; re-send persistent streams
+            const subs = [...streams.values()];
+            streams.clear();
+            let auth = null;
+            try {
+                if (token) auth = await send({ authorize: token });
+            } catch (e) {
+                if (!closedByUser) emit('reconnect', { authorize: null, error: e });
+                return;
+            }
+            subs.forEach(sub => {
+                if (sub.persistent && sub.active) {
+                    sub.id = null;
+                    startStream(sub);
+                } else {
+                    sub.active = false;
+                }
+            });
+            emit('reconnect', { authorize: auth ? auth.authorize : null, restored: subs.filter(s => s.active).length });
+        }
+
+        async function authorize(newToken) {
+            const res = await send({ authorize: newToken });
+            token = newToken;
+            return res;
+        }
+
+        function close() {
+            closedByUser = true;
+            clearTimeout(reconnectTimer);
+            clearInterval(pingTimer);
+            streams.clear();
+            if (socket) socket.close();
+        }
+
+        function on(event, fn) {
+            listeners[event].push(fn);
+        }
+
+        // off(event, fn) removes one listener, off(event) all of an event, off() every listener
+        function off(event, fn) {
+            Object.keys(listeners)
+                .filter(e => !event || e === event)
+                .forEach(e => { listeners[e] = fn ? listeners[e].filter(l => l !== fn) : []; });
+        }
+
+        return { connect, close, send, authorize, subscribe, forget, on, off, isOpen };
+    }
+
+    Object.assign(exports, { DEFAULT_CLIENT_OPTIONS, createDerivClient });
+})(typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}));
@@ -0,0 +1,126 @@
+// core/backtest.js
+// Replays historical candles through a strategy (the adaptive engine by default) and
+// settles each CALL/PUT against the real close at expiry.
+
+(function (exports, core) {
+    'use strict';
+
+    const {
+        getStrategy, DEFAULT_STRATEGY_ID, optimizeTradeDuration, scorePatternOutcome, DEFAULT_PATTERN_OPTIONS, refreshRegimeModel
+    } = core;
+
+    const BACKTEST_LOOKBACK = 200; // Same window the live bot keeps (CANDLES_COUNT)
+    const BACKTEST_MIN_CANDLES = 50;
+    const BACKTEST_DEFAULT_PAYOUT = 0.95; // Profit per unit stake on a winning Rise/Fall contract
+
+    /* ---------- Replay Engine ---------- */
+    function runBacktest(candles, options = {}) {
+        const {
+            symbol = '',
+            granularity = 60,
+            stake = 1,
+            payout = BACKTEST_DEFAULT_PAYOUT,
+            minConfidence = 0.65,
+            strategy = getStrategy(DEFAULT_STRATEGY_ID),
+            params = strategy.params,               // Override the strategy's own parameters
+            startIndex = BACKTEST_MIN_CANDLES - 1   // Earlier bars only warm up the indicators
+        } = options;
+        const durationMultipliers = params && params.duration;
+
+        const tradeLog = [];
+        const byRegime = {};
+        let equity = 0;
+        let peak = 0;
+        let maxDrawdown = 0;
+        // Pattern hit rates from outcomes already known at each bar, as the live bot measures them
+        const patternStats = {};
+        let nextScored = 2;
+        let regimeModel = null;
+
+        for (let i = Math.max(startIndex, BACKTEST_MIN_CANDLES - 1); i < candles.length; i++) {
+            for (; nextScored + DEFAULT_PATTERN_OPTIONS.horizon <= i; nextScored++) scorePatternOutcome(patternStats, candles, nextScored);
+            const window = candles.slice(Math.max(0, i - BACKTEST_LOOKBACK + 1), i + 1);
+            // Regimes are calibrated on the same trailing window the live bot holds, as often as it does
+            regimeModel = refreshRegimeModel(regimeModel, window, granularity);
+            const d = strategy.evaluate(window, { ticks: [], recentTrades: tradeLog.slice(-20), params, patternStats, regimeModel });
+            if (d.action === 'HOLD' || d.confidence < minConfidence) continue;
+
+            const durationOptimization = optimizeTradeDuration(
+                d,
+                d.regime,
+                d.indicators.volatility,
+                d.indicators.pattern,
+                granularity,
+                durationMultipliers
+            );
+
+            // Entry at this bar's close; settle on the first bar closing at or after expiry, found by
+            // epoch so gaps in the history do not push the exit to a later bar
+            const expiry = candles[i].epoch + granularity + durationOptimization.duration;
+            let exitIndex = i + 1;
+            while (exitIndex < candles.length && candles[exitIndex].epoch + granularity < expiry) exitIndex++;
+            if (exitIndex >= candles.length) break;
+
+            const contract_type = d.action.includes('BUY') ? 'CALL' : 'PUT';
+            const entrySpot = candles[i].close;
+            const exitSpot = candles[exitIndex].close;
+            const win = contract_type === 'CALL' ? exitSpot > entrySpot : exitSpot < entrySpot;
+            const profit = win ? stake * payout : -stake;
+
+            equity += profit;
+            peak = Math.max(peak, equity);
+            maxDrawdown = Math.max(maxDrawdown, peak - equity);
+
+            const regime = d.regime.type;
+            if (!byRegime[regime]) byRegime[regime] = { trades: 0, wins: 0, profit: 0 };
+            byRegime[regime].trades++;
+            if (win) byRegime[regime].wins++;
+            byRegime[regime].profit += profit;
+
+            tradeLog.push({
+                epoch: candles[i].epoch,
+                expiry: candles[exitIndex].epoch + granularity,
+                decision: d.action,
+                contract_type,
+                duration: durationOptimization.duration,
+                entrySpot,
+                exitSpot,
+                result: win ? 'WIN' : 'LOSS',
+                profit,
+                equity,
+                confidence: d.confidence,
+                regime
+            });
+
+            // One open position at a time: the next decision is taken at the exit bar
+            i = exitIndex - 1;
+        }
+
+        const wins = tradeLog.filter(t => t.result === 'WIN').length;
+        Object.values(byRegime).forEach(r => r.winRate = r.wins / r.trades);
+
+        return {
+            symbol,
+            strategy: strategy.name,
+            granularity,
+            candles: candles.length,
+            from: candles[0].epoch,
+            to: candles[candles.length - 1].epoch,
+            trades: tradeLog.length,
+            wins,
+            losses: tradeLog.length - wins,
+            winRate: tradeLog.length > 0 ? wins / tradeLog.length : 0,
+            totalProfit: equity,
+            maxDrawdown,
+            byRegime,
+            tradeLog
+        };
+    }
+
+    Object.assign(exports, { BACKTEST_LOOKBACK, BACKTEST_MIN_CANDLES, BACKTEST_DEFAULT_PAYOUT, runBacktest });
+})(
+    typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}),
+    typeof require !== 'undefined'
+        ? Object.assign({}, require('./strategies'), require('./duration'), require('./patterns'), require('./regime'))
+        : window.BotCore
+);
@@ -0,0 +1,317 @@
+// core/contracts.js
+// Deriv contract families. Turns a directional decision into proposal parameters for the
+// first allowed family that fits, and settles paper contracts of every family tick by tick.
+
+(function (exports, core) {
+    'use strict';
+
+    const { summarizeDigits } = core;
+
+    const CONTRACT_FAMILIES = {
+        risefall: { label: 'Rise/Fall', types: ['CALL', 'PUT'] },
+        risefall_equal: { label: 'Rise/Fall (equals win)', types: ['CALLE', 'PUTE'] },
+        higherlower: { label: 'Higher/Lower', types: ['CALL', 'PUT'] },
+        touch: { label: 'Touch/No Touch', types: ['ONETOUCH', 'NOTOUCH'] },
+        digits: { label: 'Digits', types: ['DIGITOVER', 'DIGITUNDER', 'DIGITEVEN', 'DIGITODD', 'DIGITMATCH', 'DIGITDIFF'] },
+        multipliers: { label: 'Multipliers', types: ['MULTUP', 'MULTDOWN'] }
+    };
+
+    const DEFAULT_CONTRACT_FAMILIES = ['risefall'];
+
+    // Most specific first; the first allowed family whose conditions hold is traded
+    const FAMILY_PREFERENCE = ['multipliers', 'touch', 'higherlower', 'digits', 'risefall_equal', 'risefall'];
+
+    // Families that trade their own statistics rather than the decision's direction; the only ones tried on HOLD
+    const DIRECTION_FREE_FAMILIES = ['digits'];
+
+    const DEFAULT_CONTRACT_OPTIONS = {
+        barrierSource: 'atr', // Higher/Lower barrier: 'atr' offset or the Bollinger band on the trade's side
+        barrierAtr: 0.5,      // Higher/Lower offset in ATRs
+        touchAtr: 1.5,        // Touch/No Touch offset in ATRs
+        digitTicks: 5,
+        digitMinSamples: 200, // Last digits needed before digit statistics are trusted
+        digitMinZ: 3,         // z-score of observed vs fair win rate; high because ~40 candidates are compared
+        multiplier: 100,
+        takeProfitPct: 50,    // Multiplier take profit / stop loss as % of stake
+        stopLossPct: 50
+    };
+
+    /* ---------- Probability Helpers ---------- */
+    // Abramowitz-Stegun 7.1.26
+    function normalCdf(x) {
+        const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+        const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x / 2);
+        return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    // Standard deviation of log returns per second, from candle closes
+    function volatilityPerSecond(candles, granularity) {
+        const closes = candles.slice(-51).map(c => c.close);
+        const returns = [];
+        for (let i = 1; i < closes.length; i++) returns.push(Math.log(closes[i] / closes[i - 1]));
+        if (returns.length < 2) return 0;
+        const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+        const variance = returns.reduce((a, b) => a + (b - mean) * (b - mean), 0) / (returns.length - 1);
+        return Math.sqrt(variance / granularity);
+    }
+
+    // Driftless win probability of finishing beyond (`touch`: ever reaching) a barrier `offset` away
+    function barrierProbability(price, offset, sigmaPerSecond, seconds, touch = false) {
+        const sd = price * sigmaPerSecond * Math.sqrt(seconds);
+        if (sd <= 0) return 0.5;
+        const beyond = 1 - normalCdf(Math.abs(offset) / sd);
+        return touch ? Math.min(1, 2 * beyond) : beyond;
+    }
+
+    /* ---------- Digit Statistics ---------- */
+    function lastDigit(quote, pipSize) {
+        const s = Number(quote).toFixed(pipSize);
+        return Number(s[s.length - 1]);
+    }
+
+    function digitWins(contractType, barrier, digit) {
+        switch (contractType) {
+            case 'DIGITOVER': return digit > barrier;
+            case 'DIGITUNDER': return digit < barrier;
+            case 'DIGITEVEN': return digit % 2 === 0;
+            case 'DIGITODD': return digit % 2 === 1;
+            case 'DIGITMATCH': return digit === barrier;
+            case 'DIGITDIFF': return digit !== barrier;
+        }
+        return false;
+    }
+
+    // Every digit contract with its observed win rate, fair (uniform) win rate and z-score;
+    // `stats` is a summarizeDigits() result (core/digits.js)
+    function digitCandidates(stats) {
+        const out = [];
+        const add = (contract_type, barrier) => {
+            let observed = 0, fair = 0;
+            for (let d = 0; d < 10; d++) {
+                if (!digitWins(contract_type, barrier, d)) continue;
+                observed += stats.frequencies[d];
+                fair += 0.1;
+            }
+            const z = stats.total > 0 ? (observed - fair) / Math.sqrt(fair * (1 - fair) / stats.total) : 0;
+            out.push({ contract_type, barrier, observed, fair, z });
+        };
+        add('DIGITEVEN', null);
+        add('DIGITODD', null);
+        for (let b = 1; b <= 8; b++) {
+            add('DIGITOVER', b);
+            add('DIGITUNDER', b);
+        }
+        for (let d = 0; d <= 9; d++) {
+            add('DIGITMATCH', d);
+            add('DIGITDIFF', d);
+        }
+        return out;
+    }
+
+    /* ---------- Contract Selection ---------- */
+    const fmtOffset = (offset, pipSize) => `${offset >= 0 ? '+' : '-'}${Math.abs(offset).toFixed(pipSize)}`;
+
+    // Engine edge over a coin flip, carried onto a contract's fair win probability
+    const carryEdge = (decision, fair) => Math.min(0.95, Math.max(0.05, fair + (decision.confidence - 0.5)));
+
+    const FAMILY_BUILDERS = {
+        risefall(decision, ctx) {
+            return { contract_type: ctx.direction > 0 ? 'CALL' : 'PUT', probability: 0.5, confidence: decision.confidence };
+        },
+
+        risefall_equal(decision, ctx) {
+            return { contract_type: ctx.direction > 0 ? 'CALLE' : 'PUTE', probability: 0.5, confidence: decision.confidence };
+        },
+
+        higherlower(decision, ctx) {
+            const { atr, bbNow } = decision.indicators;
+            let distance = atr * ctx.options.barrierAtr;
+            let source = `${ctx.options.barrierAtr} ATR`;
+            if (ctx.options.barrierSource === 'bb' && bbNow && bbNow.upper !== null) {
+                const band = ctx.direction > 0 ? bbNow.upper - ctx.price : ctx.price - bbNow.lower;
+                // A band already behind the price would make this an in-the-money bet; keep the ATR offset
+                if (band > 0) {
+                    distance = band;
+                    source = ctx.direction > 0 ? 'upper band' : 'lower band';
+                }
+            }
+            if (!(distance > 0)) return null;
+            const offset = ctx.direction * distance;
+            const fair = barrierProbability(ctx.price, offset, ctx.sigma, ctx.duration);
+            return {
+                contract_type: ctx.direction > 0 ? 'CALL' : 'PUT',
+                barrier: fmtOffset(offset, ctx.pipSize),
+                barrier_level: ctx.price + offset,
+                probability: fair,
+                confidence: carryEdge(decision, fair),
+                note: `barrier ${fmtOffset(offset, ctx.pipSize)} (${source})`
+            };
+        },
+
+        // Strong signals bet on reaching a level in the signal's direction; weaker ones bet
+        // that the price will not reverse as far on the other side
+        touch(decision, ctx) {
+            const distance = decision.indicators.atr * ctx.options.touchAtr;
+            if (!(distance > 0)) return null;
+            const strong = decision.action.includes('STRONG');
+            const offset = (strong ? ctx.direction : -ctx.direction) * distance;
+            const touchProb = barrierProbability(ctx.price, offset, ctx.sigma, ctx.duration, true);
+            const fair = strong ? touchProb : 1 - touchProb;
+            return {
+                contract_type: strong ? 'ONETOUCH' : 'NOTOUCH',
+                barrier: fmtOffset(offset, ctx.pipSize),
+                barrier_level: ctx.price + offset,
+                probability: fair,
+                confidence: carryEdge(decision, fair),
+                note: `barrier ${fmtOffset(offset, ctx.pipSize)} (${ctx.options.touchAtr} ATR)`
+            };
+        },
+
+        // Direction-free: trades only a statistically unusual last-digit distribution, whatever the decision
+        digits(decision, ctx) {
+            const stats = ctx.digitStats;
+            if (stats.total < ctx.options.digitMinSamples) return null;
+            const best = digitCandidates(stats).sort((a, b) => b.z - a.z)[0];
+            if (best.z < ctx.options.digitMinZ) return null;
+            return {
+                contract_type: best.contract_type,
+                barrier: best.barrier === null ? undefined : String(best.barrier),
+                digit_barrier: best.barrier,
+                duration: ctx.options.digitTicks,
+                duration_unit: 't',
+                probability: best.fair,
+                confidence: best.observed,
+                direction: 0,
+                note: `${(best.observed * 100).toFixed(1)}% observed vs ${(best.fair * 100).toFixed(0)}% fair over ${stats.total} digits (z=${best.z.toFixed(1)})`
+            };
+        },
+
+        // Open-ended, closed by take profit / stop loss; only worth it when the market trends
+        multipliers(decision, ctx) {
+            if (!decision.regime || !/TREND/.test(decision.regime.type)) return null;
+            const { multiplier, takeProfitPct, stopLossPct } = ctx.options;
+            return {
+                contract_type: ctx.direction > 0 ? 'MULTUP' : 'MULTDOWN',
+                multiplier,
+                take_profit_pct: takeProfitPct,
+                stop_loss_pct: stopLossPct,
+                duration: null,
+                duration_unit: null,
+                confidence: decision.confidence,
+                note: `x${multiplier}, TP ${takeProfitPct}% / SL ${stopLossPct}% of stake`
+            };
+        }
+    };
+
+    // ctx: { families, candles, digits | digitStats, pipSize, granularity, duration, options }. Returns
+    // the contract spec { family, contract_type, duration, duration_unit, direction, probability,
+    // confidence, barrier?, multiplier?, ... } or null when no allowed family fits. A HOLD decision
+    // can still be traded by a direction-free family
+    function buildContract(decision, ctx = {}) {
+        if (!decision) return null;
+        const hold = decision.action === 'HOLD';
+        const families = (ctx.families || DEFAULT_CONTRACT_FAMILIES).filter(f => !hold || DIRECTION_FREE_FAMILIES.includes(f));
+        const candles = ctx.candles || [];
+        const granularity = ctx.granularity || 60;
+        const full = {
+            options: { ...DEFAULT_CONTRACT_OPTIONS, ...(ctx.options || {}) },
+            direction: hold ? 0 : (decision.action.includes('BUY') ? 1 : -1),
+            price: candles.length > 0 ? candles[candles.length - 1].close : 0,
+            sigma: volatilityPerSecond(candles, granularity),
+            duration: ctx.duration || granularity,
+            pipSize: ctx.pipSize === undefined ? 2 : ctx.pipSize,
+            digitStats: ctx.digitStats || summarizeDigits(ctx.digits || [])
+        };
+        for (const family of FAMILY_PREFERENCE) {
+            if (!families.includes(family)) continue;
+            const spec = FAMILY_BUILDERS[family](decision, full);
+            if (spec) {
+                return { family, duration: full.duration, duration_unit: 's', direction: full.direction, ...spec };
+            }
+        }
+        return null;
+    }
+
+    // Paper profit per unit stake on a win: `basePayout` is what an even-odds contract pays,
+    // scaled to the contract's fair win probability; multipliers win their take profit
+    function paperPayout(contract, basePayout) {
+        if (contract.family === 'multipliers') return contract.take_profit_pct / 100;
+        const p = contract.probability || 0.5;
+        return (1 + basePayout) * 0.5 / p - 1;
+    }
+
+    /* ---------- Proposal Evaluation ---------- */
+    const PROPOSAL_PRIOR_TRADES = 20; // Weight of the decision's confidence, in trades, against measured history
+
+    const pct = (v) => `${(v * 100).toFixed(1)}%`;
+
+    // cost: amount at risk; payout: amount returned on a win (cost + profit). history: { trades,
+    // wins } of comparable settled trades, which pull the decision's confidence towards the
+    // measured win rate as they accumulate. Accepts only an expected value above `minEdge`
+    function evaluateProposal({ cost, payout }, { confidence, history = { trades: 0, wins: 0 }, minEdge = 0 }) {
+        if (!(cost > 0) || !(payout > cost)) {
+            return { accept: false, breakEven: null, winProb: null, historical: null, ev: null, reason: `Rejected - payout ${payout} does not exceed cost ${cost}` };
+        }
+        const breakEven = cost / payout;
+        const winProb = (confidence * PROPOSAL_PRIOR_TRADES + history.wins) / (PROPOSAL_PRIOR_TRADES + history.trades);
+        const historical = history.trades > 0 ? history.wins / history.trades : null;
+        const ev = (winProb * payout - cost) / cost;
+        const accept = ev > minEdge;
+        const evidence = `break-even ${pct(breakEven)} vs confidence ${pct(confidence)}` +
+            (historical !== null ? `, measured ${pct(historical)} over ${history.trades} trade(s)` : ', no measured history') +
+            ` → win estimate ${pct(winProb)}`;
+        return { accept, breakEven, winProb, historical, ev, reason: `${accept ? 'Accepted' : 'Rejected'} - EV ${ev >= 0 ? '+' : ''}${pct(ev)}: ${evidence}` };
+    }
+
+    /* ---------- Paper Settlement ---------- */
+    // Advances an open paper contract (from buildContract plus amount, entry_spot, entry_epoch,
+    // expiry_epoch) by one tick. Mutates its running state; returns null while it stays open,
+    // else { win, profit, exitSpot }
+    function settlePaperTick(contract, tick, basePayout) {
+        const spot = tick.quote;
+        const payout = contract.amount * paperPayout(contract, basePayout);
+        const close = (win, profit = win ? payout : -contract.amount) => ({ win, profit, exitSpot: spot });
+        contract.ticks_seen = (contract.ticks_seen || 0) + 1;
+
+        if (contract.family === 'multipliers') {
+            const move = (spot - contract.entry_spot) / contract.entry_spot * (contract.contract_type === 'MULTUP' ? 1 : -1);
+            const pnl = contract.amount * contract.multiplier * move;
+            const takeProfit = contract.amount * contract.take_profit_pct / 100;
+            const stopLoss = Math.min(contract.amount, contract.amount * contract.stop_loss_pct / 100);
+            if (pnl >= takeProfit) return close(true, takeProfit);
+            if (pnl <= -stopLoss) return close(false, -stopLoss);
+            return null;
+        }
+
+        if (contract.duration_unit === 't') {
+            if (contract.ticks_seen < contract.duration) return null;
+            return close(digitWins(contract.contract_type, contract.digit_barrier, lastDigit(spot, contract.pip_size)));
+        }
+
+        if (contract.contract_type === 'ONETOUCH' || contract.contract_type === 'NOTOUCH') {
+            const up = contract.barrier_level > contract.entry_spot;
+            const touched = up ? spot >= contract.barrier_level : spot <= contract.barrier_level;
+            if (touched) return close(contract.contract_type === 'ONETOUCH');
+            if (tick.epoch < contract.expiry_epoch) return null;
+            return close(contract.contract_type === 'NOTOUCH');
+        }
+
+        if (tick.epoch < contract.expiry_epoch) return null;
+        const level = contract.barrier_level !== undefined ? contract.barrier_level : contract.entry_spot;
+        switch (contract.contract_type) {
+            case 'CALL': return close(spot > level);
+            case 'PUT': return close(spot < level);
+            case 'CALLE': return close(spot >= level);
+            case 'PUTE': return close(spot <= level);
+        }
+        return close(false);
+    }
+
+    Object.assign(exports, {
+        CONTRACT_FAMILIES, DEFAULT_CONTRACT_FAMILIES, DIRECTION_FREE_FAMILIES, DEFAULT_CONTRACT_OPTIONS, lastDigit,
+        digitCandidates, barrierProbability, buildContract, paperPayout, evaluateProposal, settlePaperTick
+    });
+})(
+    typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}),
+    typeof require !== 'undefined' ? require('./digits') : window.BotCore
+);
@@ -0,0 +1,109 @@
+// core/csv.js
+// CSV encoding for exports and imports. Nested objects are flattened to dotted columns
+// (decision_snapshot.rsi) so a record round-trips through a spreadsheet.
+
+(function (exports) {
+    'use strict';
+
+    const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+    // Spreadsheets run text cells starting with = + - @ (or a tab / CR) as formulas. Such cells are
+    // written behind a ' and read back without it; text already starting with quotes before one of
+    // those characters gets one more, so every string round-trips. Numbers are written as-is.
+    const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+
+    // { a: { b: 1 }, c: [1, 2] } -> { 'a.b': 1, c: '[1,2]' }
+    function flattenRecord(record, prefix = '', out = {}) {
+        Object.entries(record).forEach(([key, value]) => {
+            const name = prefix + key;
+            if (isPlainObject(value)) flattenRecord(value, `${name}.`, out);
+            else if (Array.isArray(value)) out[name] = JSON.stringify(value);
+            else out[name] = value;
+        });
+        return out;
+    }
+
+    // Inverse of flattenRecord for parsed CSV rows. Empty cells are dropped; cells that are
+    // exactly a number or boolean are converted back, anything else ('+10.75', '09:30') stays text.
+    // Cells toCsv() neutralized with a leading ' are text by construction.
+    function unflattenRecord(row) {
+        const out = {};
+        Object.entries(row).forEach(([name, raw]) => {
+            if (raw === '' || raw === undefined) return;
+            let value = raw;
+            if (raw[0] === "'" && FORMULA_PREFIX.test(raw)) value = raw.slice(1);
+            else if (raw === 'true' || raw === 'false') value = raw === 'true';
+            else if (String(Number(raw)) === raw) value = Number(raw);
+            else if (/^\[.*\]$/.test(raw)) {
+                try { value = JSON.parse(raw); } catch (e) { value = raw; }
+            }
+            const path = name.split('.');
+            let node = out;
+            path.slice(0, -1).forEach(p => node = isPlainObject(node[p]) ? node[p] : (node[p] = {}));
+            node[path[path.length - 1]] = value;
+        });
+        return out;
+    }
+
+    function escapeCell(value) {
+        if (value === undefined || value === null) return '';
+        const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // `columns` defaults to every key in order of first appearance
+    function toCsv(rows, columns = null) {
+        const cols = columns || [...new Set(rows.flatMap(r => Object.keys(r)))];
+        const lines = [cols.map(escapeCell).join(',')];
+        rows.forEach(r => lines.push(cols.map(c => escapeCell(r[c])).join(',')));
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    // RFC 4180: quoted cells may hold commas, doubled quotes and line breaks. Returns one object
+    // per data row keyed by the header; blank lines are skipped.
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        const [header, ...data] = rows.filter(r => r.some(c => c !== ''));
+        if (!header) return [];
+        return data.map(r => {
+            const obj = {};
+            header.forEach((name, i) => obj[name.trim()] = r[i] !== undefined ? r[i] : '');
+            return obj;
+        });
+    }
+
+    Object.assign(exports, { flattenRecord, unflattenRecord, toCsv, parseCsv });
+})(typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}));
@@ -0,0 +1,223 @@
+// core/digits.js
+// Rolling last-digit statistics for synthetic indices: digit frequencies, even/odd and over/under
+// ratios, run lengths, and chi-square / runs tests of the window against fair, independent digits.
+
+(function (exports) {
+    'use strict';
+
+    const DEFAULT_DIGIT_WINDOW = 1000;
+    const MAX_DIGIT_WINDOW = 20000;
+
+    /* ---------- Chi-Square Distribution ---------- */
+    // ln Γ(x), Lanczos approximation
+    function logGamma(x) {
+        const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+        const t = x + 5.5;
+        let ser = 1.000000000190015;
+        c.forEach((ci, j) => ser += ci / (x + 1 + j));
+        return (x + 0.5) * Math.log(t) - t + Math.log(2.5066282746310005 * ser / x);
+    }
+
+    // Regularized upper incomplete gamma Q(a, x): series below a + 1, continued fraction above
+    function gammaQ(a, x) {
+        if (x <= 0) return 1;
+        const front = Math.exp(-x + a * Math.log(x) - logGamma(a));
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-14; n++) {
+                term *= x / (a + n);
+                sum += term;
+            }
+            return Math.max(0, 1 - sum * front);
+        }
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let i = 1; i < 500; i++) {
+            const an = -i * (i - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            h *= d * c;
+            if (Math.abs(d * c - 1) < 1e-14) break;
+        }
+        return Math.min(1, front * h);
+    }
+
+    // Probability of a chi-square statistic at least this large by chance
+    function chiSquarePValue(statistic, df) {
+        return gammaQ(df / 2, statistic / 2);
+    }
+
+    // Pearson's test of observed counts against equal expected counts
+    function chiSquareUniform(counts) {
+        const total = counts.reduce((a, b) => a + b, 0);
+        const df = counts.length - 1;
+        if (total === 0) return { statistic: 0, df, pValue: 1 };
+        const expected = total / counts.length;
+        const statistic = counts.reduce((s, c) => s + (c - expected) * (c - expected) / expected, 0);
+        return { statistic, df, pValue: chiSquarePValue(statistic, df) };
+    }
+
+    /* ---------- Digit Summary ---------- */
+    // The summary both summarizeDigits() and a rolling window's stats() return; it is what
+    // contracts.js digitCandidates() ranks. over[b] / under[b] are the shares above / below digit b.
+    // runsZ is the Wald-Wolfowitz z of the even/odd sequence: negative when parities cluster in
+    // streaks, positive when they alternate more than chance.
+    function summarizeCounts(counts, last, digitRuns, parityRuns) {
+        const total = counts.reduce((a, b) => a + b, 0);
+        const share = (n) => (total > 0 ? n / total : 0);
+        const evens = counts[0] + counts[2] + counts[4] + counts[6] + counts[8];
+        const odds = total - evens;
+
+        const over = [];
+        const under = [];
+        let below = 0;
+        for (let b = 0; b < 10; b++) {
+            under.push(share(below));
+            below += counts[b];
+            over.push(share(total - below));
+        }
+
+        let runsZ = 0;
+        if (evens > 0 && odds > 0 && total > 2) {
+            const mean = 2 * evens * odds / total + 1;
+            const variance = 2 * evens * odds * (2 * evens * odds - total) / (total * total * (total - 1));
+            runsZ = variance > 0 ? (parityRuns.count - mean) / Math.sqrt(variance) : 0;
+        }
+
+        // The current run is the one ending on the latest digit
+        const run = (r, key) => ({ [key]: r ? r.value : null, length: r ? r.length : 0 });
+        return {
+            total,
+            counts: counts.slice(),
+            frequencies: counts.map(share),
+            last,
+            even: share(evens),
+            odd: share(odds),
+            over,
+            under,
+            run: run(digitRuns.current, 'digit'),
+            longestRun: run(digitRuns.longest, 'digit'),
+            parityRun: run(parityRuns.current, 'parity'),
+            longestParityRun: run(parityRuns.longest, 'parity'),
+            runsZ,
+            chiSquare: chiSquareUniform(counts),
+            parityChiSquare: chiSquareUniform([evens, odds])
+        };
+    }
+
+    // `digits` oldest to newest
+    function summarizeDigits(digits) {
+        const stream = createDigitStream(Math.max(digits.length, 1));
+        digits.forEach(d => stream.push(d));
+        return stream.stats();
+    }
+
+    /* ---------- Run Tracking ---------- */
+    // Runs of equal values in a sliding window: push() extends or opens the newest run, evict()
+    // trims the oldest. `longest` is the earliest of the longest runs, found again by a scan only
+    // when the run holding the title is trimmed, so both are O(1) amortized
+    function createRunTracker() {
+        let runs = [];
+        let head = 0;
+        let longest = null;
+
+        function rescan() {
+            longest = null;
+            for (let i = head; i < runs.length; i++) {
+                if (!longest || runs[i].length > longest.length) longest = runs[i];
+            }
+        }
+
+        return {
+            push(value) {
+                const last = runs.length > head ? runs[runs.length - 1] : null;
+                if (last && last.value === value) last.length++;
+                else runs.push({ value, length: 1 });
+                const newest = runs[runs.length - 1];
+                if (!longest || newest.length > longest.length) longest = newest;
+            },
+            evict() {
+                const oldest = runs[head];
+                oldest.length--;
+                if (oldest.length === 0) head++;
+                // Drop spent runs once they outnumber the live ones
+                if (head > 64 && head * 2 > runs.length) {
+                    runs = runs.slice(head);
+                    head = 0;
+                }
+                if (oldest === longest) rescan();
+            },
+            get current() { return runs.length > head ? runs[runs.length - 1] : null; },
+            get longest() { return longest; },
+            get count() { return runs.length - head; }
+        };
+    }
+
+    /* ---------- Rolling Window ---------- */
+    // Ring buffer of the last `size` digits with counts and runs kept incrementally: push() adds
+    // the incoming digit and subtracts the evicted one, so stats() never walks the window
+    function createDigitStream(size = DEFAULT_DIGIT_WINDOW) {
+        let buf = [];
+        let idx = 0;
+        let counts = Array(10).fill(0);
+        let digitRuns = createRunTracker();
+        let parityRuns = createRunTracker();
+        let last = null;
+        const values = () => (buf.length < size ? buf.slice() : buf.slice(idx).concat(buf.slice(0, idx)));
+        const parityOf = (d) => (d % 2 === 0 ? 'EVEN' : 'ODD');
+
+        function add(digit) {
+            last = digit;
+            counts[digit]++;
+            digitRuns.push(digit);
+            parityRuns.push(parityOf(digit));
+        }
+
+        function push(digit) {
+            if (buf.length < size) {
+                buf.push(digit);
+            } else {
+                counts[buf[idx]]--;
+                digitRuns.evict();
+                parityRuns.evict();
+                buf[idx] = digit;
+                idx = (idx + 1) % size;
+            }
+            add(digit);
+        }
+
+        return {
+            push,
+            // Keeps the most recent digits that fit the new window
+            resize(newSize) {
+                const kept = values().slice(-newSize);
+                size = newSize;
+                buf = [];
+                idx = 0;
+                last = null;
+                counts = Array(10).fill(0);
+                digitRuns = createRunTracker();
+                parityRuns = createRunTracker();
+                kept.forEach(push);
+            },
+            values,
+            stats() {
+                return summarizeCounts(counts, last, digitRuns, parityRuns);
+            },
+            get size() { return size; },
+            get length() { return buf.length; }
+        };
+    }
+
+    Object.assign(exports, {
+        DEFAULT_DIGIT_WINDOW, MAX_DIGIT_WINDOW, chiSquarePValue, chiSquareUniform, summarizeDigits, createDigitStream
+    });
+})(typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}));
@@ -0,0 +1,98 @@
+// core/duration.js
+// Risk-adjusted trade duration from regime, volatility, pattern and confidence.
+
+(function (exports) {
+    'use strict';
+
+    // Regime multipliers on the base granularity; tunable via the optimizer
+    const DEFAULT_DURATION_MULTIPLIERS = { trend: 1.5, highVol: 0.7, consolidation: 0.8 };
+
+    // Duration multiplier and risk score for holding through a regime
+    function regimeDurationFactors(type, m) {
+        switch (type) {
+            case 'STRONG_UPTREND':
+            case 'STRONG_DOWNTREND':
+                return { multiplier: m.trend, risk: 0.3 }; // Hold longer in strong trends
+            case 'HIGH_VOLATILITY':
+                return { multiplier: m.highVol, risk: 0.7 }; // Shorter duration in high vol
+            case 'CONSOLIDATION':
+                return { multiplier: m.consolidation, risk: 0.6 }; // Moderate duration in ranging
+            default:
+                return { multiplier: 1.0, risk: 0.5 };
+        }
+    }
+
+    /* ---------- Adaptive Duration Optimization ---------- */
+    function optimizeTradeDuration(decision, regime, volatility, pattern, baseGranularity, multipliers = DEFAULT_DURATION_MULTIPLIERS) {
+        const m = { ...DEFAULT_DURATION_MULTIPLIERS, ...multipliers };
+
+        // Risk-adjusted duration based on multiple factors
+        let durationMultiplier = 1.0;
+        let riskScore = 0.5;
+        let regimeNote = regime.type;
+
+        // Regime-based adjustment; a calibrated regime (core/regime.js) averages over where it may go next
+        if (regime.transitions) {
+            durationMultiplier = 0;
+            riskScore = 0;
+            Object.entries(regime.transitions).forEach(([type, p]) => {
+                const f = regimeDurationFactors(type, m);
+                durationMultiplier += p * f.multiplier;
+                riskScore += p * f.risk;
+            });
+            // Expected bars before the regime changes: do not plan to hold much past them
+            const expectedBars = 1 / Math.max(1 - regime.persistence, 1e-6);
+            if (durationMultiplier > expectedBars) durationMultiplier = Math.max(1, expectedBars);
+            regimeNote = `${regime.type}, stays ${(regime.persistence * 100).toFixed(0)}%`;
+        } else {
+            const f = regimeDurationFactors(regime.type, m);
+            durationMultiplier = f.multiplier;
+            riskScore = f.risk;
+        }
+
+        // Pattern-based adjustment
+        if (pattern.strength > 0.8) {
+            durationMultiplier *= 1.2; // Strong patterns justify longer holds
+            riskScore *= 0.85;
+        }
+
+        // Volatility-based adjustment
+        if (volatility > 0.015) {
+            durationMultiplier *= 0.8; // Reduce duration in extreme volatility
+            riskScore *= 1.2;
+        } else if (volatility < 0.005) {
+            durationMultiplier *= 1.1; // Can hold longer in low volatility
+            riskScore *= 0.9;
+        }
+
+        // Confidence-based adjustment
+        if (decision.confidence > 0.8) {
+            durationMultiplier *= 1.15;
+            riskScore *= 0.9;
+        } else if (decision.confidence < 0.6) {
+            durationMultiplier *= 0.85;
+            riskScore *= 1.1;
+        }
+
+        // Strategies that specify a holding period in bars keep it; only the risk score adapts
+        if (decision.durationBars) {
+            const fixedDuration = baseGranularity * decision.durationBars;
+            return {
+                duration: fixedDuration,
+                riskScore: Math.min(riskScore, 1),
+                rationale: `Strategy holds ${decision.durationBars} bar(s) = ${fixedDuration}s (${regimeNote})`
+            };
+        }
+
+        const optimizedDuration = Math.round(baseGranularity * durationMultiplier);
+        const finalDuration = Math.max(baseGranularity, Math.min(optimizedDuration, baseGranularity * 3));
+
+        return {
+            duration: finalDuration,
+            riskScore: Math.min(riskScore, 1),
+            rationale: `Optimized from ${baseGranularity}s to ${finalDuration}s (${regimeNote}, Vol: ${(volatility * 100).toFixed(3)}%)`
+        };
+    }
+
+    Object.assign(exports, { DEFAULT_DURATION_MULTIPLIERS, optimizeTradeDuration });
+})(typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}));
@@ -0,0 +1,227 @@
+// core/engine.js
+// Composite decision engine. Takes candles plus explicit context and returns a decision;
+// it reads no DOM and mutates no shared state.
+
+(function (exports, core) {
+    'use strict';
+
+    const {
+        DEFAULT_PERIODS, latestIndicators, calcTickVWAP, DEFAULT_WEIGHT_MULTIPLIERS, detectMarketRegime, computeIndicatorWeights,
+        identifyCandlestickPattern, analyzeMicroStructure, DEFAULT_DURATION_MULTIPLIERS, confirmWithTimeframes
+    } = core;
+
+    // Composite signal cutoffs
+    const DEFAULT_ENGINE_THRESHOLDS = {
+        signal: 2.5,             // |composite| needed for a BUY/SELL
+        strong: 4,               // |composite| for STRONG BUY/SELL
+        confidence: 0.65,        // Confidence needed alongside `signal`
+        moderate: 1.5,           // Weaker |composite| accepted ...
+        moderateConfidence: 0.7  // ... when confidence is at least this high
+    };
+
+    // Components the regime tables leave unweighted; the weight learner may still scale them
+    const FIXED_COMPONENT_WEIGHTS = { macd: 0.8, pattern: 1, micro: 1 };
+
+    const TICK_VWAP_PERIOD = 20; // Ticks in the tick-average window
+
+    // Tick VWAP over the last TICK_VWAP_PERIOD ticks, with one tick more so the oldest still has a
+    // gap to weigh it by; null until the window fills
+    function latestTickVWAP(ticks) {
+        if (ticks.length < TICK_VWAP_PERIOD) return null;
+        const recent = ticks.slice(-(TICK_VWAP_PERIOD + 1));
+        return calcTickVWAP(recent, TICK_VWAP_PERIOD)[recent.length - 1];
+    }
+
+    // Oscillator and trend-filter votes (+1 bullish, -1 bearish, 0 none); unready indicators abstain
+    function indicatorVotes(latest, price, ticks) {
+        const { stoch, williamsR, cci, adx, supertrend, ichimoku } = latest;
+        const cloudTop = ichimoku && ichimoku.spanA !== null && ichimoku.spanB !== null ? Math.max(ichimoku.spanA, ichimoku.spanB) : null;
+        const cloudBottom = cloudTop !== null ? Math.min(ichimoku.spanA, ichimoku.spanB) : null;
+        const vwap = latestTickVWAP(ticks);
+        const lastQuote = ticks.length > 0 ? ticks[ticks.length - 1].quote : price;
+        const votes = {
+            // Oversold %K turning up through %D, overbought turning down
+            stoch: stoch && stoch.d !== null ? (stoch.k < 20 && stoch.k > stoch.d ? 1 : (stoch.k > 80 && stoch.k < stoch.d ? -1 : 0)) : 0,
+            williams: williamsR !== null && williamsR !== undefined ? (williamsR < -80 ? 1 : (williamsR > -20 ? -1 : 0)) : 0,
+            cci: cci !== null && cci !== undefined ? (cci < -100 ? 1 : (cci > 100 ? -1 : 0)) : 0,
+            // Trending ADX votes with the dominant directional indicator
+            adx: adx && adx.adx !== null && adx.adx > 25 ? Math.sign(adx.plusDI - adx.minusDI) : 0,
+            supertrend: supertrend ? supertrend.direction : 0,
+            ichimoku: cloudTop === null ? 0 :
+                (price > cloudTop && ichimoku.conversion > ichimoku.base ? 1 : (price < cloudBottom && ichimoku.conversion < ichimoku.base ? -1 : 0)),
+            vwap: vwap === null ? 0 : Math.sign(lastQuote - vwap)
+        };
+        return { votes, vwap };
+    }
+
+    // Everything the optimizer may tune, grouped by where it is consumed
+    const DEFAULT_ENGINE_PARAMS = {
+        thresholds: DEFAULT_ENGINE_THRESHOLDS,
+        periods: DEFAULT_PERIODS,
+        weights: DEFAULT_WEIGHT_MULTIPLIERS,
+        duration: DEFAULT_DURATION_MULTIPLIERS
+    };
+
+    // Fills any missing group or key from the defaults
+    function resolveEngineParams(params = {}) {
+        const out = {};
+        Object.keys(DEFAULT_ENGINE_PARAMS).forEach(group => {
+            out[group] = { ...DEFAULT_ENGINE_PARAMS[group], ...(params[group] || {}) };
+        });
+        return out;
+    }
+
+    /* ---------- Enhanced Decision Engine ---------- */
+    // context: { ticks, recentTrades, indicators, params, weightModel, timeframes, patternStats, regimeModel } -
+    // recent ticks for micro-structure, the last settled trades, optionally the latest streaming
+    // indicator values to skip batch recomputation, optional overrides of DEFAULT_ENGINE_PARAMS,
+    // optionally a createWeightLearner() whose learned multipliers refine the regime weights,
+    // optionally higher-timeframe candle series ([{ granularity, candles }]) that must confirm an
+    // entry, optionally measured pattern hit rates (core/patterns.js) for this symbol, and optionally
+    // a calibrateRegimes() model so regime cutoffs and transition odds are the symbol's own
+    function advancedDecisionEngine(candles, context = {}) {
+        const { ticks = [], recentTrades = [] } = context;
+        const params = resolveEngineParams(context.params);
+        const limits = params.thresholds;
+        if (!candles || candles.length < 50) return { action: 'HOLD', reason: 'Insufficient data', confidence: 0 };
+
+        // Streaming values use the default periods, so tuned periods need a batch pass
+        const defaultPeriods = Object.keys(DEFAULT_PERIODS).every(k => params.periods[k] === DEFAULT_PERIODS[k]);
+        const latest = context.indicators && defaultPeriods ? context.indicators : latestIndicators(candles, params.periods);
+        const volatility = latest.volatility;
+
+        // Detect market regime
+        const regime = detectMarketRegime(candles, latest, context.regimeModel);
+
+        // Get recent performance
+        const winRate = recentTrades.length > 0 ? 
+            recentTrades.filter(t => t.result === 'WIN').length / recentTrades.length : 0.5;
+
+        // Weight indicators for this regime, then by what settled trades have taught the model
+        const tableWeights = { ...FIXED_COMPONENT_WEIGHTS, ...computeIndicatorWeights(regime, { winRate }, params.weights) };
+        const weights = context.weightModel ? context.weightModel.adjustWeights(regime.type, tableWeights) : tableWeights;
+
+        // Identify candlestick pattern
+        const pattern = identifyCandlestickPattern(candles, context.patternStats);
+
+        // Micro-structure analysis
+        const microAnalysis = analyzeMicroStructure(ticks, candles[candles.length - 1]);
+
+        const price = candles[candles.length - 1].close;
+        const prevPrice = candles[candles.length - 2].close;
+        const ma14Now = latest.ma14;
+        const ma50Now = latest.ma50;
+        const rsiNow = latest.rsi || 50;
+        const bbNow = latest.bb;
+        const macdNow = latest.macdHist;
+        const atrNow = latest.atr;
+        const { votes, vwap: tickVWAP } = indicatorVotes(latest, price, ticks);
+        const oscillators = {
+            stoch: latest.stoch, williamsR: latest.williamsR, cci: latest.cci, adx: latest.adx,
+            supertrend: latest.supertrend, ichimoku: latest.ichimoku, tickVWAP
+        };
+
+        if (ma14Now === null || rsiNow === null || !bbNow.upper) {
+            return { action: 'HOLD', reason: 'Indicators not ready', confidence: 0, regime, weights };
+        }
+
+        // Pattern signal
+        let patternSignal = 0;
+        if (pattern.signal === 'BULLISH' || pattern.signal === 'STRONG_BULLISH') patternSignal = pattern.strength;
+        if (pattern.signal === 'BEARISH' || pattern.signal === 'STRONG_BEARISH') patternSignal = -pattern.strength;
+
+        // Micro-structure signal
+        let microSignal = 0;
+        if (microAnalysis.prediction === 'BULLISH_CONTINUATION') microSignal = 0.6;
+        if (microAnalysis.prediction === 'BEARISH_CONTINUATION') microSignal = -0.6;
+
+        // Unweighted components (positive = bullish); recorded with each trade for the weight learner
+        const signals = {
+            trend: price > ma14Now ? 1 : -1,
+            momentum: (price - prevPrice) / prevPrice * 1000,
+            rsi: rsiNow < 30 ? 1 : (rsiNow > 70 ? -1 : 0),
+            bb: price <= bbNow.lower ? 1 : (price >= bbNow.upper ? -1 : 0),
+            macd: macdNow > 0 ? 1 : -1,
+            pattern: patternSignal,
+            micro: microSignal,
+            ...votes
+        };
+
+        // Composite signal
+        const compositeSignal = signals.trend * weights.ma + signals.momentum * weights.momentum +
+                               signals.rsi * weights.rsi + signals.bb * weights.bb + signals.macd * weights.macd +
+                               signals.pattern * weights.pattern + signals.micro * weights.micro +
+                               Object.keys(votes).reduce((sum, k) => sum + votes[k] * weights[k], 0);
+
+        // Confidence calculation
+        const signalStrength = Math.abs(compositeSignal);
+        let baseConfidence = Math.min(signalStrength / 5, 1);
+
+        // Adjust confidence based on regime
+        baseConfidence *= regime.confidence;
+
+        // Adjust for pattern strength
+        if (pattern.strength > 0.7) baseConfidence *= 1.15;
+
+        // Adjust for recent performance
+        if (winRate > 0.6) baseConfidence *= 1.1;
+        else if (winRate < 0.4) baseConfidence *= 0.85;
+
+        const confidence = Math.min(baseConfidence, 0.95);
+
+        // Volatility filter
+        if (volatility < 0.002) {
+            return { 
+                action: 'HOLD', 
+                reason: 'Extremely low volatility - no edge', 
+                confidence: 0,
+                indicators: { ma14Now, ma50Now, rsiNow, bbNow, volatility, atr: atrNow, pattern, microAnalysis, ...oscillators },
+                regime,
+                weights,
+                signals
+            };
+        }
+
+        // Decision logic with enhanced thresholds
+        let action = 'HOLD';
+        let reason = 'No clear signal';
+
+        if (compositeSignal > limits.signal && confidence > limits.confidence) {
+            action = compositeSignal > limits.strong ? 'STRONG BUY' : 'BUY';
+            reason = `Bullish composite signal (${compositeSignal.toFixed(2)}) | ${regime.type} | ${pattern.pattern}`;
+        } else if (compositeSignal < -limits.signal && confidence > limits.confidence) {
+            action = compositeSignal < -limits.strong ? 'STRONG SELL' : 'SELL';
+            reason = `Bearish composite signal (${compositeSignal.toFixed(2)}) | ${regime.type} | ${pattern.pattern}`;
+        } else if (Math.abs(compositeSignal) > limits.moderate && confidence > limits.moderateConfidence) {
+            action = compositeSignal > 0 ? 'BUY' : 'SELL';
+            reason = `Moderate ${compositeSignal > 0 ? 'bullish' : 'bearish'} signal with high confidence`;
+        } else {
+            reason = `Insufficient signal strength (${compositeSignal.toFixed(2)}) or confidence (${(confidence * 100).toFixed(0)}%)`;
+        }
+
+        const decision = {
+            action,
+            reason,
+            confidence,
+            compositeSignal,
+            indicators: { 
+                ma14Now, ma50Now, rsiNow, bbNow, volatility, 
+                atr: atrNow, macd: macdNow, pattern, microAnalysis, ...oscillators
+            },
+            regime,
+            weights,
+            signals
+        };
+        return context.timeframes ? confirmWithTimeframes(decision, context.timeframes) : decision;
+    }
+
+    Object.assign(exports, {
+        DEFAULT_ENGINE_THRESHOLDS, DEFAULT_ENGINE_PARAMS, TICK_VWAP_PERIOD, resolveEngineParams, latestTickVWAP, advancedDecisionEngine
+    });
+})(
+    typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}),
+    typeof require !== 'undefined'
+        ? Object.assign({}, require('./indicators'), require('./regime'), require('./patterns'), require('./duration'),
+            require('./timeframes'))
+        : window.BotCore
+);
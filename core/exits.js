@@ -0,0 +1,62 @@
+// core/exits.js
+// Exit rules for open contracts, checked on every proposal_open_contract update. Levels are
+// percentages of the buy price so they scale with the stake.
+
+(function (exports) {
+    'use strict';
+
+    const DEFAULT_EXIT_RULES = {
+        takeProfitPct: 60,    // Sell once profit reaches this (0 = off)
+        stopLossPct: 0,       // Sell once the loss reaches this (0 = off)
+        trailStartPct: 40,    // Arm the trailing lock once profit has reached this (0 = off) ...
+        trailGiveBackPct: 50, // ... then sell after giving back this share of the peak profit
+        timeExitPct: 0        // Sell a profitable contract once this share of its duration has passed (0 = off)
+    };
+
+    const EXIT_REASONS = {
+        TAKE_PROFIT: 'Take profit',
+        STOP_LOSS: 'Stop loss',
+        TRAILING_STOP: 'Trailing profit lock',
+        TIME_EXIT: 'Time exit',
+        EXPIRY: 'Expiry',
+        SOLD: 'Sold outside the bot'
+    };
+
+    // Per-contract state: the rules in force and the best profit seen so far
+    function createExitState(rules = {}) {
+        return { rules: { ...DEFAULT_EXIT_RULES, ...rules }, peakProfit: 0, trailing: false };
+    }
+
+    // Tracks the peak profit and returns { sell, code, reason }; `code` is an EXIT_REASONS key
+    function evaluateExit(state, poc) {
+        const hold = { sell: false, code: null, reason: null };
+        const cost = Number(poc.buy_price);
+        const profit = Number(poc.profit);
+        if (!(cost > 0) || Number.isNaN(profit)) return hold;
+
+        const r = state.rules;
+        const pct = (v) => v / cost * 100;
+        state.peakProfit = Math.max(state.peakProfit, profit);
+        if (r.trailStartPct > 0 && pct(state.peakProfit) >= r.trailStartPct) state.trailing = true;
+        if (!poc.is_valid_to_sell) return hold;
+
+        const sell = (code, detail) => ({ sell: true, code, reason: `${EXIT_REASONS[code]}: ${detail}` });
+        if (r.takeProfitPct > 0 && pct(profit) >= r.takeProfitPct) {
+            return sell('TAKE_PROFIT', `profit ${profit.toFixed(2)} ≥ ${r.takeProfitPct}% of ${cost.toFixed(2)}`);
+        }
+        if (r.stopLossPct > 0 && -pct(profit) >= r.stopLossPct) {
+            return sell('STOP_LOSS', `loss ${(-profit).toFixed(2)} ≥ ${r.stopLossPct}% of ${cost.toFixed(2)}`);
+        }
+        if (state.trailing && profit <= state.peakProfit * (1 - r.trailGiveBackPct / 100)) {
+            return sell('TRAILING_STOP', `profit ${profit.toFixed(2)} gave back ${r.trailGiveBackPct}% of peak ${state.peakProfit.toFixed(2)}`);
+        }
+        const start = Number(poc.date_start), expiry = Number(poc.date_expiry), now = Number(poc.current_spot_time);
+        if (r.timeExitPct > 0 && profit > 0 && expiry > start && now) {
+            const elapsed = (now - start) / (expiry - start) * 100;
+            if (elapsed >= r.timeExitPct) return sell('TIME_EXIT', `${elapsed.toFixed(0)}% of the duration passed with profit ${profit.toFixed(2)}`);
+        }
+        return hold;
+    }
+
+    Object.assign(exports, { DEFAULT_EXIT_RULES, EXIT_REASONS, createExitState, evaluateExit });
+})(typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}));
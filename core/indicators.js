@@ -0,0 +1,263 @@
+// core/indicators.js
+// Pure indicator math: arrays in, arrays out. Loads as a browser script (window.BotCore) or a Node module.
+
+(function (exports) {
+    'use strict';
+
+    function calcMA(values, period = 14) {
+        const res = [];
+        for (let i = 0; i < values.length; i++) {
+            if (i < period - 1) {
+                res.push(null);
+                continue;
+            }
+            const slice = values.slice(i - period + 1, i + 1);
+            res.push(slice.reduce((a, b) => a + b, 0) / period);
+        }
+        return res;
+    }
+
+    function calcEMA(values, period = 14) {
+        const res = [];
+        const k = 2 / (period + 1);
+        for (let i = 0; i < values.length; i++) {
+            if (i === 0) {
+                res.push(values[i]);
+            } else {
+                res.push(values[i] * k + res[i - 1] * (1 - k));
+            }
+        }
+        return res;
+    }
+
+    function calcRSI(values, period = 14) {
+        if (values.length <= period) return Array(values.length).fill(null);
+        const gains = [], losses = [];
+        for (let i = 1; i < values.length; i++) {
+            const d = values[i] - values[i - 1];
+            gains.push(Math.max(0, d));
+            losses.push(Math.max(0, -d));
+        }
+        const rsi = Array(values.length).fill(null);
+        let avgGain = gains.slice(0, period).reduce((a, b) => a + b, 0) / period;
+        let avgLoss = losses.slice(0, period).reduce((a, b) => a + b, 0) / period;
+        rsi[period] = avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss));
+        for (let i = period + 1; i < values.length; i++) {
+            const g = gains[i - 1], l = losses[i - 1];
+            avgGain = (avgGain * (period - 1) + g) / period;
+            avgLoss = (avgLoss * (period - 1) + l) / period;
+            rsi[i] = avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss));
+        }
+        return rsi;
+    }
+
+    function calcBollinger(values, period = 20, mult = 2) {
+        const res = [];
+        for (let i = 0; i < values.length; i++) {
+            if (i < period - 1) {
+                res.push({ upper: null, middle: null, lower: null });
+                continue;
+            }
+            const slice = values.slice(i - period + 1, i + 1);
+            const mean = slice.reduce((a, b) => a + b, 0) / period;
+            const variance = slice.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / period;
+            const std = Math.sqrt(variance);
+            res.push({ upper: mean + mult * std, middle: mean, lower: mean - mult * std });
+        }
+        return res;
+    }
+
+    function calcVolatility(closes, period = 20) {
+        if (closes.length < period) return 0;
+        const slice = closes.slice(-period);
+        const mean = slice.reduce((a, b) => a + b, 0) / period;
+        const variance = slice.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / period;
+        return Math.sqrt(variance);
+    }
+
+    function calcMACD(values, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+        const emaFast = calcEMA(values, fastPeriod);
+        const emaSlow = calcEMA(values, slowPeriod);
+        const macdLine = emaFast.map((f, i) => f - emaSlow[i]);
+        const signalLine = calcEMA(macdLine, signalPeriod);
+        const histogram = macdLine.map((m, i) => m - signalLine[i]);
+        return { macdLine, signalLine, histogram };
+    }
+
+    // Wilder ATR, aligned with the input: the first value sits at index `period`
+    function calcATR(candles, period = 14) {
+        const atr = Array(candles.length).fill(null);
+        if (candles.length < period + 1) return atr;
+        const tr = [];
+        for (let i = 1; i < candles.length; i++) {
+            const high = candles[i].high;
+            const low = candles[i].low;
+            const prevClose = candles[i - 1].close;
+            tr.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+        }
+        atr[period] = tr.slice(0, period).reduce((a, b) => a + b, 0) / period;
+        for (let i = period + 1; i < candles.length; i++) {
+            atr[i] = (atr[i - 1] * (period - 1) + tr[i - 1]) / period;
+        }
+        return atr;
+    }
+
+    // Highest high and lowest low of the `period` candles ending at i
+    function rangeAt(candles, i, period) {
+        let high = -Infinity, low = Infinity;
+        for (let j = i - period + 1; j <= i; j++) {
+            high = Math.max(high, candles[j].high);
+            low = Math.min(low, candles[j].low);
+        }
+        return { high, low };
+    }
+
+    // %K and its %D signal line (SMA of %K); a flat range reads as the midpoint
+    function calcStochastic(candles, kPeriod = 14, dPeriod = 3) {
+        const k = candles.map((c, i) => {
+            if (i < kPeriod - 1) return null;
+            const { high, low } = rangeAt(candles, i, kPeriod);
+            return high === low ? 50 : 100 * (c.close - low) / (high - low);
+        });
+        const d = k.map((v, i) => {
+            if (i < kPeriod + dPeriod - 2) return null;
+            return k.slice(i - dPeriod + 1, i + 1).reduce((a, b) => a + b, 0) / dPeriod;
+        });
+        return k.map((v, i) => ({ k: v, d: d[i] }));
+    }
+
+    function calcWilliamsR(candles, period = 14) {
+        return candles.map((c, i) => {
+            if (i < period - 1) return null;
+            const { high, low } = rangeAt(candles, i, period);
+            return high === low ? -50 : -100 * (high - c.close) / (high - low);
+        });
+    }
+
+    function calcCCI(candles, period = 20) {
+        const tp = candles.map(c => (c.high + c.low + c.close) / 3);
+        return tp.map((v, i) => {
+            if (i < period - 1) return null;
+            const slice = tp.slice(i - period + 1, i + 1);
+            const mean = slice.reduce((a, b) => a + b, 0) / period;
+            const meanDev = slice.reduce((a, b) => a + Math.abs(b - mean), 0) / period;
+            return meanDev === 0 ? 0 : (v - mean) / (0.015 * meanDev);
+        });
+    }
+
+    // Wilder ADX with the directional indicators: +DI/-DI from index `period`, ADX from 2 * period - 1
+    function calcADX(candles, period = 14) {
+        const out = candles.map(() => ({ adx: null, plusDI: null, minusDI: null }));
+        if (candles.length < period + 1) return out;
+        let tr = 0, plusDM = 0, minusDM = 0, dxSum = 0, adx = null;
+        for (let i = 1; i < candles.length; i++) {
+            const c = candles[i], prev = candles[i - 1];
+            const up = c.high - prev.high;
+            const down = prev.low - c.low;
+            const t = Math.max(c.high - c.low, Math.abs(c.high - prev.close), Math.abs(c.low - prev.close));
+            const p = up > down && up > 0 ? up : 0;
+            const m = down > up && down > 0 ? down : 0;
+            // Sums over the first period, then Wilder smoothing
+            if (i <= period) {
+                tr += t; plusDM += p; minusDM += m;
+                if (i < period) continue;
+            } else {
+                tr = tr - tr / period + t;
+                plusDM = plusDM - plusDM / period + p;
+                minusDM = minusDM - minusDM / period + m;
+            }
+            const plusDI = tr === 0 ? 0 : 100 * plusDM / tr;
+            const minusDI = tr === 0 ? 0 : 100 * minusDM / tr;
+            const dx = plusDI + minusDI === 0 ? 0 : 100 * Math.abs(plusDI - minusDI) / (plusDI + minusDI);
+            if (i < 2 * period - 1) dxSum += dx;
+            else if (i === 2 * period - 1) adx = (dxSum + dx) / period;
+            else adx = (adx * (period - 1) + dx) / period;
+            out[i] = { adx, plusDI, minusDI };
+        }
+        return out;
+    }
+
+    // ATR bands around the bar midpoint that only ratchet towards price; direction flips when a close crosses the active band
+    function calcSupertrend(candles, period = 10, mult = 3) {
+        const atr = calcATR(candles, period);
+        const out = candles.map(() => ({ value: null, direction: 0 }));
+        let upper = null, lower = null, direction = 1;
+        for (let i = period; i < candles.length; i++) {
+            const c = candles[i];
+            const prevClose = candles[i - 1].close;
+            const mid = (c.high + c.low) / 2;
+            const basicUpper = mid + mult * atr[i];
+            const basicLower = mid - mult * atr[i];
+            upper = upper === null || basicUpper < upper || prevClose > upper ? basicUpper : upper;
+            lower = lower === null || basicLower > lower || prevClose < lower ? basicLower : lower;
+            if (direction === 1 && c.close < lower) direction = -1;
+            else if (direction === -1 && c.close > upper) direction = 1;
+            out[i] = { value: direction === 1 ? lower : upper, direction };
+        }
+        return out;
+    }
+
+    // Spans are shifted forward by `displacement`, so index i holds the cloud drawn under bar i
+    function calcIchimoku(candles, conversionPeriod = 9, basePeriod = 26, spanBPeriod = 52, displacement = 26) {
+        const mid = (i, period) => {
+            if (i < period - 1) return null;
+            const { high, low } = rangeAt(candles, i, period);
+            return (high + low) / 2;
+        };
+        const conversion = candles.map((c, i) => mid(i, conversionPeriod));
+        const base = candles.map((c, i) => mid(i, basePeriod));
+        return candles.map((c, i) => {
+            const j = i - displacement;
+            const spanA = j >= 0 && conversion[j] !== null && base[j] !== null ? (conversion[j] + base[j]) / 2 : null;
+            return { conversion: conversion[i], base: base[i], spanA, spanB: j >= 0 ? mid(j, spanBPeriod) : null };
+        });
+    }
+
+    // Synthetic indices report no volume, so each tick is weighted by the seconds since the tick
+    // before it, known when it arrives (the gap to the next tick would look ahead); the first
+    // tick weighs 1. Aligned with `ticks`.
+    function calcTickVWAP(ticks, period = 50) {
+        const weights = ticks.map((t, i) => (i > 0 ? Math.max(1, t.epoch - ticks[i - 1].epoch) : 1));
+        return ticks.map((t, i) => {
+            if (i < period - 1) return null;
+            let sum = 0, weight = 0;
+            for (let j = i - period + 1; j <= i; j++) {
+                sum += ticks[j].quote * weights[j];
+                weight += weights[j];
+            }
+            return sum / weight;
+        });
+    }
+
+    /* ---------- Latest Values ---------- */
+    const DEFAULT_PERIODS = { maFast: 14, maSlow: 50, rsi: 14, bb: 20, bbMult: 2 };
+
+    // Batch counterpart of createIndicatorStream().latest() in core/streaming.js.
+    // `periods` overrides DEFAULT_PERIODS; the keys keep their default names (ma14 is the fast MA)
+    function latestIndicators(candles, periods = {}) {
+        const p = { ...DEFAULT_PERIODS, ...periods };
+        const closes = candles.map(c => c.close);
+        const last = (arr) => arr.length > 0 ? arr[arr.length - 1] : null;
+        return {
+            ma14: last(calcMA(closes, p.maFast)),
+            ma20: last(calcMA(closes, 20)),
+            ma50: last(calcMA(closes, p.maSlow)),
+            rsi: last(calcRSI(closes, p.rsi)),
+            bb: last(calcBollinger(closes, p.bb, p.bbMult)),
+            macdHist: last(calcMACD(closes).histogram),
+            volatility: calcVolatility(closes, 20),
+            atr: last(calcATR(candles, 14)),
+            stoch: last(calcStochastic(candles, 14, 3)),
+            williamsR: last(calcWilliamsR(candles, 14)),
+            cci: last(calcCCI(candles, 20)),
+            adx: last(calcADX(candles, 14)),
+            supertrend: last(calcSupertrend(candles, 10, 3)),
+            ichimoku: last(calcIchimoku(candles))
+        };
+    }
+
+    Object.assign(exports, {
+        calcMA, calcEMA, calcRSI, calcBollinger, calcVolatility, calcMACD, calcATR, calcStochastic, calcWilliamsR,
+        calcCCI, calcADX, calcSupertrend, calcIchimoku, calcTickVWAP, DEFAULT_PERIODS, latestIndicators
+    });
+})(typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}));
@@ -0,0 +1,129 @@
+// core/learning.js
+// Online indicator weighting: one logistic regression per market regime, trained on each
+// settled trade's signal components. Learned coefficients become multipliers on the regime
+// table weights, trusted more as a regime accumulates samples.
+
+(function (exports) {
+    'use strict';
+
+    // Signal components recorded by the engine, and the weight each one is scaled by
+    const SIGNAL_WEIGHT_KEYS = {
+        trend: 'ma',
+        momentum: 'momentum',
+        rsi: 'rsi',
+        bb: 'bb',
+        macd: 'macd',
+        pattern: 'pattern',
+        micro: 'micro',
+        stoch: 'stoch',
+        williams: 'williams',
+        cci: 'cci',
+        adx: 'adx',
+        supertrend: 'supertrend',
+        ichimoku: 'ichimoku',
+        vwap: 'vwap'
+    };
+    const SIGNAL_KEYS = Object.keys(SIGNAL_WEIGHT_KEYS);
+
+    const DEFAULT_LEARNER_OPTIONS = {
+        learningRate: 0.05,
+        l2: 0.001,          // Pulls unused coefficients back towards zero
+        clip: 3,            // Feature clamp; momentum is unbounded
+        priorSamples: 20,   // Samples at which learned multipliers get half their weight
+        minMultiplier: 0.25,
+        maxMultiplier: 2
+    };
+
+    const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+    const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+    function emptyModel() {
+        const coef = {};
+        SIGNAL_KEYS.forEach(k => coef[k] = 0);
+        return { bias: 0, coef, samples: 0, wins: 0 };
+    }
+
+    // `saved` is a previous toJSON() result. Features are the raw signals oriented to the
+    // trade (direction +1 for CALL, -1 for PUT), so a positive coefficient means "this
+    // component agreeing with the trade predicts a win".
+    function createWeightLearner(saved = null, options = {}) {
+        const opts = { ...DEFAULT_LEARNER_OPTIONS, ...options };
+        let models = {};
+        if (saved && saved.models) {
+            Object.entries(saved.models).forEach(([regime, m]) => {
+                models[regime] = { ...emptyModel(), ...m, coef: { ...emptyModel().coef, ...m.coef } };
+            });
+        }
+
+        function features(signals, direction) {
+            const x = {};
+            SIGNAL_KEYS.forEach(k => x[k] = clamp(direction * (Number(signals[k]) || 0), -opts.clip, opts.clip));
+            return x;
+        }
+
+        function predict(regime, signals, direction) {
+            const m = models[regime] || emptyModel();
+            const x = features(signals, direction);
+            return sigmoid(SIGNAL_KEYS.reduce((z, k) => z + m.coef[k] * x[k], m.bias));
+        }
+
+        // One SGD step on a settled trade; returns the win probability predicted before the update
+        function learn({ regime, signals, direction, win }) {
+            if (!models[regime]) models[regime] = emptyModel();
+            const m = models[regime];
+            const x = features(signals, direction);
+            const p = sigmoid(SIGNAL_KEYS.reduce((z, k) => z + m.coef[k] * x[k], m.bias));
+            const err = (win ? 1 : 0) - p;
+            m.bias += opts.learningRate * err;
+            SIGNAL_KEYS.forEach(k => {
+                m.coef[k] += opts.learningRate * (err * x[k] - opts.l2 * m.coef[k]);
+            });
+            m.samples++;
+            if (win) m.wins++;
+            return p;
+        }
+
+        // Per-signal multipliers for a regime; all 1 until it has samples
+        function multipliers(regime) {
+            const m = models[regime];
+            const trust = m ? m.samples / (m.samples + opts.priorSamples) : 0;
+            const out = {};
+            SIGNAL_KEYS.forEach(k => {
+                out[k] = m ? clamp(1 + trust * m.coef[k], opts.minMultiplier, opts.maxMultiplier) : 1;
+            });
+            return out;
+        }
+
+        // Returns a fresh weight set: `weights` scaled by the regime's learned multipliers
+        function adjustWeights(regime, weights) {
+            const mult = multipliers(regime);
+            const out = { ...weights };
+            SIGNAL_KEYS.forEach(k => {
+                const key = SIGNAL_WEIGHT_KEYS[k];
+                if (out[key] !== undefined) out[key] = out[key] * mult[k];
+            });
+            return out;
+        }
+
+        function stats() {
+            return Object.entries(models).map(([regime, m]) => ({
+                regime,
+                samples: m.samples,
+                winRate: m.samples > 0 ? m.wins / m.samples : 0,
+                multipliers: multipliers(regime)
+            }));
+        }
+
+        function reset() {
+            models = {};
+        }
+
+        function toJSON() {
+            return { version: 1, models };
+        }
+
+        return { learn, predict, multipliers, adjustWeights, stats, reset, toJSON };
+    }
+
+    Object.assign(exports, { SIGNAL_KEYS, SIGNAL_WEIGHT_KEYS, DEFAULT_LEARNER_OPTIONS, createWeightLearner });
+})(typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}));
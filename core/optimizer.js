@@ -0,0 +1,261 @@
+// core/optimizer.js
+// Walk-forward parameter search for the adaptive engine (DEFAULT_ENGINE_PARAMS). Each fold
+// picks the best candidate on a training window and scores it on the following unseen
+// window; the final ranking is fitted on the most recent training-sized window.
+
+(function (exports, core) {
+    'use strict';
+
+    const { BACKTEST_LOOKBACK, runBacktest, getStrategy, DEFAULT_STRATEGY_ID, resolveEngineParams } = core;
+
+    // Values to search per parameter, keyed by "group.key" paths into DEFAULT_ENGINE_PARAMS
+    const PARAMETER_SPACE = {
+        'thresholds.signal': [1.5, 2, 2.5, 3, 3.5],
+        'thresholds.strong': [3, 4, 5],
+        'thresholds.confidence': [0.65, 0.7, 0.75, 0.8], // Trades below 0.65 are filtered downstream anyway
+        'thresholds.moderate': [1, 1.5, 2],
+        'thresholds.moderateConfidence': [0.65, 0.7, 0.75, 0.8],
+        'periods.maFast': [10, 14, 20],
+        'periods.maSlow': [40, 50, 60],
+        'periods.rsi': [7, 14, 21],
+        'periods.bb': [14, 20, 26],
+        'periods.bbMult': [1.5, 2, 2.5],
+        'weights.amplify': [1, 1.1, 1.2],
+        'weights.dampen': [0.75, 0.85, 1],
+        'duration.trend': [1, 1.5, 2],
+        'duration.highVol': [0.5, 0.7, 1],
+        'duration.consolidation': [0.6, 0.8, 1]
+    };
+
+    // Small enough to search exhaustively: the two cutoffs that gate every trade
+    const GRID_SPACE = {
+        'thresholds.signal': PARAMETER_SPACE['thresholds.signal'],
+        'thresholds.confidence': PARAMETER_SPACE['thresholds.confidence']
+    };
+
+    const MAX_GRID_CANDIDATES = 500;
+
+    const OBJECTIVES = {
+        profit: { label: 'Total P/L', score: (r) => r.totalProfit },
+        sharpe: {
+            label: 'Sharpe (per trade)',
+            score: (r) => {
+                // Mean over sample deviation of per-trade P/L, as core/analytics.js reports it; not
+                // scaled by sqrt(trades), which would favour sets that trade more. minTrades guards
+                // small samples, and fewer than two trades have no deviation to score
+                const p = r.tradeLog.map(t => t.profit);
+                if (p.length < 2) return null;
+                const mean = p.reduce((a, b) => a + b, 0) / p.length;
+                const std = Math.sqrt(p.reduce((a, b) => a + (b - mean) * (b - mean), 0) / (p.length - 1));
+                return std > 0 ? mean / std : 0;
+            }
+        },
+        winRate: { label: 'Win rate', score: (r) => r.winRate }
+    };
+
+    /* ---------- Candidates ---------- */
+    function withValue(params, path, value) {
+        const [group, key] = path.split('.');
+        return { ...params, [group]: { ...params[group], [key]: value } };
+    }
+
+    function createRandom(seed) {
+        let a = seed >>> 0; // mulberry32
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // The defaults are always candidate 0 so every result has a baseline
+    function randomCandidates(space, count, seed = 1) {
+        const rand = createRandom(seed);
+        const defaults = resolveEngineParams();
+        const seen = new Set([JSON.stringify(defaults)]);
+        const out = [defaults];
+        for (let attempt = 0; out.length < count && attempt < count * 20; attempt++) {
+            let params = defaults;
+            Object.entries(space).forEach(([path, values]) => {
+                params = withValue(params, path, values[Math.floor(rand() * values.length)]);
+            });
+            const key = JSON.stringify(params);
+            if (!seen.has(key)) {
+                seen.add(key);
+                out.push(params);
+            }
+        }
+        return out;
+    }
+
+    function gridCandidates(space) {
+        const size = Object.values(space).reduce((n, values) => n * values.length, 1);
+        if (size > MAX_GRID_CANDIDATES) throw new Error(`Grid has ${size} combinations (max ${MAX_GRID_CANDIDATES}); narrow the space or use random search`);
+        const defaults = resolveEngineParams();
+        let out = [defaults];
+        Object.entries(space).forEach(([path, values]) => {
+            out = out.flatMap(params => values.map(v => withValue(params, path, v)));
+        });
+        // Keep the baseline first, as randomCandidates does
+        const defaultKey = JSON.stringify(defaults);
+        return [defaults, ...out.filter(p => JSON.stringify(p) !== defaultKey)];
+    }
+
+    // Parameters that differ from the defaults, as "path=value" strings
+    function describeParams(params) {
+        const defaults = resolveEngineParams();
+        const diffs = [];
+        Object.keys(defaults).forEach(group => Object.keys(defaults[group]).forEach(key => {
+            if (params[group][key] !== defaults[group][key]) diffs.push(`${group}.${key}=${params[group][key]}`);
+        }));
+        return diffs.length > 0 ? diffs.join(', ') : 'defaults';
+    }
+
+    /* ---------- Walk-Forward ---------- */
+    // Splits [0, length) into folds + trainChunks equal chunks; fold i trains on trainChunks
+    // consecutive chunks and tests on the next one
+    function walkForwardSplits(length, folds, trainChunks = 2) {
+        const chunk = Math.floor(length / (folds + trainChunks));
+        const splits = [];
+        for (let i = 0; i < folds; i++) {
+            const trainStart = i * chunk;
+            const testStart = trainStart + trainChunks * chunk;
+            splits.push({ trainStart, trainEnd: testStart, testStart, testEnd: i === folds - 1 ? length : testStart + chunk });
+        }
+        return { chunk, splits, final: { start: length - trainChunks * chunk, end: length } };
+    }
+
+    // Backtest on [start, end) with up to BACKTEST_LOOKBACK earlier candles as indicator warm-up
+    function backtestRange(candles, start, end, params, base) {
+        const from = Math.max(0, start - BACKTEST_LOOKBACK);
+        return runBacktest(candles.slice(from, end), { ...base, params, startIndex: start - from });
+    }
+
+    function summarize(report, objective, minTrades) {
+        return {
+            score: report.trades >= minTrades ? OBJECTIVES[objective].score(report) : null,
+            trades: report.trades,
+            wins: report.wins,
+            winRate: report.winRate,
+            totalProfit: report.totalProfit,
+            maxDrawdown: report.maxDrawdown
+        };
+    }
+
+    function pickBest(results) {
+        let best = -1;
+        results.forEach((r, i) => {
+            if (r.score !== null && (best < 0 || r.score > results[best].score)) best = i;
+        });
+        return best;
+    }
+
+    const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    // options: { method: 'random' | 'grid', samples, space, seed, folds, trainChunks, objective,
+    // minTrades, top, granularity, stake, payout, minConfidence }. onProgress(done, total) is
+    // called after each backtest; the loop yields between backtests so a page stays responsive.
+    async function runWalkForward(candles, options = {}, onProgress = () => {}) {
+        const {
+            method = 'random',
+            samples = 40,
+            seed = 1,
+            folds = 4,
+            trainChunks = 2,
+            objective = 'profit',
+            minTrades = 10,
+            top = 10,
+            granularity = 60,
+            stake = 1,
+            payout,
+            minConfidence
+        } = options;
+        if (!OBJECTIVES[objective]) throw new Error(`Unknown objective: ${objective}`);
+        const space = options.space || (method === 'grid' ? GRID_SPACE : PARAMETER_SPACE);
+        const candidates = method === 'grid' ? gridCandidates(space) : randomCandidates(space, samples, seed);
+
+        const { chunk, splits, final } = walkForwardSplits(candles.length, folds, trainChunks);
+        if (chunk < 50) throw new Error(`Not enough candles for ${folds} folds (${candles.length} candles, ${chunk} per chunk)`);
+
+        const base = { granularity, stake, payout, minConfidence, strategy: getStrategy(DEFAULT_STRATEGY_ID) };
+        const total = candidates.length * (folds + 1) + folds;
+        let done = 0;
+        const step = async () => {
+            onProgress(++done, total);
+            await yieldToEventLoop();
+        };
+
+        const foldResults = [];
+        const foldWins = new Array(candidates.length).fill(0);
+        for (const split of splits) {
+            const train = [];
+            for (const params of candidates) {
+                train.push(summarize(backtestRange(candles, split.trainStart, split.trainEnd, params, base), objective, minTrades));
+                await step();
+            }
+            const best = pickBest(train);
+            const fold = {
+                trainFrom: candles[split.trainStart].epoch,
+                testFrom: candles[split.testStart].epoch,
+                testTo: candles[split.testEnd - 1].epoch,
+                candidate: best,
+                params: best >= 0 ? candidates[best] : null,
+                train: best >= 0 ? train[best] : null,
+                test: null
+            };
+            if (best >= 0) {
+                foldWins[best]++;
+                fold.test = summarize(backtestRange(candles, split.testStart, split.testEnd, candidates[best], base), objective, 0);
+            }
+            await step();
+            foldResults.push(fold);
+        }
+
+        // Out-of-sample result of the whole procedure: each test window traded with its fold's pick
+        const tested = foldResults.filter(f => f.test);
+        const oosTrades = tested.reduce((n, f) => n + f.test.trades, 0);
+        const oosWins = tested.reduce((n, f) => n + f.test.wins, 0);
+        const outOfSample = {
+            folds: tested.length,
+            trades: oosTrades,
+            winRate: oosTrades > 0 ? oosWins / oosTrades : 0,
+            totalProfit: tested.reduce((sum, f) => sum + f.test.totalProfit, 0)
+        };
+
+        const finalResults = [];
+        for (const params of candidates) {
+            finalResults.push(summarize(backtestRange(candles, final.start, final.end, params, base), objective, minTrades));
+            await step();
+        }
+        const ranking = finalResults
+            .map((r, i) => ({ ...r, candidate: i, params: candidates[i], description: describeParams(candidates[i]), foldWins: foldWins[i] }))
+            .filter(r => r.score !== null)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, top);
+
+        return {
+            objective,
+            objectiveLabel: OBJECTIVES[objective].label,
+            method,
+            evaluated: candidates.length,
+            minTrades,
+            folds: foldResults,
+            outOfSample,
+            baseline: { ...finalResults[0], description: 'defaults' },
+            ranking,
+            best: ranking[0] || null
+        };
+    }
+
+    Object.assign(exports, {
+        PARAMETER_SPACE, GRID_SPACE, OBJECTIVES, randomCandidates, gridCandidates, describeParams,
+        walkForwardSplits, runWalkForward
+    });
+})(
+    typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}),
+    typeof require !== 'undefined'
+        ? Object.assign({}, require('./backtest'), require('./strategies'), require('./engine'))
+        : window.BotCore
+);
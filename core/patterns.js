@@ -0,0 +1,189 @@
+// core/patterns.js
+// Candlestick pattern recognition scored by measured hit rates, and tick micro-structure analysis.
+
+(function (exports) {
+    'use strict';
+
+    /* ---------- Candlestick Pattern Recognition ---------- */
+    const DEFAULT_PATTERN_OPTIONS = {
+        horizon: 3,       // Bars after the pattern at which its outcome is judged
+        priorSamples: 10  // Pseudo-samples of the prior strength blended into a measured hit rate
+    };
+
+    const body = (c) => Math.abs(c.close - c.open);
+    const range = (c) => c.high - c.low;
+    const upperWick = (c) => c.high - Math.max(c.open, c.close);
+    const lowerWick = (c) => Math.min(c.open, c.close) - c.low;
+    const bull = (c) => c.close > c.open;
+    const bear = (c) => c.close < c.open;
+    const mid = (c) => (c.open + c.close) / 2;
+
+    // Each test sees the last three candles (oldest first). `prior` is the strength used until the
+    // pattern has a measured hit rate; `signal` may depend on the candles.
+    const PATTERNS = [
+        { name: 'DOJI', prior: 0.7, signal: 'REVERSAL_PENDING', test: (c1, c2, c3) => range(c3) > 0 && body(c3) < range(c3) * 0.1 },
+        { name: 'HAMMER', prior: 0.8, signal: 'BULLISH', test: (c1, c2, c3) => bull(c3) && lowerWick(c3) > body(c3) * 2 && upperWick(c3) < body(c3) * 0.3 },
+        { name: 'SHOOTING_STAR', prior: 0.8, signal: 'BEARISH', test: (c1, c2, c3) => bear(c3) && upperWick(c3) > body(c3) * 2 && lowerWick(c3) < body(c3) * 0.3 },
+        { name: 'BULLISH_MARUBOZU', prior: 0.7, signal: 'BULLISH', test: (c1, c2, c3) => bull(c3) && body(c3) >= range(c3) * 0.95 },
+        { name: 'BEARISH_MARUBOZU', prior: 0.7, signal: 'BEARISH', test: (c1, c2, c3) => bear(c3) && body(c3) >= range(c3) * 0.95 },
+        {
+            name: 'BULLISH_ENGULFING', prior: 0.85, signal: 'BULLISH',
+            test: (c1, c2, c3) => bear(c2) && bull(c3) && c3.open < c2.close && c3.close > c2.open && body(c3) > body(c2) * 1.2
+        },
+        {
+            name: 'BEARISH_ENGULFING', prior: 0.85, signal: 'BEARISH',
+            test: (c1, c2, c3) => bull(c2) && bear(c3) && c3.open > c2.close && c3.close < c2.open && body(c3) > body(c2) * 1.2
+        },
+        {
+            name: 'BULLISH_HARAMI', prior: 0.65, signal: 'BULLISH',
+            test: (c1, c2, c3) => bear(c2) && bull(c3) && c3.open > c2.close && c3.close < c2.open && body(c3) < body(c2) * 0.6
+        },
+        {
+            name: 'BEARISH_HARAMI', prior: 0.65, signal: 'BEARISH',
+            test: (c1, c2, c3) => bull(c2) && bear(c3) && c3.open < c2.close && c3.close > c2.open && body(c3) < body(c2) * 0.6
+        },
+        {
+            name: 'PIERCING_LINE', prior: 0.75, signal: 'BULLISH',
+            test: (c1, c2, c3) => bear(c2) && bull(c3) && c3.open <= c2.close && c3.close > mid(c2) && c3.close < c2.open
+        },
+        {
+            name: 'DARK_CLOUD_COVER', prior: 0.75, signal: 'BEARISH',
+            test: (c1, c2, c3) => bull(c2) && bear(c3) && c3.open >= c2.close && c3.close < mid(c2) && c3.close > c2.open
+        },
+        {
+            name: 'TWEEZER_BOTTOM', prior: 0.7, signal: 'BULLISH',
+            test: (c1, c2, c3) => bear(c2) && bull(c3) && Math.abs(c2.low - c3.low) <= Math.max(range(c2), range(c3)) * 0.05
+        },
+        {
+            name: 'TWEEZER_TOP', prior: 0.7, signal: 'BEARISH',
+            test: (c1, c2, c3) => bull(c2) && bear(c3) && Math.abs(c2.high - c3.high) <= Math.max(range(c2), range(c3)) * 0.05
+        },
+        { name: 'INSIDE_BAR', prior: 0.55, signal: 'CONTINUATION_PENDING', test: (c1, c2, c3) => c3.high < c2.high && c3.low > c2.low },
+        {
+            name: 'OUTSIDE_BAR', prior: 0.6, signal: (c1, c2, c3) => (bull(c3) ? 'BULLISH' : 'BEARISH'),
+            test: (c1, c2, c3) => c3.high > c2.high && c3.low < c2.low && body(c3) > 0
+        },
+        {
+            name: 'MORNING_STAR', prior: 0.8, signal: 'BULLISH',
+            test: (c1, c2, c3) => bear(c1) && body(c1) > range(c1) * 0.5 && body(c2) < body(c1) * 0.3 && bull(c3) && c3.close > mid(c1)
+        },
+        {
+            name: 'EVENING_STAR', prior: 0.8, signal: 'BEARISH',
+            test: (c1, c2, c3) => bull(c1) && body(c1) > range(c1) * 0.5 && body(c2) < body(c1) * 0.3 && bear(c3) && c3.close < mid(c1)
+        },
+        {
+            name: 'THREE_WHITE_SOLDIERS', prior: 0.9, signal: 'STRONG_BULLISH',
+            test: (c1, c2, c3) => bull(c1) && bull(c2) && bull(c3) && c2.close > c1.close && c3.close > c2.close
+        },
+        {
+            name: 'THREE_BLACK_CROWS', prior: 0.9, signal: 'STRONG_BEARISH',
+            test: (c1, c2, c3) => bear(c1) && bear(c2) && bear(c3) && c2.close < c1.close && c3.close < c2.close
+        }
+    ];
+
+    // Patterns completed at candles[index], with their signal and the move they predict (+1 up, -1 down, 0 none)
+    function matchPatterns(candles, index) {
+        if (index < 2) return [];
+        const [c1, c2, c3] = [candles[index - 2], candles[index - 1], candles[index]];
+        const priorMove = Math.sign(c2.close - c1.open);
+        return PATTERNS.filter(p => p.test(c1, c2, c3)).map(p => {
+            const signal = typeof p.signal === 'function' ? p.signal(c1, c2, c3) : p.signal;
+            let direction = 0;
+            if (signal.includes('BULLISH')) direction = 1;
+            else if (signal.includes('BEARISH')) direction = -1;
+            else if (signal === 'REVERSAL_PENDING') direction = -priorMove;
+            else if (signal === 'CONTINUATION_PENDING') direction = priorMove;
+            return { def: p, signal, direction };
+        });
+    }
+
+    /* ---------- Hit-Rate Scoring ---------- */
+    // `stats` is { [pattern]: { samples, wins } } for one symbol and granularity. Scores the patterns
+    // completed at `index` against the close `horizon` bars later; returns false until that bar exists.
+    function scorePatternOutcome(stats, candles, index, options = {}) {
+        const { horizon } = { ...DEFAULT_PATTERN_OPTIONS, ...options };
+        if (index < 2 || index + horizon >= candles.length) return false;
+        const move = Math.sign(candles[index + horizon].close - candles[index].close);
+        matchPatterns(candles, index).filter(m => m.direction !== 0).forEach(m => {
+            const s = stats[m.def.name] || (stats[m.def.name] = { samples: 0, wins: 0 });
+            s.samples++;
+            if (move === m.direction) s.wins++;
+        });
+        return true;
+    }
+
+    function measurePatternHitRates(candles, options = {}) {
+        const stats = {};
+        for (let i = 2; scorePatternOutcome(stats, candles, i, options); i++);
+        return stats;
+    }
+
+    /* ---------- Pattern Identification ---------- */
+    // Every pattern completed at the last candle, strongest first. Strength is the pattern's hit rate
+    // in `stats` blended with its prior, so thinly sampled patterns stay close to the prior.
+    // The top-level fields describe the strongest match (or NONE); `matches` lists them all.
+    function identifyCandlestickPattern(candles, stats = null, options = {}) {
+        const { priorSamples } = { ...DEFAULT_PATTERN_OPTIONS, ...options };
+        const none = { pattern: 'NONE', strength: 0, signal: 'NEUTRAL', matches: [] };
+        if (candles.length < 3) return none;
+
+        const matches = matchPatterns(candles, candles.length - 1).map(({ def, signal }) => {
+            const measured = stats && stats[def.name];
+            const samples = measured ? measured.samples : 0;
+            return {
+                pattern: def.name,
+                signal,
+                strength: ((measured ? measured.wins : 0) + def.prior * priorSamples) / (samples + priorSamples),
+                hitRate: samples > 0 ? measured.wins / samples : null,
+                samples
+            };
+        }).sort((a, b) => b.strength - a.strength);
+
+        if (matches.length === 0) return none;
+        const { pattern, strength, signal } = matches[0];
+        return { pattern, strength, signal, matches };
+    }
+
+    /* ---------- Predictive Micro-Structure Analysis ---------- */
+    function analyzeMicroStructure(ticks, currentCandle) {
+        if (ticks.length < 10) return { momentum: 0, volatility: 0, prediction: 'UNCERTAIN' };
+
+        const recentTicks = ticks.slice(-20);
+        const prices = recentTicks.map(t => t.quote);
+        const avgPrice = prices.reduce((a, b) => a + b, 0) / prices.length;
+
+        // Calculate tick momentum
+        const momentum = (prices[prices.length - 1] - prices[0]) / prices[0];
+
+        // Calculate micro volatility
+        const variance = prices.reduce((sum, p) => sum + Math.pow(p - avgPrice, 2), 0) / prices.length;
+        const microVol = Math.sqrt(variance);
+
+        // Predict likely candle formation
+        let prediction = 'UNCERTAIN';
+        const currentBody = Math.abs(currentCandle.close - currentCandle.open);
+        const currentRange = currentCandle.high - currentCandle.low;
+
+        if (microVol / avgPrice > 0.001 && momentum > 0.0005) {
+            prediction = 'BULLISH_CONTINUATION';
+        } else if (microVol / avgPrice > 0.001 && momentum < -0.0005) {
+            prediction = 'BEARISH_CONTINUATION';
+        } else if (microVol / avgPrice < 0.0003) {
+            prediction = 'CONSOLIDATION_LIKELY';
+        } else if (currentBody < currentRange * 0.2) {
+            prediction = 'DOJI_FORMING';
+        }
+
+        return {
+            momentum,
+            volatility: microVol / avgPrice,
+            prediction,
+            confidence: Math.min(recentTicks.length / 20, 1)
+        };
+    }
+
+    Object.assign(exports, {
+        DEFAULT_PATTERN_OPTIONS, PATTERN_NAMES: PATTERNS.map(p => p.name), scorePatternOutcome, measurePatternHitRates,
+        identifyCandlestickPattern, analyzeMicroStructure
+    });
+})(typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}));
@@ -0,0 +1,213 @@
+// core/regime.js
+// Market regime detection and regime-driven indicator weighting. Cutoffs are fixed by default or
+// calibrated per symbol from percentiles of its own trend and volatility history, which also
+// yields the empirical regime-to-regime transition probabilities.
+//
+// Assumption behind the percentiles: the calibration history is representative of the symbol.
+// They rank the market against its own past rather than detect trends in absolute terms, so by
+// construction about 30% of the calibration bars label as trends (10% strong) and 20% each as
+// high or low volatility. The model is then held fixed for REGIME_RECALIBRATION_BARS bars, so
+// the bars it classifies are not the ones that set its cutoffs.
+
+(function (exports, core) {
+    'use strict';
+
+    const { latestIndicators, calcMA, calcBollinger, calcADX } = core;
+
+    // Oscillator and trend-filter weights start lower: they overlap with RSI and the MA trend
+    const BASE_WEIGHTS = {
+        ma: 1.0, rsi: 1.0, bb: 1.0, momentum: 1.0, volume: 1.0,
+        stoch: 0.5, williams: 0.3, cci: 0.4, adx: 0.6, supertrend: 0.6, ichimoku: 0.5, vwap: 0.4
+    };
+    const DEFAULT_WEIGHT_MULTIPLIERS = { amplify: 1.1, dampen: 0.85 }; // Applied on a hot / cold win rate
+
+    const REGIME_TYPES = ['STRONG_UPTREND', 'STRONG_DOWNTREND', 'UPTREND', 'DOWNTREND', 'HIGH_VOLATILITY', 'CONSOLIDATION', 'NEUTRAL'];
+
+    // |MA20 - MA50| / MA50 and std(20) / price cutoffs used when no calibration is available
+    const FIXED_REGIME_THRESHOLDS = { strongTrend: 0.02, trend: 0.01, highVol: 0.01, lowVol: 0.003 };
+
+    const DEFAULT_CALIBRATION_OPTIONS = {
+        strongTrend: 0.9,  // Percentile of |trend| above which a trend is strong
+        trend: 0.7,        // ... and above which it is a trend at all
+        highVol: 0.8,      // Percentile of volatility above which it is high
+        lowVol: 0.2,       // ... and below which it is low
+        minSamples: 50,    // Bars with full indicators needed before calibrating
+        smoothing: 1       // Pseudo-count added to every transition
+    };
+    const REGIME_RECALIBRATION_BARS = 50; // Closed bars a calibration is used for before the next
+
+    /* ---------- Market Regime Detection ---------- */
+    // features: { trendStrength, volPercentage, adx }, where adx is a calcADX() point or null
+    function classifyRegime({ trendStrength, volPercentage, adx }, thresholds) {
+        const isHighVol = volPercentage > thresholds.highVol;
+        const isLowVol = volPercentage < thresholds.lowVol;
+
+        // ADX measures directional movement regardless of the MA spread
+        const isDirectionless = adx !== null && adx.adx < 20;
+        const isDirectional = adx !== null && adx.adx >= 30;
+
+        if (Math.abs(trendStrength) > thresholds.strongTrend && !isLowVol && !isDirectionless) {
+            return { type: trendStrength > 0 ? 'STRONG_UPTREND' : 'STRONG_DOWNTREND', confidence: 0.85 };
+        }
+        if (Math.abs(trendStrength) > thresholds.trend) {
+            return { type: trendStrength > 0 ? 'UPTREND' : 'DOWNTREND', confidence: 0.7 };
+        }
+        if (isDirectional) return { type: adx.plusDI > adx.minusDI ? 'UPTREND' : 'DOWNTREND', confidence: 0.65 };
+        if (isHighVol) return { type: 'HIGH_VOLATILITY', confidence: 0.6 };
+        if (isLowVol) return { type: 'CONSOLIDATION', confidence: 0.65 };
+        return { type: 'NEUTRAL', confidence: 0.5 };
+    }
+
+    // `latest` may come from a streaming indicator set; otherwise it is computed from the candles.
+    // With a calibrateRegimes() model the cutoffs are the symbol's own, and the result carries the
+    // probabilities of each regime on the next bar (`transitions`, `persistence` = staying put).
+    function detectMarketRegime(candles, latest = null, model = null) {
+        if (candles.length < 50) return { type: 'INSUFFICIENT_DATA', volatility: 0, trend: 0, confidence: 0 };
+
+        const { volatility, ma20: ma20Current, ma50: ma50Current, atr: atrCurrent, adx: adxNow } = latest || latestIndicators(candles);
+        const currentPrice = candles[candles.length - 1].close;
+
+        const trendStrength = ma20Current && ma50Current ? (ma20Current - ma50Current) / ma50Current : 0;
+        const volPercentage = volatility / currentPrice;
+        const adx = adxNow && adxNow.adx !== null ? adxNow : null;
+        const { type, confidence } = classifyRegime({ trendStrength, volPercentage, adx }, model ? model.thresholds : FIXED_REGIME_THRESHOLDS);
+
+        const regime = {
+            type,
+            volatility: volPercentage,
+            trend: trendStrength,
+            confidence,
+            atr: atrCurrent,
+            adx: adx ? adx.adx : null
+        };
+        if (model) {
+            regime.transitions = model.transitions[type];
+            regime.persistence = model.transitions[type][type];
+        }
+        return regime;
+    }
+
+    /* ---------- Per-Symbol Calibration ---------- */
+    // Regime features of every bar from the 50th on, matching what detectMarketRegime sees live
+    function regimeFeatures(candles) {
+        const closes = candles.map(c => c.close);
+        const ma20 = calcMA(closes, 20);
+        const ma50 = calcMA(closes, 50);
+        const std = calcBollinger(closes, 20, 1).map(b => (b.middle === null ? null : b.upper - b.middle));
+        const adx = calcADX(candles, 14);
+        const features = [];
+        for (let i = 49; i < candles.length; i++) {
+            features.push({
+                trendStrength: (ma20[i] - ma50[i]) / ma50[i],
+                volPercentage: std[i] / closes[i],
+                adx: adx[i].adx !== null ? adx[i] : null
+            });
+        }
+        return features;
+    }
+
+    // Cutoffs from percentiles of the symbol's own history, then the bar-to-bar transition
+    // probabilities of the regimes they produce. Returns null when the history is too short.
+    function calibrateRegimes(candles, options = {}) {
+        const o = { ...DEFAULT_CALIBRATION_OPTIONS, ...options };
+        const features = regimeFeatures(candles);
+        if (features.length < o.minSamples) return null;
+
+        const percentile = (values, q) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+        };
+        const trends = features.map(f => Math.abs(f.trendStrength));
+        const vols = features.map(f => f.volPercentage);
+        const thresholds = {
+            strongTrend: percentile(trends, o.strongTrend),
+            trend: percentile(trends, o.trend),
+            highVol: percentile(vols, o.highVol),
+            lowVol: percentile(vols, o.lowVol)
+        };
+
+        const counts = {};
+        REGIME_TYPES.forEach(from => {
+            counts[from] = {};
+            REGIME_TYPES.forEach(to => counts[from][to] = o.smoothing);
+        });
+        const labels = features.map(f => classifyRegime(f, thresholds).type);
+        for (let i = 1; i < labels.length; i++) counts[labels[i - 1]][labels[i]]++;
+
+        const transitions = {};
+        REGIME_TYPES.forEach(from => {
+            const total = REGIME_TYPES.reduce((sum, to) => sum + counts[from][to], 0);
+            transitions[from] = {};
+            REGIME_TYPES.forEach(to => transitions[from][to] = counts[from][to] / total);
+        });
+        const frequencies = {};
+        REGIME_TYPES.forEach(t => frequencies[t] = labels.filter(l => l === t).length / labels.length);
+
+        return { thresholds, transitions, frequencies, samples: labels.length, epoch: candles[candles.length - 1].epoch };
+    }
+
+    // `model` while it is younger than REGIME_RECALIBRATION_BARS bars of `granularity` seconds,
+    // otherwise a calibration on `candles`. Sorting the history on every bar would cost the
+    // backtest and optimizer a sort per bar for cutoffs that barely move
+    function refreshRegimeModel(model, candles, granularity) {
+        if (model && candles.length > 0 && candles[candles.length - 1].epoch - model.epoch < REGIME_RECALIBRATION_BARS * granularity) {
+            return model;
+        }
+        return calibrateRegimes(candles);
+    }
+
+    /* ---------- Adaptive Indicator Weighting ---------- */
+    function regimeTableWeights(type) {
+        const weights = { ...BASE_WEIGHTS };
+        switch (type) {
+            case 'STRONG_UPTREND':
+            case 'STRONG_DOWNTREND':
+                Object.assign(weights, { ma: 1.3, momentum: 1.4, rsi: 0.8, bb: 0.9 });
+                Object.assign(weights, { adx: 0.9, supertrend: 0.9, ichimoku: 0.8, stoch: 0.3, williams: 0.2, cci: 0.3 });
+                break;
+            case 'HIGH_VOLATILITY':
+                Object.assign(weights, { bb: 1.5, rsi: 1.2, ma: 0.7, momentum: 1.1 });
+                Object.assign(weights, { cci: 0.6, supertrend: 0.4 });
+                break;
+            case 'CONSOLIDATION':
+                Object.assign(weights, { bb: 1.3, rsi: 1.4, ma: 0.6, momentum: 0.5 });
+                Object.assign(weights, { stoch: 0.8, williams: 0.5, cci: 0.6, adx: 0.3, supertrend: 0.3, ichimoku: 0.3 });
+                break;
+        }
+        return weights;
+    }
+
+    // Returns a fresh weight set for the regime, refined by recent win rate. A calibrated regime
+    // weighs each table by the chance of being in that regime on the next bar.
+    function computeIndicatorWeights(regime, recentPerformance, multipliers = DEFAULT_WEIGHT_MULTIPLIERS) {
+        const { amplify, dampen } = { ...DEFAULT_WEIGHT_MULTIPLIERS, ...multipliers };
+        let weights;
+        if (regime.transitions) {
+            weights = {};
+            Object.keys(BASE_WEIGHTS).forEach(k => weights[k] = 0);
+            Object.entries(regime.transitions).forEach(([type, p]) => {
+                const table = regimeTableWeights(type);
+                Object.keys(weights).forEach(k => weights[k] += p * table[k]);
+            });
+        } else {
+            weights = regimeTableWeights(regime.type);
+        }
+
+        if (recentPerformance.winRate > 0.65) {
+            // Amplify current strategy
+            Object.keys(weights).forEach(k => weights[k] *= amplify);
+        } else if (recentPerformance.winRate < 0.45) {
+            // Reduce confidence in current indicators
+            Object.keys(weights).forEach(k => weights[k] *= dampen);
+        }
+        return weights;
+    }
+
+    Object.assign(exports, {
+        BASE_WEIGHTS, DEFAULT_WEIGHT_MULTIPLIERS, REGIME_TYPES, FIXED_REGIME_THRESHOLDS, DEFAULT_CALIBRATION_OPTIONS,
+        REGIME_RECALIBRATION_BARS, classifyRegime, detectMarketRegime, calibrateRegimes, refreshRegimeModel, computeIndicatorWeights
+    });
+})(
+    typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}),
+    typeof require !== 'undefined' ? require('./indicators') : window.BotCore
+);
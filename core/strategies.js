@@ -0,0 +1,339 @@
+// core/strategies.js
+// Strategy registry. A strategy is { id, name, description, evaluate(candles, context) } and
+// returns a decision shaped like advancedDecisionEngine's; an optional `contracts` array lists
+// the contract families (core/contracts.js) it trades by default. Ships the adaptive composite,
+// RSI mean-reversion, MA crossover, and a compiler for declarative JSON rule strategies.
+
+(function (exports, core) {
+    'use strict';
+
+    const {
+        calcMA, calcEMA, calcRSI, calcBollinger, calcMACD, calcATR, calcStochastic, calcWilliamsR, calcCCI, calcADX,
+        calcSupertrend, calcIchimoku, latestIndicators,
+        detectMarketRegime, identifyCandlestickPattern, analyzeMicroStructure,
+        advancedDecisionEngine, resolveEngineParams, confirmWithTimeframes, CONTRACT_FAMILIES
+    } = core;
+
+    const DEFAULT_STRATEGY_ID = 'adaptive';
+
+    /* ---------- Registry ---------- */
+    const registry = new Map();
+
+    function registerStrategy(strategy) {
+        if (!strategy || typeof strategy.id !== 'string' || !strategy.id) throw new Error('Strategy needs a string id');
+        if (typeof strategy.evaluate !== 'function') throw new Error(`Strategy ${strategy.id} needs an evaluate() function`);
+        registry.set(strategy.id, { name: strategy.id, description: '', ...strategy });
+        return registry.get(strategy.id);
+    }
+
+    function unregisterStrategy(id) {
+        // The default strategy is the fallback for unknown ids, so it cannot be removed
+        return id !== DEFAULT_STRATEGY_ID && registry.delete(id);
+    }
+
+    function getStrategy(id) {
+        return registry.get(id) || registry.get(DEFAULT_STRATEGY_ID);
+    }
+
+    function listStrategies() {
+        return [...registry.values()];
+    }
+
+    /* ---------- Shared Decision Helpers ---------- */
+    // Market context every decision carries, so duration optimization and the UI work for any strategy
+    function describeMarket(candles, context) {
+        const latest = context.indicators || latestIndicators(candles);
+        const pattern = identifyCandlestickPattern(candles, context.patternStats);
+        const microAnalysis = analyzeMicroStructure(context.ticks || [], candles[candles.length - 1]);
+        return {
+            latest,
+            regime: detectMarketRegime(candles, latest, context.regimeModel),
+            timeframes: context.timeframes,
+            indicators: {
+                ma14Now: latest.ma14, ma50Now: latest.ma50, rsiNow: latest.rsi, bbNow: latest.bb,
+                volatility: latest.volatility, atr: latest.atr, macd: latest.macdHist, pattern, microAnalysis
+            }
+        };
+    }
+
+    // Higher-timeframe series in the context confirm or veto the entry, as in advancedDecisionEngine
+    function decide(market, action, confidence, compositeSignal, reason, extra = {}) {
+        const decision = {
+            action,
+            reason,
+            confidence: action === 'HOLD' ? 0 : Math.min(confidence, 0.95),
+            compositeSignal,
+            indicators: market.indicators,
+            regime: market.regime,
+            weights: null,
+            ...extra
+        };
+        return market.timeframes ? confirmWithTimeframes(decision, market.timeframes) : decision;
+    }
+
+    /* ---------- Built-in Strategies ---------- */
+    const adaptiveStrategy = {
+        id: 'adaptive',
+        name: 'Adaptive Composite',
+        description: 'Regime-weighted blend of trend, momentum, RSI, Bollinger, MACD, pattern and tick signals',
+        params: resolveEngineParams(), // Replaced wholesale when optimized parameters are applied
+        evaluate(candles, context = {}) {
+            return advancedDecisionEngine(candles, { ...context, params: context.params || this.params });
+        }
+    };
+
+    const rsiReversionStrategy = {
+        id: 'rsi-reversion',
+        name: 'RSI Mean Reversion',
+        description: 'CALL when RSI(14) is oversold (< 30), PUT when overbought (> 70)',
+        params: { oversold: 30, overbought: 70 },
+        evaluate(candles, context = {}) {
+            if (!candles || candles.length < 50) return { action: 'HOLD', reason: 'Insufficient data', confidence: 0 };
+            const market = describeMarket(candles, context);
+            const rsi = market.latest.rsi;
+            const { oversold, overbought } = this.params;
+            if (rsi === null) return decide(market, 'HOLD', 0, 0, 'RSI not ready');
+            // Confidence grows with how far RSI has pushed past the band
+            if (rsi < oversold) {
+                const depth = (oversold - rsi) / oversold;
+                return decide(market, depth > 0.33 ? 'STRONG BUY' : 'BUY', 0.7 + depth, (50 - rsi) / 10, `RSI oversold (${rsi.toFixed(1)})`);
+            }
+            if (rsi > overbought) {
+                const depth = (rsi - overbought) / (100 - overbought);
+                return decide(market, depth > 0.33 ? 'STRONG SELL' : 'SELL', 0.7 + depth, (50 - rsi) / 10, `RSI overbought (${rsi.toFixed(1)})`);
+            }
+            return decide(market, 'HOLD', 0, (50 - rsi) / 10, `RSI neutral (${rsi.toFixed(1)})`);
+        }
+    };
+
+    const maCrossoverStrategy = {
+        id: 'ma-crossover',
+        name: 'MA Crossover',
+        description: 'CALL when SMA(14) crosses above SMA(50), PUT when it crosses below',
+        params: { fast: 14, slow: 50 },
+        evaluate(candles, context = {}) {
+            const { fast, slow } = this.params;
+            if (!candles || candles.length < slow + 1) return { action: 'HOLD', reason: 'Insufficient data', confidence: 0 };
+            const market = describeMarket(candles, context);
+            const closes = candles.slice(-(slow + 1)).map(c => c.close);
+            const fastMA = calcMA(closes, fast).slice(-2);
+            const slowMA = calcMA(closes, slow).slice(-2);
+            const spread = fastMA[1] - slowMA[1];
+            // Spread in units of recent volatility, so the signal is comparable across symbols
+            const signal = market.latest.volatility > 0 ? spread / market.latest.volatility : 0;
+            const confidence = 0.7 + Math.min(0.25, Math.abs(signal) / 10);
+            if (fastMA[0] <= slowMA[0] && fastMA[1] > slowMA[1]) {
+                return decide(market, 'BUY', confidence, signal, `SMA(${fast}) crossed above SMA(${slow})`);
+            }
+            if (fastMA[0] >= slowMA[0] && fastMA[1] < slowMA[1]) {
+                return decide(market, 'SELL', confidence, signal, `SMA(${fast}) crossed below SMA(${slow})`);
+            }
+            return decide(market, 'HOLD', 0, signal, `No crossover (spread ${spread.toFixed(4)})`);
+        }
+    };
+
+    /* ---------- Rule Strategies ---------- */
+    // A rule strategy is plain JSON:
+    // {
+    //   "id": "rsi-bb-bounce", "name": "RSI + lower band bounce",
+    //   "rules": [{
+    //     "when": { "all": [["rsi(14)", "<", 30], ["price", "<=", "bb.lower(20,2)"]] },
+    //     "action": "CALL", "bars": 2, "confidence": 0.75
+    //   }]
+    // }
+    // Conditions are [left, op, right] triples combined with "all" / "any" (a bare array means "all").
+    // Operands are numbers or indicator expressions: price, open, high, low, close, sma(n), ema(n),
+    // rsi(n), atr(n), bb.upper|middle|lower(n,mult), macd.line|signal|hist(fast,slow,signal),
+    // stoch.k|d(k,d), williams(n), cci(n), adx.adx|plus|minus(n), supertrend.value|direction(n,mult),
+    // ichimoku.conversion|base|spana|spanb(conversion,base,spanB,displacement), and the tick digit
+    // window (core/digits.js): digits.last|even|odd|chi2|pvalue|run|parityrun|runsz and
+    // digit.freq|over|under(d) with d in 0-9. Digit operands have no history, so crosses_* never match.
+    // The first matching rule decides; "bars" fixes the expiry in candles of the chart granularity.
+    const RULE_OPERATORS = {
+        '<': (a, b) => a < b,
+        '<=': (a, b) => a <= b,
+        '>': (a, b) => a > b,
+        '>=': (a, b) => a >= b,
+        '==': (a, b) => a === b,
+        crosses_above: (a, b, pa, pb) => pa <= pb && a > b,
+        crosses_below: (a, b, pa, pb) => pa >= pb && a < b
+    };
+
+    const OPERAND_SERIES = {
+        price: { args: [], series: (c) => c.map(x => x.close) },
+        close: { args: [], series: (c) => c.map(x => x.close) },
+        open: { args: [], series: (c) => c.map(x => x.open) },
+        high: { args: [], series: (c) => c.map(x => x.high) },
+        low: { args: [], series: (c) => c.map(x => x.low) },
+        sma: { args: [14], series: (c, [n]) => calcMA(c.map(x => x.close), n) },
+        ema: { args: [14], series: (c, [n]) => calcEMA(c.map(x => x.close), n) },
+        rsi: { args: [14], series: (c, [n]) => calcRSI(c.map(x => x.close), n) },
+        atr: { args: [14], series: (c, [n]) => calcATR(c, n) },
+        bb: {
+            args: [20, 2],
+            fields: ['upper', 'middle', 'lower'],
+            series: (c, [n, mult], field) => calcBollinger(c.map(x => x.close), n, mult).map(b => b[field])
+        },
+        macd: {
+            args: [12, 26, 9],
+            fields: ['line', 'signal', 'hist'],
+            series: (c, [f, s, sig], field) => {
+                const m = calcMACD(c.map(x => x.close), f, s, sig);
+                return { line: m.macdLine, signal: m.signalLine, hist: m.histogram }[field];
+            }
+        },
+        stoch: { args: [14, 3], fields: ['k', 'd'], series: (c, [k, d], field) => calcStochastic(c, k, d).map(s => s[field]) },
+        williams: { args: [14], series: (c, [n]) => calcWilliamsR(c, n) },
+        cci: { args: [20], series: (c, [n]) => calcCCI(c, n) },
+        adx: {
+            args: [14],
+            fields: ['adx', 'plus', 'minus'],
+            series: (c, [n], field) => calcADX(c, n).map(a => ({ adx: a.adx, plus: a.plusDI, minus: a.minusDI })[field])
+        },
+        supertrend: {
+            args: [10, 3],
+            fields: ['value', 'direction'],
+            series: (c, [n, mult], field) => calcSupertrend(c, n, mult).map(s => (s.value === null ? null : s[field]))
+        },
+        ichimoku: {
+            args: [9, 26, 52, 26],
+            fields: ['conversion', 'base', 'spana', 'spanb'],
+            series: (c, args, field) => calcIchimoku(c, ...args).map(i => ({ conversion: i.conversion, base: i.base, spana: i.spanA, spanb: i.spanB })[field])
+        },
+        // Latest value only, from context.digitStats; null until ticks arrive (e.g. in backtests)
+        digits: {
+            args: [],
+            fields: ['last', 'even', 'odd', 'chi2', 'pvalue', 'run', 'parityrun', 'runsz'],
+            series: (c, args, field, ctx) => {
+                const s = ctx.digitStats;
+                if (!s || s.total === 0) return [null];
+                return [{
+                    last: s.last, even: s.even, odd: s.odd, chi2: s.chiSquare.statistic, pvalue: s.chiSquare.pValue,
+                    run: s.run.length, parityrun: s.parityRun.length, runsz: s.runsZ
+                }[field]];
+            }
+        },
+        digit: {
+            args: [5],
+            fields: ['freq', 'over', 'under'],
+            validArg: (a) => Number.isInteger(a) && a >= 0 && a <= 9,
+            series: (c, [d], field, ctx) => {
+                const s = ctx.digitStats;
+                if (!s || s.total === 0) return [null];
+                return [{ freq: s.frequencies, over: s.over, under: s.under }[field][d]];
+            }
+        }
+    };
+
+    function parseOperand(expr) {
+        if (typeof expr === 'number') return { key: String(expr), constant: expr };
+        const m = typeof expr === 'string' && expr.trim().toLowerCase().match(/^([a-z]+)(?:\.([a-z]+))?(?:\(([\d.,\s]*)\))?$/);
+        const def = m && OPERAND_SERIES[m[1]];
+        if (!def) throw new Error(`Unknown operand "${expr}"`);
+        const field = m[2] || null;
+        if (def.fields ? !def.fields.includes(field) : field) {
+            throw new Error(`Operand "${expr}" needs ${def.fields ? `one of .${def.fields.join(', .')}` : 'no field'}`);
+        }
+        const given = m[3] ? m[3].split(',').filter(a => a.trim() !== '').map(Number) : [];
+        const validArg = def.validArg || (a => a > 0);
+        if (given.length > def.args.length || given.some(a => !validArg(a))) throw new Error(`Bad arguments in "${expr}"`);
+        const args = def.args.map((d, i) => given[i] !== undefined ? given[i] : d);
+        const key = `${m[1]}${field ? '.' + field : ''}${args.length > 0 ? `(${args.join(',')})` : ''}`;
+        return { key, name: m[1], field, args };
+    }
+
+    function compileCondition(node) {
+        if (Array.isArray(node) && node.length === 3 && !Array.isArray(node[0])) {
+            const [left, op, right] = node;
+            if (!RULE_OPERATORS[op]) throw new Error(`Unknown operator "${op}"`);
+            return { type: 'compare', left: parseOperand(left), op, right: parseOperand(right) };
+        }
+        if (Array.isArray(node)) return { type: 'all', children: node.map(compileCondition) };
+        if (node && Array.isArray(node.all)) return { type: 'all', children: node.all.map(compileCondition) };
+        if (node && Array.isArray(node.any)) return { type: 'any', children: node.any.map(compileCondition) };
+        throw new Error(`Invalid condition ${JSON.stringify(node)}`);
+    }
+
+    function describeCondition(cond) {
+        if (cond.type === 'compare') return `${cond.left.key} ${cond.op} ${cond.right.key}`;
+        const parts = cond.children.map(c => c.type === 'compare' ? describeCondition(c) : `(${describeCondition(c)})`);
+        return parts.join(cond.type === 'all' ? ' AND ' : ' OR ');
+    }
+
+    function testCondition(cond, valueAt) {
+        if (cond.type === 'all') return cond.children.every(c => testCondition(c, valueAt));
+        if (cond.type === 'any') return cond.children.some(c => testCondition(c, valueAt));
+        const a = valueAt(cond.left, 1), b = valueAt(cond.right, 1);
+        if (a === null || b === null) return false;
+        if (!cond.op.startsWith('crosses')) return RULE_OPERATORS[cond.op](a, b);
+        const pa = valueAt(cond.left, 2), pb = valueAt(cond.right, 2);
+        return pa !== null && pb !== null && RULE_OPERATORS[cond.op](a, b, pa, pb);
+    }
+
+    // Validates a JSON spec and returns a registrable strategy; throws with a readable message
+    function compileRuleStrategy(spec) {
+        const fail = (msg) => { throw new Error(`Invalid rule strategy: ${msg}`); };
+        if (!spec || typeof spec !== 'object') fail('expected a JSON object');
+        if (typeof spec.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(spec.id)) fail('"id" must be a slug like "my-strategy"');
+        if (!Array.isArray(spec.rules) || spec.rules.length === 0) fail('"rules" must be a non-empty array');
+        if (spec.contracts !== undefined && !(Array.isArray(spec.contracts) && spec.contracts.every(f => f in CONTRACT_FAMILIES))) {
+            fail(`"contracts" must list families from: ${Object.keys(CONTRACT_FAMILIES).join(', ')}`);
+        }
+
+        const rules = spec.rules.map((rule, i) => {
+            const where = `rule ${i + 1}`;
+            if (!['CALL', 'PUT'].includes(rule.action)) fail(`${where}: "action" must be CALL or PUT`);
+            if (rule.bars !== undefined && !(Number.isInteger(rule.bars) && rule.bars > 0)) fail(`${where}: "bars" must be a positive integer`);
+            if (rule.confidence !== undefined && !(rule.confidence > 0 && rule.confidence <= 1)) fail(`${where}: "confidence" must be in (0, 1]`);
+            let when;
+            try {
+                when = compileCondition(rule.when);
+            } catch (e) {
+                fail(`${where}: ${e.message}`);
+            }
+            return { when, action: rule.action, bars: rule.bars || null, confidence: rule.confidence || 0.7, label: rule.label || describeCondition(when) };
+        });
+
+        return {
+            id: spec.id,
+            name: spec.name || spec.id,
+            description: spec.description || rules.map(r => `${r.label} → ${r.action}`).join('; '),
+            custom: true,
+            spec,
+            contracts: spec.contracts,
+            evaluate(candles, context = {}) {
+                if (!candles || candles.length < 50) return { action: 'HOLD', reason: 'Insufficient data', confidence: 0 };
+                const market = describeMarket(candles, context);
+                const cache = new Map();
+                // back = 1 is the latest bar, 2 the one before (for crosses_* operators)
+                const valueAt = (operand, back) => {
+                    if (operand.constant !== undefined) return operand.constant;
+                    if (!cache.has(operand.key)) {
+                        const def = OPERAND_SERIES[operand.name];
+                        cache.set(operand.key, def.series(candles, operand.args, operand.field, context));
+                    }
+                    const series = cache.get(operand.key);
+                    const v = series[series.length - back];
+                    return v === undefined || v === null || Number.isNaN(v) ? null : v;
+                };
+                const hit = rules.find(r => testCondition(r.when, valueAt));
+                if (!hit) return decide(market, 'HOLD', 0, 0, 'No rule matched');
+                const action = hit.action === 'CALL' ? 'BUY' : 'SELL';
+                return decide(market, action, hit.confidence, hit.action === 'CALL' ? 1 : -1, `Rule matched: ${hit.label}`,
+                    hit.bars ? { durationBars: hit.bars } : {});
+            }
+        };
+    }
+
+    [adaptiveStrategy, rsiReversionStrategy, maCrossoverStrategy].forEach(registerStrategy);
+
+    Object.assign(exports, {
+        DEFAULT_STRATEGY_ID, registerStrategy, unregisterStrategy, getStrategy, listStrategies, compileRuleStrategy
+    });
+})(
+    typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}),
+    typeof require !== 'undefined'
+        ? Object.assign({}, require('./indicators'), require('./regime'), require('./patterns'), require('./engine'), require('./contracts'),
+            require('./timeframes'))
+        : window.BotCore
+);
@@ -0,0 +1,349 @@
+// core/streaming.js
+// Stateful O(1) counterparts of the batch indicators in core/indicators.js.
+// Each stream supports push(value) for a new bar and replace(value) to revise the
+// forming bar, and reproduces the batch output for the same input series
+// (rolling sums agree to floating-point rounding).
+
+(function (exports) {
+    'use strict';
+
+    /* ---------- Rolling Window ---------- */
+    // Fixed-size ring buffer that can undo its last write so the forming bar can be revised
+    function createWindow(size) {
+        const buf = new Array(size).fill(0);
+        let idx = 0;
+        let count = 0;
+        let undo = null;
+        return {
+            push(v) {
+                const evicted = count >= size ? buf[idx] : null;
+                undo = { idx, count, old: buf[idx] };
+                buf[idx] = v;
+                idx = (idx + 1) % size;
+                if (count < size) count++;
+                return evicted;
+            },
+            revert() {
+                if (!undo) return;
+                idx = undo.idx;
+                count = undo.count;
+                buf[idx] = undo.old;
+                undo = null;
+            },
+            // Oldest-to-newest order once full, matching the batch slice order
+            values() {
+                return count < size ? buf.slice(0, count) : buf.slice(idx).concat(buf.slice(0, idx));
+            },
+            get full() { return count >= size; },
+            get wrapped() { return idx === 0 && count >= size; }
+        };
+    }
+
+    // Wraps a step function over scalar state so replace() can re-run the last step
+    function revisable(initial, step, windowed = null) {
+        let state = initial;
+        let prev = initial;
+        let last = null;
+        return {
+            push(v) {
+                prev = state;
+                state = step(state, v, windowed ? windowed.push(v) : null);
+                last = v;
+                return state.value;
+            },
+            replace(v) {
+                if (last === null) return this.push(v);
+                state = prev;
+                if (windowed) windowed.revert();
+                state = step(state, v, windowed ? windowed.push(v) : null);
+                last = v;
+                return state.value;
+            },
+            get value() { return state.value; }
+        };
+    }
+
+    /* ---------- Indicator Streams ---------- */
+    function createSMA(period = 14) {
+        const win = createWindow(period);
+        return revisable({ sum: 0, value: null }, (s, v, evicted) => {
+            // Re-sum on each wrap so rolling error never accumulates past one window
+            const sum = win.wrapped ? win.values().reduce((a, b) => a + b, 0) : s.sum + v - (evicted || 0);
+            return { sum, value: win.full ? sum / period : null };
+        }, win);
+    }
+
+    function createEMA(period = 14) {
+        const k = 2 / (period + 1);
+        return revisable({ value: null }, (s, v) => ({
+            value: s.value === null ? v : v * k + s.value * (1 - k)
+        }));
+    }
+
+    function createRSI(period = 14) {
+        return revisable({ prevClose: null, n: 0, gainSum: 0, lossSum: 0, avgGain: 0, avgLoss: 0, value: null }, (s, v) => {
+            if (s.prevClose === null) return { ...s, prevClose: v };
+            const d = v - s.prevClose;
+            const g = Math.max(0, d), l = Math.max(0, -d);
+            const n = s.n + 1;
+            if (n < period) return { ...s, prevClose: v, n, gainSum: s.gainSum + g, lossSum: s.lossSum + l };
+            let avgGain, avgLoss;
+            if (n === period) {
+                avgGain = (s.gainSum + g) / period;
+                avgLoss = (s.lossSum + l) / period;
+            } else {
+                avgGain = (s.avgGain * (period - 1) + g) / period;
+                avgLoss = (s.avgLoss * (period - 1) + l) / period;
+            }
+            const value = avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss));
+            return { ...s, prevClose: v, n, avgGain, avgLoss, value };
+        });
+    }
+
+    function createBollinger(period = 20, mult = 2) {
+        const win = createWindow(period);
+        const empty = { upper: null, middle: null, lower: null, std: 0 };
+        // Sums are taken relative to the first value seen to avoid cancellation at high price levels
+        return revisable({ ref: null, sum: 0, sumSq: 0, value: empty }, (s, v, evicted) => {
+            const ref = s.ref === null ? v : s.ref;
+            let sum, sumSq;
+            if (win.wrapped) {
+                const vals = win.values();
+                sum = vals.reduce((a, b) => a + (b - ref), 0);
+                sumSq = vals.reduce((a, b) => a + (b - ref) * (b - ref), 0);
+            } else {
+                const out = evicted === null ? 0 : evicted - ref;
+                sum = s.sum + (v - ref) - out;
+                sumSq = s.sumSq + (v - ref) * (v - ref) - out * out;
+            }
+            if (!win.full) return { ref, sum, sumSq, value: empty };
+            const meanDev = sum / period;
+            const std = Math.sqrt(Math.max(0, sumSq / period - meanDev * meanDev));
+            const middle = ref + meanDev;
+            return { ref, sum, sumSq, value: { upper: middle + mult * std, middle, lower: middle - mult * std, std } };
+        }, win);
+    }
+
+    function createMACD(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+        const fast = createEMA(fastPeriod);
+        const slow = createEMA(slowPeriod);
+        const signal = createEMA(signalPeriod);
+        const compose = (method) => (v) => {
+            const macdLine = fast[method](v) - slow[method](v);
+            const signalLine = signal[method](macdLine);
+            return { macdLine, signalLine, histogram: macdLine - signalLine };
+        };
+        let value = null;
+        const push = compose('push');
+        const replace = compose('replace');
+        return {
+            push(v) { return value = push(v); },
+            replace(v) { return value = replace(v); },
+            get value() { return value; }
+        };
+    }
+
+    // Takes candles rather than closes: true range needs high, low and the previous close
+    function createATR(period = 14) {
+        return revisable({ prevClose: null, n: 0, trSum: 0, value: null }, (s, c) => {
+            if (s.prevClose === null) return { ...s, prevClose: c.close };
+            const tr = Math.max(c.high - c.low, Math.abs(c.high - s.prevClose), Math.abs(c.low - s.prevClose));
+            const n = s.n + 1;
+            if (n < period) return { ...s, prevClose: c.close, n, trSum: s.trSum + tr };
+            const value = n === period ? (s.trSum + tr) / period : (s.value * (period - 1) + tr) / period;
+            return { ...s, prevClose: c.close, n, value };
+        });
+    }
+
+    // Highest high and lowest low of the last `period` candles; a scan of the window, as periods are short
+    function createRange(period) {
+        const win = createWindow(period);
+        return revisable({ value: null }, () => {
+            if (!win.full) return { value: null };
+            let high = -Infinity, low = Infinity;
+            win.values().forEach(c => {
+                high = Math.max(high, c.high);
+                low = Math.min(low, c.low);
+            });
+            return { value: { high, low } };
+        }, win);
+    }
+
+    // Streams built from other streams: push/replace fan out to the parts in the same order
+    function composed(step, initial) {
+        let value = initial;
+        return {
+            push(c) { return value = step('push', c); },
+            replace(c) { return value = step('replace', c); },
+            get value() { return value; }
+        };
+    }
+
+    function createStochastic(kPeriod = 14, dPeriod = 3) {
+        const range = createRange(kPeriod);
+        const d = createSMA(dPeriod);
+        return composed((method, c) => {
+            const r = range[method](c);
+            if (r === null) return { k: null, d: null };
+            const k = r.high === r.low ? 50 : 100 * (c.close - r.low) / (r.high - r.low);
+            return { k, d: d[method](k) };
+        }, { k: null, d: null });
+    }
+
+    function createWilliamsR(period = 14) {
+        const range = createRange(period);
+        return composed((method, c) => {
+            const r = range[method](c);
+            if (r === null) return null;
+            return r.high === r.low ? -50 : -100 * (r.high - c.close) / (r.high - r.low);
+        }, null);
+    }
+
+    function createCCI(period = 20) {
+        const win = createWindow(period);
+        return revisable({ value: null }, () => {
+            if (!win.full) return { value: null };
+            const tp = win.values().map(c => (c.high + c.low + c.close) / 3);
+            const mean = tp.reduce((a, b) => a + b, 0) / period;
+            const meanDev = tp.reduce((a, b) => a + Math.abs(b - mean), 0) / period;
+            return { value: meanDev === 0 ? 0 : (tp[period - 1] - mean) / (0.015 * meanDev) };
+        }, win);
+    }
+
+    function createADX(period = 14) {
+        const empty = { adx: null, plusDI: null, minusDI: null };
+        return revisable({ prev: null, n: 0, tr: 0, plusDM: 0, minusDM: 0, dxSum: 0, value: empty }, (s, c) => {
+            if (s.prev === null) return { ...s, prev: c };
+            const up = c.high - s.prev.high;
+            const down = s.prev.low - c.low;
+            const t = Math.max(c.high - c.low, Math.abs(c.high - s.prev.close), Math.abs(c.low - s.prev.close));
+            const p = up > down && up > 0 ? up : 0;
+            const m = down > up && down > 0 ? down : 0;
+            const n = s.n + 1;
+            let { tr, plusDM, minusDM } = s;
+            if (n <= period) {
+                tr += t; plusDM += p; minusDM += m;
+                if (n < period) return { ...s, prev: c, n, tr, plusDM, minusDM };
+            } else {
+                tr = tr - tr / period + t;
+                plusDM = plusDM - plusDM / period + p;
+                minusDM = minusDM - minusDM / period + m;
+            }
+            const plusDI = tr === 0 ? 0 : 100 * plusDM / tr;
+            const minusDI = tr === 0 ? 0 : 100 * minusDM / tr;
+            const dx = plusDI + minusDI === 0 ? 0 : 100 * Math.abs(plusDI - minusDI) / (plusDI + minusDI);
+            let dxSum = s.dxSum, adx = s.value.adx;
+            if (n < 2 * period - 1) dxSum += dx;
+            else if (n === 2 * period - 1) adx = (dxSum + dx) / period;
+            else adx = (adx * (period - 1) + dx) / period;
+            return { prev: c, n, tr, plusDM, minusDM, dxSum, value: { adx, plusDI, minusDI } };
+        });
+    }
+
+    function createSupertrend(period = 10, mult = 3) {
+        const atr = createATR(period);
+        const bands = revisable({ prevClose: null, upper: null, lower: null, direction: 1, value: { value: null, direction: 0 } }, (s, { c, a }) => {
+            if (a === null) return { ...s, prevClose: c.close };
+            const mid = (c.high + c.low) / 2;
+            const basicUpper = mid + mult * a;
+            const basicLower = mid - mult * a;
+            const upper = s.upper === null || basicUpper < s.upper || s.prevClose > s.upper ? basicUpper : s.upper;
+            const lower = s.lower === null || basicLower > s.lower || s.prevClose < s.lower ? basicLower : s.lower;
+            let direction = s.direction;
+            if (direction === 1 && c.close < lower) direction = -1;
+            else if (direction === -1 && c.close > upper) direction = 1;
+            return { prevClose: c.close, upper, lower, direction, value: { value: direction === 1 ? lower : upper, direction } };
+        });
+        return composed((method, c) => bands[method]({ c, a: atr[method](c) }), bands.value);
+    }
+
+    // Spans computed `displacement` bars ago are the cloud under the current bar, as in calcIchimoku
+    function createIchimoku(conversionPeriod = 9, basePeriod = 26, spanBPeriod = 52, displacement = 26) {
+        const conversion = createRange(conversionPeriod);
+        const base = createRange(basePeriod);
+        const spanB = createRange(spanBPeriod);
+        const spans = []; // Last displacement + 1 bars' spans, oldest first
+        const mid = (r) => (r === null ? null : (r.high + r.low) / 2);
+        return composed((method, c) => {
+            const conv = mid(conversion[method](c));
+            const baseLine = mid(base[method](c));
+            const current = { spanA: conv !== null && baseLine !== null ? (conv + baseLine) / 2 : null, spanB: mid(spanB[method](c)) };
+            if (method === 'push' || spans.length === 0) {
+                spans.push(current);
+                if (spans.length > displacement + 1) spans.shift();
+            } else {
+                spans[spans.length - 1] = current;
+            }
+            const cloud = spans.length === displacement + 1 ? spans[0] : { spanA: null, spanB: null };
+            return { conversion: conv, base: baseLine, ...cloud };
+        }, { conversion: null, base: null, spanA: null, spanB: null });
+    }
+
+    /* ---------- Per-Series Indicator Set ---------- */
+    // Tracks every indicator the engine and chart use for one candle series.
+    // `series` holds chart-aligned output arrays trimmed to maxLength.
+    function createIndicatorStream(maxLength = Infinity) {
+        const ma14 = createSMA(14), ma20 = createSMA(20), ma50 = createSMA(50);
+        const rsi = createRSI(14), bb = createBollinger(20, 2), macd = createMACD(12, 26, 9), atr = createATR(14);
+        // Candle-based streams, in the keys latest() and the chart series share
+        const extra = {
+            stoch: createStochastic(14, 3), williamsR: createWilliamsR(14), cci: createCCI(20),
+            adx: createADX(14), supertrend: createSupertrend(10, 3), ichimoku: createIchimoku()
+        };
+        const series = { ma14: [], ma50: [], rsi: [], bb: [], macdLine: [], macdSignal: [], macdHist: [], atr: [] };
+        Object.keys(extra).forEach(k => series[k] = []);
+        const extraValues = () => {
+            const out = {};
+            Object.keys(extra).forEach(k => out[k] = extra[k].value);
+            return out;
+        };
+
+        function step(method, candle) {
+            const v = candle.close;
+            ma14[method](v); ma20[method](v); ma50[method](v);
+            rsi[method](v); bb[method](v); macd[method](v); atr[method](candle);
+            Object.values(extra).forEach(s => s[method](candle));
+            const { std, ...band } = bb.value;
+            const { macdLine, signalLine, histogram } = macd.value;
+            return {
+                ma14: ma14.value, ma50: ma50.value, rsi: rsi.value, bb: band,
+                macdLine, macdSignal: signalLine, macdHist: histogram, atr: atr.value, ...extraValues()
+            };
+        }
+
+        return {
+            series,
+            push(candle) {
+                const out = step('push', candle);
+                Object.keys(series).forEach(k => {
+                    series[k].push(out[k]);
+                    if (series[k].length > maxLength) series[k].shift();
+                });
+            },
+            replaceLast(candle) {
+                const out = step('replace', candle);
+                Object.keys(series).forEach(k => series[k][series[k].length - 1] = out[k]);
+            },
+            // Same shape as latestIndicators() in core/indicators.js
+            latest() {
+                const { std, ...band } = bb.value;
+                return {
+                    ma14: ma14.value,
+                    ma20: ma20.value,
+                    ma50: ma50.value,
+                    rsi: rsi.value,
+                    bb: band,
+                    macdHist: macd.value ? macd.value.histogram : null,
+                    volatility: std,
+                    atr: atr.value,
+                    ...extraValues()
+                };
+            }
+        };
+    }
+
+    Object.assign(exports, {
+        createSMA, createEMA, createRSI, createBollinger, createMACD, createATR, createStochastic, createWilliamsR,
+        createCCI, createADX, createSupertrend, createIchimoku, createIndicatorStream
+    });
+})(typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}));
@@ -0,0 +1,78 @@
+// core/timeframes.js
+// Higher-timeframe confirmation: trend and regime read from slower candle series, used to
+// veto, dampen or boost a decision made on the trading timeframe.
+
+(function (exports, core) {
+    'use strict';
+
+    const { latestIndicators, detectMarketRegime, refreshRegimeModel } = core;
+
+    const TIMEFRAME_MIN_CANDLES = 50;
+
+    // Regime model of each candle series, which the live bot extends in place
+    const regimeModels = new WeakMap();
+
+    const DEFAULT_CONFIRMATION_OPTIONS = {
+        boost: 0.05,   // Confidence added per agreeing timeframe
+        penalty: 0.1,  // Confidence removed per opposing timeframe
+        veto: true     // HOLD when more timeframes oppose the entry than agree with it
+    };
+
+    function formatGranularity(granularity) {
+        if (granularity % 3600 === 0) return `${granularity / 3600}h`;
+        if (granularity % 60 === 0) return `${granularity / 60}m`;
+        return `${granularity}s`;
+    }
+
+    /* ---------- Timeframe Assessment ---------- */
+    // trend: 1 when price > MA20 > MA50, -1 when price < MA20 < MA50, otherwise 0
+    function assessTimeframe(candles, granularity) {
+        const label = formatGranularity(granularity);
+        if (!candles || candles.length < TIMEFRAME_MIN_CANDLES) {
+            return { granularity, label, ready: false, trend: 0, regime: 'INSUFFICIENT_DATA' };
+        }
+        const latest = latestIndicators(candles);
+        const price = candles[candles.length - 1].close;
+        const { ma20, ma50 } = latest;
+        let trend = 0;
+        if (ma20 !== null && ma50 !== null) {
+            if (price > ma20 && ma20 > ma50) trend = 1;
+            else if (price < ma20 && ma20 < ma50) trend = -1;
+        }
+        const model = refreshRegimeModel(regimeModels.get(candles) || null, candles, granularity);
+        regimeModels.set(candles, model);
+        return { granularity, label, ready: true, trend, regime: detectMarketRegime(candles, latest, model).type };
+    }
+
+    /* ---------- Confirmation ---------- */
+    // `timeframes` is [{ granularity, candles }]; returns a new decision with a `timeframes` summary.
+    // HOLD decisions and unready timeframes pass through unchanged.
+    function confirmWithTimeframes(decision, timeframes, options = {}) {
+        const { boost, penalty, veto } = { ...DEFAULT_CONFIRMATION_OPTIONS, ...options };
+        const assessments = (timeframes || []).map(tf => assessTimeframe(tf.candles, tf.granularity));
+        const ready = assessments.filter(a => a.ready);
+        if (decision.action === 'HOLD' || ready.length === 0) return { ...decision, timeframes: assessments };
+
+        const direction = decision.action.includes('BUY') ? 1 : -1;
+        const agreeing = ready.filter(a => a.trend === direction).map(a => a.label);
+        const opposing = ready.filter(a => a.trend === -direction).map(a => a.label);
+        const summary = `HTF agree: ${agreeing.join(', ') || 'none'}${opposing.length ? ` | against: ${opposing.join(', ')}` : ''}`;
+
+        if (veto && opposing.length > agreeing.length) {
+            return {
+                ...decision,
+                action: 'HOLD',
+                confidence: 0,
+                reason: `Higher timeframes disagree (${opposing.join(', ')}) - ${decision.reason}`,
+                timeframes: assessments
+            };
+        }
+        const confidence = Math.max(0, Math.min(0.95, decision.confidence + agreeing.length * boost - opposing.length * penalty));
+        return { ...decision, confidence, reason: `${decision.reason} | ${summary}`, timeframes: assessments };
+    }
+
+    Object.assign(exports, { DEFAULT_CONFIRMATION_OPTIONS, formatGranularity, assessTimeframe, confirmWithTimeframes });
+})(
+    typeof module !== 'undefined' ? module.exports : (window.BotCore = window.BotCore || {}),
+    typeof require !== 'undefined' ? Object.assign({}, require('./indicators'), require('./regime')) : window.BotCore
+);
@@ -1,270 +1,180 @@
 // decisions.js
 
-/* ---------- Adaptive Duration Optimization ---------- */
-function optimizeTradeDuration(decision, regime, volatility, pattern) {
-    const baseGranularity = parseInt(granEl.value, 10);
-    
-    // Risk-adjusted duration based on multiple factors
-    let durationMultiplier = 1.0;
-    let riskScore = 0.5;
-    
-    // Regime-based adjustment
-    switch (regime.type) {
-        case 'STRONG_UPTREND':
-        case 'STRONG_DOWNTREND':
-            durationMultiplier = 1.5; // Hold longer in strong trends
-            riskScore = 0.3;
-            break;
-        case 'HIGH_VOLATILITY':
-            durationMultiplier = 0.7; // Shorter duration in high vol
-            riskScore = 0.7;
-            break;
-        case 'CONSOLIDATION':
-            durationMultiplier = 0.8; // Moderate duration in ranging
-            riskScore = 0.6;
-            break;
-    }
-    
-    // Pattern-based adjustment
-    if (pattern.strength > 0.8) {
-        durationMultiplier *= 1.2; // Strong patterns justify longer holds
-        riskScore *= 0.85;
-    }
-    
-    // Volatility-based adjustment
-    if (volatility > 0.015) {
-        durationMultiplier *= 0.8; // Reduce duration in extreme volatility
-        riskScore *= 1.2;
-    } else if (volatility < 0.005) {
-        durationMultiplier *= 1.1; // Can hold longer in low volatility
-        riskScore *= 0.9;
-    }
-    
-    // Confidence-based adjustment
-    if (decision.confidence > 0.8) {
-        durationMultiplier *= 1.15;
-        riskScore *= 0.9;
-    } else if (decision.confidence < 0.6) {
-        durationMultiplier *= 0.85;
-        riskScore *= 1.1;
-    }
-    
-    const optimizedDuration = Math.round(baseGranularity * durationMultiplier);
-    const finalDuration = Math.max(baseGranularity, Math.min(optimizedDuration, baseGranularity * 3));
-    
-    return {
-        duration: finalDuration,
-        riskScore: Math.min(riskScore, 1),
-        rationale: `Optimized from ${baseGranularity}s to ${finalDuration}s (${regime.type}, Vol: ${(volatility * 100).toFixed(3)}%)`
-    };
+/* ---------- Core Bindings ---------- */
+const { optimizeTradeDuration, buildContract, paperPayout, evaluateProposal, settlePaperTick, lastDigit } = BotCore;
+
+const PROPOSAL_MAX_AGE_MS = 10000; // Older proposals no longer reflect the decision that asked for them
+const MIN_EXPECTED_VALUE = 0;      // Per unit of cost; trades at or below it are rejected
+
+// Last settled-or-pending trades, newest first, as the engine's recent performance input
+function getRecentTrades(count = 20) {
+    return getJournalRecords(count);
 }
 
-/* ---------- Enhanced Decision Engine ---------- */
-function advancedDecisionEngine(candles) {
-    if (!candles || candles.length < 50) return { action: 'HOLD', reason: 'Insufficient data', confidence: 0 };
-    
-    const closes = candles.map(c => c.close);
-    const ma14 = calcMA(closes, 14);
-    const ma50 = calcMA(closes, 50);
-    const rsi = calcRSI(closes, 14);
-    const bb = calcBollinger(closes, 20, 2);
-    const macd = calcMACD(closes);
-    const volatility = calcVolatility(closes, 20);
-    const atr = calcATR(candles, 14);
-    
-    // Update market regime
-    marketRegime = detectMarketRegime(candles);
-    
-    // Get recent performance
-    const hist = JSON.parse(localStorage.getItem('tradeHistory') || '[]');
-    const recentTrades = hist.slice(0, 20);
-    const winRate = recentTrades.length > 0 ? 
-        recentTrades.filter(t => t.result === 'WIN').length / recentTrades.length : 0.5;
-    
-    // Update indicator weights
-    updateIndicatorWeights(marketRegime, { winRate });
-    
-    // Identify candlestick pattern
-    const pattern = identifyCandlestickPattern(candles);
-    
-    // Micro-structure analysis
-    const microAnalysis = analyzeMicroStructure(tickBuffer, candles[candles.length - 1]);
-    
-    const i = closes.length - 1;
-    const price = closes[i];
-    const prevPrice = closes[i - 1];
-    const ma14Now = ma14[i];
-    const ma50Now = ma50[i];
-    const rsiNow = rsi[i] || 50;
-    const bbNow = bb[i];
-    const macdNow = macd.histogram[i];
-    const atrNow = atr[i];
-    
-    if (ma14Now === null || rsiNow === null || !bbNow.upper) {
-        return { action: 'HOLD', reason: 'Indicators not ready', confidence: 0 };
-    }
-    
-    // Calculate weighted signals
-    const trendSignal = (price > ma14Now ? 1 : -1) * indicatorWeights.ma;
-    const momentumSignal = ((price - prevPrice) / prevPrice * 1000) * indicatorWeights.momentum;
-    const rsiSignal = (rsiNow < 30 ? 1 : (rsiNow > 70 ? -1 : 0)) * indicatorWeights.rsi;
-    const bbSignal = (price <= bbNow.lower ? 1 : (price >= bbNow.upper ? -1 : 0)) * indicatorWeights.bb;
-    const macdSignal = (macdNow > 0 ? 1 : -1) * 0.8;
-    
-    // Pattern signal
-    let patternSignal = 0;
-    if (pattern.signal === 'BULLISH' || pattern.signal === 'STRONG_BULLISH') patternSignal = pattern.strength;
-    if (pattern.signal === 'BEARISH' || pattern.signal === 'STRONG_BEARISH') patternSignal = -pattern.strength;
-    
-    // Micro-structure signal
-    let microSignal = 0;
-    if (microAnalysis.prediction === 'BULLISH_CONTINUATION') microSignal = 0.6;
-    if (microAnalysis.prediction === 'BEARISH_CONTINUATION') microSignal = -0.6;
-    
-    // Composite signal
-    const compositeSignal = trendSignal + momentumSignal + rsiSignal + bbSignal + 
-                           macdSignal + patternSignal + microSignal;
-    
-    // Confidence calculation
-    const signalStrength = Math.abs(compositeSignal);
-    let baseConfidence = Math.min(signalStrength / 5, 1);
-    
-    // Adjust confidence based on regime
-    baseConfidence *= marketRegime.confidence;
-    
-    // Adjust for pattern strength
-    if (pattern.strength > 0.7) baseConfidence *= 1.15;
-    
-    // Adjust for recent performance
-    if (winRate > 0.6) baseConfidence *= 1.1;
-    else if (winRate < 0.4) baseConfidence *= 0.85;
-    
-    const confidence = Math.min(baseConfidence, 0.95);
-    
-    // Volatility filter
-    if (volatility < 0.002) {
-        return { 
-            action: 'HOLD', 
-            reason: 'Extremely low volatility - no edge', 
-            confidence: 0,
-            indicators: { ma14Now, ma50Now, rsiNow, bbNow, volatility, atr: atrNow, pattern, microAnalysis }
-        };
-    }
-    
-    // Decision logic with enhanced thresholds
-    let action = 'HOLD';
-    let reason = 'No clear signal';
-    
-    if (compositeSignal > 2.5 && confidence > 0.65) {
-        action = compositeSignal > 4 ? 'STRONG BUY' : 'BUY';
-        reason = `Bullish composite signal (${compositeSignal.toFixed(2)}) | ${marketRegime.type} | ${pattern.pattern}`;
-    } else if (compositeSignal < -2.5 && confidence > 0.65) {
-        action = compositeSignal < -4 ? 'STRONG SELL' : 'SELL';
-        reason = `Bearish composite signal (${compositeSignal.toFixed(2)}) | ${marketRegime.type} | ${pattern.pattern}`;
-    } else if (Math.abs(compositeSignal) > 1.5 && confidence > 0.7) {
-        action = compositeSignal > 0 ? 'BUY' : 'SELL';
-        reason = `Moderate ${compositeSignal > 0 ? 'bullish' : 'bearish'} signal with high confidence`;
-    } else {
-        reason = `Insufficient signal strength (${compositeSignal.toFixed(2)}) or confidence (${(confidence * 100).toFixed(0)}%)`;
-    }
-    
-    return {
-        action,
-        reason,
-        confidence,
-        compositeSignal,
-        indicators: { 
-            ma14Now, ma50Now, rsiNow, bbNow, volatility, 
-            atr: atrNow, macd: macdNow, pattern, microAnalysis 
-        },
-        regime: marketRegime,
-        weights: { ...indicatorWeights }
-    };
+function describeContractDuration(contract) {
+    if (contract.duration_unit === 't') return `${contract.duration} ticks`;
+    if (!contract.duration) return 'open until take profit / stop loss';
+    return `${contract.duration}s`;
 }
 
-/* ---------- Performance Tracking ---------- */
-function updatePerformanceMetrics(record) {
-    if (record.result === 'WIN') performanceMetrics.wins++;
-    if (record.result === 'LOSS') performanceMetrics.losses++;
-    if (record.profit !== undefined) performanceMetrics.totalProfit += record.profit;
-    
-    performanceMetrics.regimeHistory.push({
-        time: record.time,
-        regime: marketRegime.type,
-        result: record.result
+/* ---------- Trade Evaluation ---------- */
+// Settled trades of one strategy and contract family; records from before contract families are Rise/Fall
+function getStrategyHistory(strategyId, family) {
+    const settled = getJournalRecords().filter(h =>
+        h.strategy === strategyId && (h.family || 'risefall') === family && !['PENDING', 'OPEN', 'VOID'].includes(h.result));
+    return { trades: settled.length, wins: settled.filter(h => h.profit > 0).length };
+}
+
+// Expected value check of paying `cost` to receive `payout` on a win; multipliers instead
+// risk their stop loss to win their take profit
+function evaluateTrade(params, cost, payout) {
+    const { contract } = params;
+    if (contract.family === 'multipliers') {
+        cost = params.amount * Math.min(contract.stop_loss_pct, 100) / 100;
+        payout = cost + params.amount * contract.take_profit_pct / 100;
+    }
+    return evaluateProposal({ cost, payout }, {
+        confidence: contract.confidence,
+        history: getStrategyHistory(params.strategy, contract.family),
+        minEdge: MIN_EXPECTED_VALUE
     });
-    
-    // Keep last 100 regime records
-    if (performanceMetrics.regimeHistory.length > 100) {
-        performanceMetrics.regimeHistory.shift();
+}
+
+function evaluateLiveProposal(params, data) {
+    const age = Date.now() - params.requestedAt;
+    const reject = (reason) => ({ accept: false, reason: `Rejected - ${reason}` });
+    if (age > PROPOSAL_MAX_AGE_MS) return reject(`decision is ${(age / 1000).toFixed(1)}s old`);
+    if (data.echo_req.symbol !== params.symbol || data.echo_req.contract_type !== params.contract_type) {
+        return reject(`proposal is for ${data.echo_req.symbol} ${data.echo_req.contract_type}, not the requested trade`);
     }
+    return evaluateTrade(params, parseFloat(data.proposal.ask_price), parseFloat(data.proposal.payout));
 }
 
 /* ---------- Simulation / Live Trade Flow ---------- */
 function simulateTrade(params, indicators) {
-    const { confidence, compositeSignal } = params.decisionObj || { confidence: 0.5, compositeSignal: 0 };
-    const volFactor = indicators.volatility * 100;
-    
-    // Enhanced simulation with regime-aware probability
-    let baseWinChance = 0.5;
-    
-    // Adjust based on signal strength
-    baseWinChance += (confidence * 0.25);
-    baseWinChance += (Math.abs(compositeSignal) / 10);
-    
-    // Regime adjustment
-    if (marketRegime.type.includes('STRONG')) {
-        baseWinChance += 0.1;
-    } else if (marketRegime.type === 'HIGH_VOLATILITY') {
-        baseWinChance -= 0.05; // Harder to predict
+    const { confidence } = params.decisionObj || { confidence: 0.5 };
+    const state = getSymbolState(params.symbol);
+    const entryTick = state.ticks[state.ticks.length - 1];
+    if (!entryTick) {
+        appendFeed('Paper trade skipped - no live tick available for entry spot', 'warn');
+        return;
     }
-    
-    // Pattern adjustment
-    if (indicators.pattern && indicators.pattern.strength > 0.75) {
-        baseWinChance += 0.08;
-    }
-    
-    // Cap probability
-    baseWinChance = Math.max(0.3, Math.min(0.85, baseWinChance));
-    
-    const win = Math.random() < baseWinChance;
-    const payoutFactor = win ? (1.75 + volFactor / 10) : -1;
-    const profit = params.amount * payoutFactor;
-    
+    // Same expected value gate a live proposal passes, priced at the paper payout
+    const verdict = evaluateTrade(params, params.amount, params.amount * (1 + paperPayout(params.contract, PAPER_PAYOUT)));
+    appendFeed(`Paper ${params.symbol} ${params.contract_type}: ${verdict.reason}`, verdict.accept ? 'info' : 'warn');
+    if (!verdict.accept) return;
+
+    // Only time-based contracts expire by the clock; tick and multiplier contracts settle on ticks
+    const timed = params.contract.duration_unit === 's';
+    const contract = {
+        ...params.contract,
+        contract_id: `SIM-${entryTick.epoch}-${tradesMade + 1}`,
+        symbol: params.symbol,
+        amount: params.amount,
+        entry_spot: entryTick.quote,
+        entry_epoch: entryTick.epoch,
+        expiry_epoch: timed ? entryTick.epoch + params.duration : null,
+        pip_size: state.pipSize
+    };
+    // Barriers were quoted against the last close; re-anchor them on the entry spot
+    if (contract.barrier_level !== undefined) contract.barrier_level = contract.entry_spot + parseFloat(contract.barrier);
+    paperContracts.set(contract.contract_id, contract);
+
     const rec = {
-        time: new Date().toLocaleTimeString(),
+        opened_at: new Date(entryTick.epoch * 1000).toISOString(),
         mode: 'SIMULATION',
         symbol: params.symbol,
         amount: params.amount,
+        payout: params.amount * (1 + paperPayout(params.contract, PAPER_PAYOUT)),
         decision: params.decision,
-        result: win ? 'WIN' : 'LOSS',
-        profit,
+        contract_type: params.contract_type,
+        family: contract.family,
+        barrier: contract.barrier,
+        direction: contract.direction,
+        result: 'PENDING',
+        contract_id: contract.contract_id,
+        entry_spot: contract.entry_spot,
+        expiry_epoch: contract.expiry_epoch,
+        profit: 0,
         confidence: confidence,
-        regime: marketRegime.type,
-        duration: params.duration
+        strategy: params.strategy,
+        expected_value: verdict.ev,
+        regime: decisionRegimeType(params.decisionObj),
+        duration: contract.duration,
+        duration_unit: contract.duration_unit,
+        decision_snapshot: buildDecisionSnapshot(params.decisionObj),
+        signals: params.decisionObj && params.decisionObj.signals, // Full signal vector for the weight learner
+        weights: params.decisionObj && params.decisionObj.weights
     };
-    
+
     saveHistoryRecord(rec);
-    appendFeed(`Simulated ${rec.decision} on ${rec.symbol} → ${rec.result} (${profit.toFixed(2)}) [Conf: ${(confidence * 100).toFixed(0)}%]`, win ? 'success' : 'error');
+    appendFeed(`Paper ${params.contract_type}${contract.barrier ? ` ${contract.barrier}` : ''} on ${params.symbol} @ ${contract.entry_spot} - ${describeContractDuration(contract)} [Conf: ${(confidence * 100).toFixed(0)}%]`, 'info');
     tradesMade++;
 }
 
+function settlePaperContracts(tick) {
+    paperContracts.forEach((contract, id) => {
+        if (contract.symbol !== tick.symbol || tick.epoch <= contract.entry_epoch) return;
+
+        // A tick far past expiry means the stream dropped; there is no fair exit spot
+        if (contract.expiry_epoch !== null && tick.epoch - contract.expiry_epoch > PAPER_SETTLE_TOLERANCE_S) {
+            voidPaperContract(id, 'no tick at expiry');
+            return;
+        }
+
+        const outcome = settlePaperTick(contract, tick, PAPER_PAYOUT);
+        if (!outcome) return;
+        paperContracts.delete(id);
+
+        const { win, profit, exitSpot } = outcome;
+        const settled = updateHistoryRecord(id, {
+            result: win ? 'WIN' : 'LOSS',
+            profit,
+            exit_spot: exitSpot,
+            closed_at: new Date(tick.epoch * 1000).toISOString()
+        });
+        appendFeed(`Paper ${contract.contract_type} on ${contract.symbol} settled: ${contract.entry_spot} → ${exitSpot} = ${win ? 'WIN' : 'LOSS'} (${profit.toFixed(2)})`, win ? 'success' : 'error');
+        recordTradeOutcome(profit);
+        settled.then(learnFromTrade);
+        refreshAnalytics();
+    });
+}
+
+function voidPaperContract(id, reason) {
+    paperContracts.delete(id);
+    updateHistoryRecord(id, { result: 'VOID', profit: 0 });
+    appendFeed(`Paper contract ${id} voided - ${reason}`, 'warn');
+}
+
 function requestLiveProposal(params) {
+    const { contract } = params;
     const proposalReq = {
         proposal: 1,
         amount: params.amount,
         basis: 'stake',
         contract_type: params.contract_type,
         currency: 'USD',
-        duration: params.duration,
-        duration_unit: params.duration_unit,
-        symbol: params.symbol,
-        subscribe: 1
+        symbol: params.symbol
     };
-    appendFeed(`Requesting live proposal (${params.contract_type}) for ${params.symbol} [Duration: ${params.duration}s]`, 'info');
-    try {
-        ws.send(JSON.stringify(proposalReq));
-    } catch (e) {
-        appendFeed(`Proposal request failed: ${e.message}`, 'error');
+    if (contract.duration) {
+        proposalReq.duration = contract.duration;
+        proposalReq.duration_unit = contract.duration_unit;
+    }
+    if (contract.barrier !== undefined) proposalReq.barrier = contract.barrier;
+    if (contract.family === 'multipliers') {
+        proposalReq.multiplier = contract.multiplier;
+        proposalReq.limit_order = {
+            take_profit: Math.round(params.amount * contract.take_profit_pct) / 100,
+            stop_loss: Math.round(params.amount * contract.stop_loss_pct) / 100
+        };
     }
-}
\ No newline at end of file
+    params.requestedAt = Date.now();
+    // Holds a slot of the open-contract limit until handleProposal buys or drops it
+    pendingTrades.add(params);
+    appendFeed(`Requesting live proposal (${params.contract_type}${contract.barrier ? ` ${contract.barrier}` : ''}) for ${params.symbol} [${describeContractDuration(contract)}]`, 'info');
+    return api.subscribe(proposalReq, (data, handle) => handleProposal(data, handle, params))
+        .catch(e => {
+            pendingTrades.delete(params);
+            appendFeed(`Proposal request failed: ${e.message}`, 'error');
+        });
+}
@@ -0,0 +1,86 @@
+// digits.js
+
+/* ---------- Core Bindings ---------- */
+const { createDigitStream, DEFAULT_DIGIT_WINDOW, MAX_DIGIT_WINDOW } = BotCore;
+
+/* ---------- Tick Digit Window ---------- */
+const DIGIT_UNIFORM_P = 0.05; // Chi-square p-value below which the panel flags a skewed distribution
+const DIGIT_HISTORY_MAX_COUNT = 5000; // Deriv's ticks_history limit per request
+const DIGIT_RENDER_DELAY_MS = 1000; // Fast symbols tick several times a second; the panel redraws at most once per delay
+
+let digitRenderTimer = null;
+
+function getDigitWindow() {
+    const size = parseInt(digitWindowEl.value, 10);
+    return size >= 100 ? Math.min(size, MAX_DIGIT_WINDOW) : DEFAULT_DIGIT_WINDOW;
+}
+
+function recordDigit(state, tick) {
+    state.digitStream.push(lastDigit(tick.quote, state.pipSize));
+    if (tick.symbol === symbolEl.value) scheduleDigitRender();
+}
+
+// Seeds the window from tick history so the statistics do not wait for thousands of live ticks
+function fetchDigitHistory(symbol) {
+    return api.send({
+        ticks_history: symbol,
+        end: 'latest',
+        count: Math.min(getDigitWindow(), DIGIT_HISTORY_MAX_COUNT),
+        style: 'ticks'
+    })
+        .then(data => {
+            const state = symbolStates.get(symbol);
+            if (!state || !data.history || data.history.prices.length === 0) return;
+            if (data.pip_size !== undefined) state.pipSize = data.pip_size;
+            const { prices, times } = data.history;
+            const stream = createDigitStream(getDigitWindow());
+            prices.forEach(quote => stream.push(lastDigit(quote, state.pipSize)));
+            // Live ticks that arrived while the request was out
+            state.ticks.filter(t => t.epoch > times[times.length - 1]).forEach(t => stream.push(lastDigit(t.quote, state.pipSize)));
+            state.digitStream = stream;
+            if (symbol === symbolEl.value) renderDigitStats(state);
+        })
+        .catch(e => reportApiError(e, `Tick history request failed for ${symbol}`));
+}
+
+// Shrinking keeps each symbol's most recent digits; growing refills from tick history when connected
+function resizeDigitStreams() {
+    const size = getDigitWindow();
+    symbolStates.forEach((state, symbol) => {
+        const grew = size > state.digitStream.size;
+        state.digitStream.resize(size);
+        if (grew && api && api.isOpen()) fetchDigitHistory(symbol);
+    });
+    renderDigitStats(getSymbolState(symbolEl.value));
+}
+
+/* ---------- Digit Statistics Panel ---------- */
+function scheduleDigitRender() {
+    if (digitRenderTimer) return;
+    digitRenderTimer = setTimeout(() => {
+        digitRenderTimer = null;
+        renderDigitStats(getSymbolState(symbolEl.value));
+    }, DIGIT_RENDER_DELAY_MS);
+}
+
+function renderDigitStats(state) {
+    const s = state.digitStream.stats();
+    if (s.total === 0) {
+        digitStatsEl.innerHTML = `<li>Waiting for ${state.symbol} ticks (window ${state.digitStream.size})</li>`;
+        return;
+    }
+    const pct = (v) => `${(v * 100).toFixed(1)}%`;
+    const test = (t) => `χ²(${t.df}) ${t.statistic.toFixed(2)}, p ${t.pValue.toFixed(3)}${t.pValue < DIGIT_UNIFORM_P ? ' ⚠ skewed' : ''}`;
+    const hot = s.frequencies.indexOf(Math.max(...s.frequencies));
+    const cold = s.frequencies.indexOf(Math.min(...s.frequencies));
+    digitStatsEl.innerHTML = `
+        <li>Window: ${s.total} / ${state.digitStream.size} ticks | Last digit: ${s.last}</li>
+        <li>Digits: ${s.frequencies.map((f, d) => `${d}:${pct(f)}`).join(' ')}</li>
+        <li>Hot ${hot} (${pct(s.frequencies[hot])}) | Cold ${cold} (${pct(s.frequencies[cold])})</li>
+        <li>Uniformity: ${test(s.chiSquare)}</li>
+        <li>Even/Odd: ${pct(s.even)} / ${pct(s.odd)} (${test(s.parityChiSquare)})</li>
+        <li>Over 2/4/6: ${pct(s.over[2])} / ${pct(s.over[4])} / ${pct(s.over[6])} | Under 3/5/7: ${pct(s.under[3])} / ${pct(s.under[5])} / ${pct(s.under[7])}</li>
+        <li>Run: ${s.run.digit} ×${s.run.length} (longest ${s.longestRun.digit} ×${s.longestRun.length}) | ${s.parityRun.parity} ×${s.parityRun.length} (longest ${s.longestParityRun.parity} ×${s.longestParityRun.length})</li>
+        <li>Even/odd runs z: ${s.runsZ.toFixed(2)} ${s.runsZ < -2 ? '(streaky)' : (s.runsZ > 2 ? '(alternating)' : '')}</li>
+    `;
+}
@@ -0,0 +1,43 @@
+// exits.js
+
+/* ---------- Core Bindings ---------- */
+const { DEFAULT_EXIT_RULES, EXIT_REASONS, createExitState, evaluateExit } = BotCore;
+
+function getExitRules() {
+    const read = (el, key) => {
+        const v = parseFloat(el.value);
+        return Number.isFinite(v) && v >= 0 ? v : DEFAULT_EXIT_RULES[key];
+    };
+    return {
+        takeProfitPct: read(exitTakeProfitEl, 'takeProfitPct'),
+        stopLossPct: read(exitStopLossEl, 'stopLossPct'),
+        trailStartPct: read(exitTrailStartEl, 'trailStartPct'),
+        trailGiveBackPct: read(exitTrailGiveBackEl, 'trailGiveBackPct'),
+        timeExitPct: read(exitTimePctEl, 'timeExitPct')
+    };
+}
+
+/* ---------- Exit Manager ---------- */
+// Runs on every update of a contract the bot bought while it is still open
+function manageExit(poc, active) {
+    if (active.selling) return;
+    const exit = evaluateExit(active.exit, poc);
+    if (exit.sell) sellContract(poc, active, exit);
+}
+
+// The closing proposal_open_contract update credits the balance; the sell response only confirms
+async function sellContract(poc, active, exit) {
+    active.selling = true;
+    active.exitReason = exit.code;
+    appendFeed(`💰 ${exit.reason}. Selling contract ${poc.contract_id} at ${poc.bid_price}...`, exit.code === 'STOP_LOSS' ? 'warn' : 'success');
+    try {
+        // price is the minimum acceptable sale price, not the spot
+        const res = await api.send({ sell: poc.contract_id, price: poc.bid_price });
+        updateHistoryRecord(poc.contract_id, { exit_reason: exit.code, sold_for: res.sell.sold_for });
+        appendFeed(`Contract ${poc.contract_id} sold for ${res.sell.sold_for} (${EXIT_REASONS[exit.code]}) - transaction ${res.sell.transaction_id}`, 'success');
+    } catch (e) {
+        active.selling = false;
+        active.exitReason = null;
+        reportApiError(e, `Sell failed for ${poc.contract_id}`);
+    }
+}
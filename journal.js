@@ -0,0 +1,386 @@
+// journal.js
+// Trade journal in IndexedDB. Every record is one row keyed by contract_id; the newest
+// JOURNAL_CACHE_SIZE rows are mirrored in memory for the synchronous readers (engine
+// performance, stake sizing, the expected value gate).
+
+/* ---------- Config ---------- */
+const JOURNAL_DB_NAME = 'derivBotJournal';
+const JOURNAL_DB_VERSION = 1;
+const JOURNAL_STORE = 'trades';
+const JOURNAL_CACHE_SIZE = 500;
+const JOURNAL_FILTER_FIELDS = ['symbol', 'mode', 'result'];
+const HISTORY_PAGE_SIZE = 25;
+const HISTORY_RENDER_DELAY_MS = 250; // Coalesces the writes of one burst (e.g. open contract updates) into one redraw
+
+/* ---------- State ---------- */
+let journalDb = null;   // null until opened, or when IndexedDB is unavailable (memory only)
+let journalCache = [];  // Newest first
+let historyPage = 0;
+let historyRenderTimer = null;
+// Bumped by every change that can move a query's totals (added rows, result changes, clears);
+// totals are cached per filter until it moves, so history pages do not re-walk the journal
+let journalVersion = 0;
+let journalTotals = { version: -1, byFilter: new Map() };
+
+/* ---------- Storage ---------- */
+function openJournal() {
+    return new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        const req = indexedDB.open(JOURNAL_DB_NAME, JOURNAL_DB_VERSION);
+        req.onupgradeneeded = () => {
+            const store = req.result.createObjectStore(JOURNAL_STORE, { keyPath: 'contract_id' });
+            store.createIndex('opened_at', 'opened_at');
+            // [field, opened_at] so a filtered page still walks newest first
+            JOURNAL_FILTER_FIELDS.forEach(f => store.createIndex(`${f}_opened_at`, [f, 'opened_at']));
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+            appendFeed(`Trade journal could not be opened: ${req.error && req.error.message}`, 'error');
+            resolve(null);
+        };
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+}
+
+function writeJournal(records) {
+    if (!journalDb) return Promise.resolve();
+    const tx = journalDb.transaction(JOURNAL_STORE, 'readwrite');
+    const store = tx.objectStore(JOURNAL_STORE);
+    records.forEach(r => store.put(r));
+    return transactionDone(tx);
+}
+
+// When a legacy record opened, from its own timestamps: an opened_at, the paper entry epoch, or the
+// expiry less a duration in seconds. Null when it only has a time of day
+function legacyOpenedAt(rec) {
+    if (rec.opened_at && !Number.isNaN(Date.parse(rec.opened_at))) return new Date(rec.opened_at).toISOString();
+    if (rec.entry_epoch) return new Date(rec.entry_epoch * 1000).toISOString();
+    if (rec.expiry_epoch && rec.duration_unit === 's' && rec.duration) return new Date((rec.expiry_epoch - rec.duration) * 1000).toISOString();
+    return null;
+}
+
+// Builds before the journal kept one JSON array in localStorage (newest first), often with only a time of day
+async function migrateLocalHistory() {
+    const legacy = JSON.parse(localStorage.getItem('tradeHistory') || '[]');
+    if (legacy.length === 0) return;
+    const migratedAt = Date.now();
+    const records = legacy.map(({ time, ...rec }, i) => {
+        const openedAt = legacyOpenedAt(rec);
+        return {
+            ...rec,
+            contract_id: rec.contract_id !== undefined ? rec.contract_id : `LEGACY-${migratedAt}-${i}`,
+            // Without a date of its own, stamp the migration time, one second apart to keep the order
+            opened_at: openedAt || new Date(migratedAt - i * 1000).toISOString(),
+            time_recovered: openedAt !== null,
+            legacy_time: time,
+            migrated: true
+        };
+    });
+    journalVersion++;
+    await writeJournal(records);
+    localStorage.removeItem('tradeHistory');
+    appendFeed(`Migrated ${records.length} trade(s) from localStorage into the trade journal`, 'info');
+}
+
+async function initJournal() {
+    journalDb = await openJournal();
+    if (!journalDb) {
+        appendFeed('IndexedDB unavailable - trade history is kept for this session only', 'warn');
+        renderHistory();
+        return;
+    }
+    try {
+        await migrateLocalHistory();
+    } catch (e) {
+        appendFeed(`Trade history migration failed, localStorage copy kept: ${e.message}`, 'error');
+    }
+    await reloadJournalCache();
+}
+
+/* ---------- Queries ---------- */
+const isSettled = (r) => r.result === 'WIN' || r.result === 'LOSS';
+
+// `filters`: { symbol, mode, result, from, to } with from/to as ISO timestamps. The first equality
+// filter picks its [field, opened_at] index; the rest are checked per row. Returns one page of
+// records, newest first, plus totals over every matching row: `total` rows, and `wins` and
+// `profit` of the `settled` (WIN / LOSS) ones. With the totals cached the walk stops at the page.
+function queryJournal(filters = {}, offset = 0, limit = HISTORY_PAGE_SIZE) {
+    const from = filters.from || '';
+    const to = filters.to || '\uffff';
+    const matches = (r) => JOURNAL_FILTER_FIELDS.every(f => !filters[f] || r[f] === filters[f]) &&
+        r.opened_at >= from && r.opened_at <= to;
+    if (journalTotals.version !== journalVersion) journalTotals = { version: journalVersion, byFilter: new Map() };
+    const version = journalVersion;
+    const key = JSON.stringify([...JOURNAL_FILTER_FIELDS.map(f => filters[f] || ''), from, to]);
+    const cached = journalTotals.byFilter.get(key);
+    const totals = { total: 0, settled: 0, wins: 0, profit: 0 };
+    const records = [];
+    let seen = 0;
+    const add = (r) => {
+        if (seen >= offset && records.length < limit) records.push(r);
+        seen++;
+        totals.total++;
+        if (!isSettled(r)) return;
+        totals.settled++;
+        if (r.result === 'WIN') totals.wins++;
+        totals.profit += r.profit || 0;
+    };
+    const pageDone = () => cached && records.length >= limit;
+    const finish = () => {
+        // A change while the walk ran would leave these totals stale
+        if (!cached && version === journalVersion) journalTotals.byFilter.set(key, totals);
+        return { records, ...(cached || totals) };
+    };
+
+    if (!journalDb) {
+        journalCache.filter(matches).forEach(add);
+        return Promise.resolve(finish());
+    }
+    return new Promise((resolve, reject) => {
+        const store = journalDb.transaction(JOURNAL_STORE).objectStore(JOURNAL_STORE);
+        const field = JOURNAL_FILTER_FIELDS.find(f => filters[f]);
+        const index = store.index(field ? `${field}_opened_at` : 'opened_at');
+        const range = field
+            ? IDBKeyRange.bound([filters[field], from], [filters[field], to])
+            : IDBKeyRange.bound(from, to);
+        const req = index.openCursor(range, 'prev');
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor || pageDone()) {
+                resolve(finish());
+                return;
+            }
+            if (matches(cursor.value)) add(cursor.value);
+            cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Newest first, from the in-memory mirror
+function getJournalRecords(count = JOURNAL_CACHE_SIZE) {
+    return journalCache.slice(0, count);
+}
+
+// Every row, newest first
+async function readJournal() {
+    return (await queryJournal({}, 0, Infinity)).records;
+}
+
+async function reloadJournalCache() {
+    journalCache = (await queryJournal({}, 0, JOURNAL_CACHE_SIZE)).records;
+    renderHistory();
+    redrawChart(); // Trade markers on older candles
+}
+
+// Adds rows whose contract_id is not in the journal yet; returns { added, skipped, invalid }
+async function importJournalRecords(records) {
+    const valid = records.filter(r => r && r.contract_id !== undefined && !Number.isNaN(Date.parse(r.opened_at)));
+    const result = { added: 0, skipped: 0, invalid: records.length - valid.length };
+    const known = new Set(journalDb
+        ? await new Promise((resolve, reject) => {
+            const req = journalDb.transaction(JOURNAL_STORE).objectStore(JOURNAL_STORE).getAllKeys();
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        })
+        : journalCache.map(r => r.contract_id));
+    const fresh = [];
+    valid.forEach(r => {
+        if (known.has(r.contract_id)) {
+            result.skipped++;
+            return;
+        }
+        known.add(r.contract_id);
+        fresh.push(r);
+    });
+    result.added = fresh.length;
+    if (fresh.length > 0) journalVersion++;
+    if (journalDb) {
+        await writeJournal(fresh);
+    } else {
+        journalCache = journalCache.concat(fresh)
+            .sort((a, b) => (a.opened_at < b.opened_at ? 1 : -1))
+            .slice(0, JOURNAL_CACHE_SIZE);
+    }
+    await reloadJournalCache();
+    return result;
+}
+
+/* ---------- Records ---------- */
+// Regime the decision was made in; the global marketRegime follows whichever symbol is charted
+function decisionRegimeType(decision) {
+    return decision && decision.regime ? decision.regime.type : undefined;
+}
+
+// What the decision looked like when the trade was placed; rule strategies carry fewer indicators
+function buildDecisionSnapshot(decision) {
+    if (!decision) return null;
+    const ind = decision.indicators || {};
+    return {
+        action: decision.action,
+        reason: decision.reason,
+        confidence: decision.confidence,
+        composite_signal: decision.compositeSignal,
+        rsi: ind.rsiNow,
+        ma14: ind.ma14Now,
+        ma50: ind.ma50Now,
+        atr: ind.atr,
+        volatility: ind.volatility,
+        pattern: ind.pattern && ind.pattern.pattern,
+        patterns: ind.pattern && ind.pattern.matches ? ind.pattern.matches.map(m => m.pattern) : undefined
+    };
+}
+
+function saveHistoryRecord(record) {
+    journalVersion++;
+    journalCache.unshift(record);
+    if (journalCache.length > JOURNAL_CACHE_SIZE) journalCache.pop();
+    persistRecord(record);
+}
+
+// Resolves to the updated record, or null when the journal has no such row. Rows older than the
+// in-memory mirror are merged in IndexedDB and the merged row is returned
+async function updateHistoryRecord(contractId, changes) {
+    const cached = journalCache.find(h => h.contract_id === contractId);
+    if (cached) {
+        if (changes.result !== undefined && changes.result !== cached.result) journalVersion++;
+        Object.assign(cached, changes);
+        persistRecord(cached);
+        return cached;
+    }
+    if (!journalDb) return null;
+    const tx = journalDb.transaction(JOURNAL_STORE, 'readwrite');
+    const store = tx.objectStore(JOURNAL_STORE);
+    const req = store.get(contractId);
+    let merged = null;
+    req.onsuccess = () => {
+        if (!req.result) return;
+        if (changes.result !== undefined && changes.result !== req.result.result) journalVersion++;
+        merged = { ...req.result, ...changes };
+        store.put(merged);
+    };
+    try {
+        await transactionDone(tx);
+    } catch (e) {
+        appendFeed(`Trade journal update failed: ${e.message}`, 'error');
+        return null;
+    }
+    scheduleHistoryRender();
+    return merged;
+}
+
+function persistRecord(record) {
+    writeJournal([record])
+        .then(scheduleHistoryRender)
+        .catch(e => appendFeed(`Trade journal write failed: ${e.message}`, 'error'));
+}
+
+async function clearHistory() {
+    journalVersion++;
+    if (journalDb) {
+        const tx = journalDb.transaction(JOURNAL_STORE, 'readwrite');
+        tx.objectStore(JOURNAL_STORE).clear();
+        await transactionDone(tx);
+    }
+    journalCache = [];
+    historyPage = 0;
+    renderHistory();
+    refreshAnalytics();
+    redrawChart();
+    appendFeed('Trade history cleared', 'warn');
+}
+
+/* ---------- History Panel ---------- */
+// Date inputs are local days; the journal stores UTC ISO timestamps
+function getHistoryFilters() {
+    const filters = {
+        symbol: historySymbolFilterEl.value,
+        mode: historyModeFilterEl.value,
+        result: historyResultFilterEl.value
+    };
+    if (historyFromEl.value) filters.from = new Date(`${historyFromEl.value}T00:00:00`).toISOString();
+    if (historyToEl.value) filters.to = new Date(`${historyToEl.value}T23:59:59.999`).toISOString();
+    return filters;
+}
+
+function formatRecordTime(r) {
+    if (r.migrated && !r.time_recovered) return `${r.legacy_time || '?'} (imported)`;
+    return new Date(r.opened_at).toLocaleString();
+}
+
+async function renderHistory() {
+    let page;
+    try {
+        page = await queryJournal(getHistoryFilters(), historyPage * HISTORY_PAGE_SIZE, HISTORY_PAGE_SIZE);
+    } catch (e) {
+        appendFeed(`Trade journal query failed: ${e.message}`, 'error');
+        return;
+    }
+    const pages = Math.max(1, Math.ceil(page.total / HISTORY_PAGE_SIZE));
+    if (historyPage >= pages) {
+        historyPage = pages - 1;
+        return renderHistory();
+    }
+
+    historyEl.innerHTML = '';
+    const summary = document.createElement('div');
+    summary.className = 'history-summary';
+    // Pending and open trades have no outcome yet, so only settled ones enter the win rate and P/L
+    const winRate = page.settled > 0 ? (page.wins / page.settled * 100).toFixed(1) : 0;
+    summary.innerHTML = `<strong>Total Trades:</strong> ${page.total} (${page.settled} settled) • <strong>Win Rate:</strong> ${winRate}% • <strong>Settled P/L:</strong> ${page.profit.toFixed(2)} USD`;
+    historyEl.appendChild(summary);
+    page.records.forEach(r => {
+        const d = document.createElement('div');
+        d.className = 'history-item';
+        const profitColor = r.profit > 0 ? 'var(--success-color)' : (r.profit < 0 ? 'var(--error-color)' : 'var(--muted-color)');
+        const spots = r.entry_spot !== undefined ? `${r.entry_spot} → ${r.exit_spot !== undefined ? r.exit_spot : '…'}` : '';
+        d.innerHTML = `
+            <span>${formatRecordTime(r)}</span>
+            <span>${r.mode}</span>
+            <span>${r.symbol}</span>
+            <span>${r.contract_type || r.decision}${r.barrier ? ` ${r.barrier}` : ''}</span>
+            <span>Stake: ${r.amount}</span>
+            <span>${spots}</span>
+            <span style="color: ${profitColor}">${r.result || 'PENDING'} ${r.profit !== undefined ? '(' + r.profit.toFixed(2) + ')' : ''}</span>
+        `;
+        historyEl.appendChild(d);
+    });
+    historyPageInfoEl.textContent = `Page ${historyPage + 1} of ${pages}`;
+    historyPrevBtn.disabled = historyPage === 0;
+    historyNextBtn.disabled = historyPage >= pages - 1;
+    tradesCountEl.textContent = `Trades: ${page.total}`;
+}
+
+function scheduleHistoryRender() {
+    if (historyRenderTimer) return;
+    historyRenderTimer = setTimeout(() => {
+        historyRenderTimer = null;
+        renderHistory();
+    }, HISTORY_RENDER_DELAY_MS);
+}
+
+function changeHistoryPage(delta) {
+    historyPage = Math.max(0, historyPage + delta);
+    renderHistory();
+}
+
+function applyHistoryFilters() {
+    historyPage = 0;
+    renderHistory();
+}
+
+function renderHistorySymbolOptions() {
+    const current = historySymbolFilterEl.value;
+    historySymbolFilterEl.innerHTML = '<option value="">All symbols</option>' +
+        Array.from(symbolEl.options).map(o => `<option value="${o.value}">${o.textContent}</option>`).join('');
+    historySymbolFilterEl.value = current;
+}
@@ -0,0 +1,49 @@
+// learning.js
+
+/* ---------- Core Bindings ---------- */
+const { createWeightLearner } = BotCore;
+
+// Trained on every settled trade; its weights only reach the engine while learnWeightsEl is checked
+let weightLearner = createWeightLearner(JSON.parse(localStorage.getItem('weightLearner') || 'null'));
+
+const SIGNAL_LABELS = {
+    trend: 'MA', momentum: 'MOM', rsi: 'RSI', bb: 'BB', macd: 'MACD', pattern: 'PAT', micro: 'MICRO',
+    stoch: 'STOCH', williams: '%R', cci: 'CCI', adx: 'ADX', supertrend: 'ST', ichimoku: 'ICHI', vwap: 'VWAP'
+};
+
+/* ---------- Weight Learning ---------- */
+function getWeightModel() {
+    return learnWeightsEl.checked ? weightLearner : undefined;
+}
+
+// Records without a signal vector (rule strategies, older history) carry nothing to learn from
+function learnFromTrade(rec) {
+    if (!rec || !rec.signals || !rec.regime) return;
+    // Digit contracts (direction 0) do not depend on the signals; older records only carry the contract type
+    const direction = rec.direction !== undefined ? rec.direction : (rec.contract_type === 'PUT' ? -1 : 1);
+    if (!direction) return;
+    const win = rec.profit > 0;
+    const predicted = weightLearner.learn({ regime: rec.regime, signals: rec.signals, direction, win });
+    localStorage.setItem('weightLearner', JSON.stringify(weightLearner));
+    appendFeed(`Weight model updated (${rec.regime}): predicted ${(predicted * 100).toFixed(0)}% win, trade ${win ? 'won' : 'lost'}`, 'info');
+    renderLearnerStatus();
+}
+
+function resetWeightLearner() {
+    weightLearner.reset();
+    localStorage.removeItem('weightLearner');
+    renderLearnerStatus();
+    appendFeed('Learned indicator weights reset - regime tables only', 'warn');
+}
+
+function renderLearnerStatus() {
+    const stats = weightLearner.stats();
+    if (stats.length === 0) {
+        learnerStatusEl.textContent = 'No settled trades learned yet - weights come from the regime tables';
+        return;
+    }
+    learnerStatusEl.innerHTML = stats.map(s => {
+        const mult = Object.entries(s.multipliers).map(([k, m]) => `${SIGNAL_LABELS[k]}×${m.toFixed(2)}`).join(' ');
+        return `<div><strong>${s.regime}</strong>: ${s.samples} trade(s), ${(s.winRate * 100).toFixed(0)}% win • ${mult}</div>`;
+    }).join('');
+}
@@ -5,16 +5,40 @@
  - Predictive Micro-Structure Analysis for candle patterns
  - Intelligent Duration Optimization with risk-adjusted expiry
  - Machine Learning-inspired decision framework
- - Multi-dimensional market regime detection
+ - Multi-dimensional market regime detection, calibrated per symbol with regime transition odds feeding weights and expiry
  - Enhanced pattern recognition and confidence scoring
- - Real-time tick subscription for live updates
- - Advanced error handling and reconnection logic
- - Persistent settings via localStorage
+ - 19 candlestick patterns, all matches reported, strength from each pattern's measured hit rate per symbol and granularity
+ - Real-time tick subscription with epoch-aligned OHLC candle building
+ - Candlestick chart with trade and pattern markers, synced oscillator/MACD/ATR panes, zoom and pan
+ - Stochastic, Williams %R, CCI, ADX, Supertrend, Ichimoku and tick VWAP as engine votes and chart overlays
+ - Streaming O(1) indicator updates per tick and per bar
+ - Request-correlated API client with backoff reconnection and stream restore
+ - Configurable API endpoint and App ID; tools/mock-deriv-server.js serves offline
+ - Persistent settings via localStorage; trade journal in IndexedDB with filtered, paged history
+ - CSV/JSON export of history and performance, versioned settings profiles, de-duplicated history import
+ - Analytics: equity curve, drawdown, profit factor, expectancy, streaks and breakdowns by regime, pattern, confidence, symbol, duration and hour
  - Safety: Live mode requires single confirmation
  - Automatic contract purchase without user prompts
+ - Historical backtesting against real candle closes
+ - Headless core (core/*.js) shared by the browser UI and Node scripts
+ - Paper trading settled against the live tick stream
+ - Risk manager: daily loss cap, loss streak limit, open contract cap, kill switch
+ - Multi-symbol watchlist with best-signal scheduling
+ - Multi-timeframe confirmation: 5m/15m/1h trend vetoes or boosts entries on the trading candles
+ - Strategy plugins (adaptive, RSI reversion, MA crossover) and JSON rule strategies
+ - Per-regime online logistic model learns indicator weights from settled trades
+ - Rolling last-digit statistics over a configurable tick window: frequencies, even/odd, over/under, runs and chi-square tests, as panel and rule operands
+ - Contract families: Rise/Fall (with equals), Higher/Lower, Touch/No Touch, Digits, Multipliers
+ - Expected-value gate: proposals priced against decision confidence and measured win rate
+ - Exit manager: take profit, stop loss, trailing profit lock and time exit for live contracts
+ - Walk-forward parameter optimizer for the adaptive engine
+ - Pluggable stake sizing: fixed, % of balance, fractional Kelly, capped (anti-)martingale
 */
 
+const { createDerivClient } = BotCore;
+
 /* ---------- Config ---------- */
+const API_ENDPOINT = 'wss://ws.derivws.com/websockets/v3';
 const APP_ID = 1089;
 const CANDLES_COUNT = 200;
 const AUTO_INTERVAL_MS = 10000;
@@ -22,28 +46,28 @@ const KEEP_ALIVE_MS = 25000;
 const TICK_SUBSCRIPTION = true;
 
 /* ---------- State ---------- */
-let ws = null;
+let api = null; // Deriv API client (core/api.js)
 let candleData = [];
 let tickBuffer = []; // For micro-structure analysis
-let chart = null;
 let authorized = false;
 let autoTrading = false;
 let autoTimer = null;
-let pingTimer = null;
 let tradesMade = 0;
 let lastProposalReceived = null;
 let accountBalance = null;
-let tickSubscriptionId = null;
 let settings = {};
 let marketRegime = { type: 'UNKNOWN', volatility: 0, trend: 0, confidence: 0 };
 let indicatorWeights = { ma: 1.0, rsi: 1.0, bb: 1.0, momentum: 1.0, volume: 1.0 };
-let patternLibrary = new Map();
-let performanceMetrics = { wins: 0, losses: 0, totalProfit: 0, regimeHistory: [] };
-let activeContracts = new Map(); // key: contract_id, value: profit threshold etc.
-const PROFIT_THRESHOLD = 1.20; // e.g., sell if profit >= $1
+let activeContracts = new Map(); // key: contract_id, value: exit state, subscription, sale in progress
+let pendingTrades = new Set(); // params of live trades between proposal request and buy confirmation
+let paperContracts = new Map(); // key: simulated contract_id, value: entry spot, expiry etc.
+const PAPER_PAYOUT = 0.95; // Profit per unit stake on a winning simulated contract
+const PAPER_SETTLE_TOLERANCE_S = 10; // Max gap between expiry and the settling tick
 
 /* ---------- DOM ---------- */
 const tokenInput = document.getElementById('token');
+const apiEndpointEl = document.getElementById('apiEndpoint');
+const appIdEl = document.getElementById('appId');
 const symbolEl = document.getElementById('symbol');
 const granEl = document.getElementById('granularity');
 const stakeEl = document.getElementById('stake');
@@ -53,16 +77,88 @@ const stopAutoBtn = document.getElementById('stopAutoBtn');
 const clearHistoryBtn = document.getElementById('clearHistoryBtn');
 const statusEl = document.getElementById('status');
 const lastUpdatedEl = document.getElementById('lastUpdated');
+const resetZoomBtn = document.getElementById('resetZoomBtn');
+const chartOverlayEl = document.getElementById('chartOverlay');
+const chartOscillatorEl = document.getElementById('chartOscillator');
 const feedEl = document.getElementById('feed');
 const indList = document.getElementById('indList');
 const decisionText = document.getElementById('decisionText');
 const tradesCountEl = document.getElementById('tradesCount');
 const historyEl = document.getElementById('history');
+const historySymbolFilterEl = document.getElementById('historySymbolFilter');
+const historyModeFilterEl = document.getElementById('historyModeFilter');
+const historyResultFilterEl = document.getElementById('historyResultFilter');
+const historyFromEl = document.getElementById('historyFrom');
+const historyToEl = document.getElementById('historyTo');
+const historyPrevBtn = document.getElementById('historyPrevBtn');
+const historyNextBtn = document.getElementById('historyNextBtn');
+const historyPageInfoEl = document.getElementById('historyPageInfo');
+const exportHistoryCsvBtn = document.getElementById('exportHistoryCsvBtn');
+const exportHistoryJsonBtn = document.getElementById('exportHistoryJsonBtn');
+const exportPerfCsvBtn = document.getElementById('exportPerfCsvBtn');
+const exportPerfJsonBtn = document.getElementById('exportPerfJsonBtn');
+const exportProfileBtn = document.getElementById('exportProfileBtn');
+const importHistoryBtn = document.getElementById('importHistoryBtn');
+const importHistoryFileEl = document.getElementById('importHistoryFile');
+const importProfileBtn = document.getElementById('importProfileBtn');
+const importProfileFileEl = document.getElementById('importProfileFile');
+const analyticsModeEl = document.getElementById('analyticsMode');
+const refreshAnalyticsBtn = document.getElementById('refreshAnalyticsBtn');
+const analyticsSummaryEl = document.getElementById('analyticsSummary');
+const analyticsBreakdownEl = document.getElementById('analyticsBreakdown');
+const analyticsBreakdownRowsEl = document.getElementById('analyticsBreakdownRows');
 const loadingOverlay = document.getElementById('loading');
 const loadingText = document.getElementById('loadingText');
 const liveModeCheckbox = document.getElementById('liveMode');
 const confirmLiveCheckbox = document.getElementById('confirmLive');
 const confirmLiveGroup = document.getElementById('confirmLiveGroup');
+const watchlistEl = document.getElementById('watchlist');
+const confirmTimeframesEl = document.getElementById('confirmTimeframes');
+const digitWindowEl = document.getElementById('digitWindow');
+const digitStatsEl = document.getElementById('digitStats');
+const watchTableBody = document.getElementById('watchTableBody');
+const stakeStrategyEl = document.getElementById('stakeStrategy');
+const sizingPctEl = document.getElementById('sizingPct');
+const kellyFractionEl = document.getElementById('kellyFraction');
+const martingaleMultEl = document.getElementById('martingaleMult');
+const martingaleStepsEl = document.getElementById('martingaleSteps');
+const maxDailyLossEl = document.getElementById('maxDailyLoss');
+const maxConsecLossesEl = document.getElementById('maxConsecLosses');
+const maxOpenContractsEl = document.getElementById('maxOpenContracts');
+const maxStakePctEl = document.getElementById('maxStakePct');
+const exitTakeProfitEl = document.getElementById('exitTakeProfit');
+const exitStopLossEl = document.getElementById('exitStopLoss');
+const exitTrailStartEl = document.getElementById('exitTrailStart');
+const exitTrailGiveBackEl = document.getElementById('exitTrailGiveBack');
+const exitTimePctEl = document.getElementById('exitTimePct');
+const riskStatusEl = document.getElementById('riskStatus');
+const killSwitchBtn = document.getElementById('killSwitchBtn');
+const resetRiskBtn = document.getElementById('resetRiskBtn');
+const backtestCandlesEl = document.getElementById('backtestCandles');
+const backtestPayoutEl = document.getElementById('backtestPayout');
+const runBacktestBtn = document.getElementById('runBacktestBtn');
+const backtestResultsEl = document.getElementById('backtestResults');
+const strategyEl = document.getElementById('strategySelect');
+const strategyDescriptionEl = document.getElementById('strategyDescription');
+const ruleEditorEl = document.getElementById('ruleEditor');
+const ruleEditorStatusEl = document.getElementById('ruleEditorStatus');
+const saveRuleBtn = document.getElementById('saveRuleBtn');
+const deleteRuleBtn = document.getElementById('deleteRuleBtn');
+const learnWeightsEl = document.getElementById('learnWeights');
+const learnerStatusEl = document.getElementById('learnerStatus');
+const resetLearnerBtn = document.getElementById('resetLearnerBtn');
+const contractFamiliesEl = document.getElementById('contractFamilies');
+const barrierSourceEl = document.getElementById('barrierSource');
+const multiplierValueEl = document.getElementById('multiplierValue');
+const takeProfitPctEl = document.getElementById('takeProfitPct');
+const stopLossPctEl = document.getElementById('stopLossPct');
+const optMethodEl = document.getElementById('optMethod');
+const optSamplesEl = document.getElementById('optSamples');
+const optFoldsEl = document.getElementById('optFolds');
+const optObjectiveEl = document.getElementById('optObjective');
+const optMinTradesEl = document.getElementById('optMinTrades');
+const runOptimizerBtn = document.getElementById('runOptimizerBtn');
+const optimizerResultsEl = document.getElementById('optimizerResults');
 
 /* ---------- UI Helpers ---------- */
 function showLoading(text = 'Please wait...') {
@@ -84,44 +180,6 @@ function appendFeed(msg, type = 'info') {
     feedEl.prepend(div);
     feedEl.scrollTop = 0;
 }
-function saveHistoryRecord(record) {
-    const hist = JSON.parse(localStorage.getItem('tradeHistory') || '[]');
-    hist.unshift(record);
-    localStorage.setItem('tradeHistory', JSON.stringify(hist));
-    renderHistory();
-    updatePerformanceMetrics(record);
-}
-function renderHistory() {
-    const hist = JSON.parse(localStorage.getItem('tradeHistory') || '[]');
-    historyEl.innerHTML = '';
-    const summary = document.createElement('div');
-    summary.className = 'history-summary';
-    const totalProfit = hist.reduce((s, h) => s + (h.profit || 0), 0);
-    const winRate = hist.length > 0 ? (hist.filter(h => h.result === 'WIN').length / hist.length * 100).toFixed(1) : 0;
-    summary.innerHTML = `<strong>Total Trades:</strong> ${hist.length} • <strong>Win Rate:</strong> ${winRate}% • <strong>Total P/L:</strong> ${totalProfit.toFixed(2)} USD`;
-    historyEl.appendChild(summary);
-    hist.slice(0, 200).forEach(r => {
-        const d = document.createElement('div');
-        d.className = 'history-item';
-        const profitColor = r.profit > 0 ? 'var(--success-color)' : (r.profit < 0 ? 'var(--error-color)' : 'var(--muted-color)');
-        d.innerHTML = `
-            <span>${r.time}</span>
-            <span>${r.mode}</span>
-            <span>${r.symbol}</span>
-            <span>${r.decision}</span>
-            <span>Stake: ${r.amount}</span>
-            <span style="color: ${profitColor}">${r.result || 'PENDING'} ${r.profit !== undefined ? '(' + r.profit.toFixed(2) + ')' : ''}</span>
-        `;
-        historyEl.appendChild(d);
-    });
-    tradesCountEl.textContent = `Trades: ${hist.length}`;
-}
-function clearHistory() {
-    localStorage.removeItem('tradeHistory');
-    performanceMetrics = { wins: 0, losses: 0, totalProfit: 0, regimeHistory: [] };
-    renderHistory();
-    appendFeed('Trade history cleared', 'warn');
-}
 function updateBalanceDisplay() {
     if (accountBalance !== null) {
         setStatus(`Authorized | Balance: ${accountBalance.toFixed(2)} USD | Regime: ${marketRegime.type}`, 'var(--success-color)');
@@ -130,10 +188,14 @@ function updateBalanceDisplay() {
 
 /* ---------- Auto-trading Loop ---------- */
 function startAutoTrading() {
-    if (!ws || ws.readyState !== WebSocket.OPEN || !authorized) {
+    if (!api || !api.isOpen() || !authorized) {
         appendFeed('Please connect and authorize first', 'warn');
         return;
     }
+    if (riskState.halted) {
+        appendFeed(`Cannot start - trading halted: ${riskState.halted}. Reset the risk halt first.`, 'warn');
+        return;
+    }
     autoTrading = true;
     startAutoBtn.disabled = true;
     stopAutoBtn.disabled = false;
@@ -151,45 +213,64 @@ function stopAutoTrading() {
 }
 
 async function autoCheck() {
-    if (!candleData || candleData.length < 50) {
-        appendFeed('Insufficient candle data for decision', 'warn');
-        return;
+    // Evaluate every watched symbol, then trade only the best-ranked signal
+    const ranked = rankSignals();
+    renderWatchTable();
+
+    const charted = getSymbolState(symbolEl.value);
+    const cd = charted.decision;
+    if (cd) {
+        marketRegime = charted.regime;
+        if (cd.weights) indicatorWeights = cd.weights;
+        decisionText.textContent = `${symbolEl.value}: ${cd.action} — ${cd.reason} (Confidence: ${(cd.confidence * 100).toFixed(0)}% | Signal: ${cd.compositeSignal ? cd.compositeSignal.toFixed(2) : 'N/A'})`;
+        if (cd.indicators) updateIndicatorsUI(cd.indicators);
     }
-    
-    const d = advancedDecisionEngine(candleData);
-    
-    decisionText.textContent = `${d.action} — ${d.reason} (Confidence: ${(d.confidence * 100).toFixed(0)}% | Signal: ${d.compositeSignal ? d.compositeSignal.toFixed(2) : 'N/A'})`;
-    updateIndicatorsUI(d.indicators);
-    appendFeed(`Decision: ${d.action} (${d.reason})`, 'info');
 
-    if (d.action === 'HOLD' || d.confidence < 0.65) {
-        appendFeed(`Holding position - Signal strength insufficient (Conf: ${(d.confidence * 100).toFixed(0)}%)`, 'info');
+    if (ranked.length === 0) {
+        lastScheduledSymbol = null;
+        appendFeed(`Holding position - No actionable signal across ${getWatchedSymbols().length} symbol(s)`, 'info');
         return;
     }
 
-    const stake = parseFloat(stakeEl.value) || 1;
-    const symbol = symbolEl.value;
-    const contract_type = d.action.includes('BUY') ? 'CALL' : 'PUT';
+    const best = ranked[0];
+    const d = best.decision;
+    const symbol = best.symbol;
+    const durationOptimization = best.durationOptimization;
+    lastScheduledSymbol = symbol;
+    marketRegime = best.regime;
+    renderWatchTable();
+    appendFeed(`Decision [${getActiveStrategy().name}]: ${symbol} ${d.action}${best.contract ? ' - direction-free contract' : ''} (${d.reason}) | Score ${best.score.toFixed(3)}${ranked.length > 1 ? ` over ${ranked.length - 1} other signal(s)` : ''}`, 'info');
+
+    // Map the signal onto the most specific contract family the strategy may trade
+    const contract = best.contract || buildContract(d, getContractContext(best, durationOptimization.duration));
+    if (!contract) {
+        appendFeed(`No allowed contract type fits ${symbol} ${d.action} - skipping`, 'warn');
+        return;
+    }
     
-    // Optimize duration based on market conditions
-    const durationOptimization = optimizeTradeDuration(
-        d, 
-        marketRegime, 
-        d.indicators.volatility,
-        d.indicators.pattern
-    );
+    // Size the position from balance, the contract's win estimate, risk and recent results
+    const sizing = computeStake({ ...d, confidence: contract.confidence }, durationOptimization.riskScore, paperPayout(contract, PAPER_PAYOUT));
+    if (sizing.skip) {
+        appendFeed(`Skipping ${symbol} - ${sizing.reason}`, 'warn');
+        return;
+    }
+    appendFeed(`Stake: ${sizing.stake.toFixed(2)} USD [${sizing.strategy}] - ${sizing.reason}`, 'info');
     
     const params = {
-        amount: stake,
+        amount: sizing.stake,
         symbol,
-        contract_type,
-        duration: durationOptimization.duration,
-        duration_unit: 's',
+        contract_type: contract.contract_type,
+        duration: contract.duration,
+        duration_unit: contract.duration_unit,
         decision: d.action,
-        decisionObj: d
+        decisionObj: d,
+        strategy: getActiveStrategy().id,
+        contract
     };
 
-    appendFeed(`Trade parameters: ${contract_type} | Duration: ${durationOptimization.duration}s | ${durationOptimization.rationale}`, 'info');
+    appendFeed(`Trade parameters: ${CONTRACT_FAMILIES[contract.family].label} ${contract.contract_type}${contract.note ? ` (${contract.note})` : ''} | ${describeContractDuration(contract)} | ${durationOptimization.rationale}`, 'info');
+
+    if (!approveTrade(params, liveModeCheckbox.checked)) return;
 
     if (liveModeCheckbox.checked) {
         requestLiveProposal(params);
@@ -199,169 +280,270 @@ async function autoCheck() {
 }
 
 /* ---------- WebSocket and API Handling ---------- */
-function connectAndAuthorize() {
+function reportApiError(e, context = 'API Error') {
+    appendFeed(`${context}: ${e.message}`, 'error');
+    hideLoading();
+}
+
+function getApiUrl() {
+    const endpoint = apiEndpointEl.value.trim() || API_ENDPOINT;
+    const appId = parseInt(appIdEl.value, 10) || APP_ID;
+    return `${endpoint}${endpoint.includes('?') ? '&' : '?'}app_id=${appId}`;
+}
+
+async function connectAndAuthorize() {
     const token = tokenInput.value.trim();
     if (!token) {
         alert('Enter a valid Deriv token (demo recommended for safety)');
         return;
     }
 
-    if (ws && ws.readyState === WebSocket.OPEN) ws.close();
+    if (api) {
+        // The old socket's close event can arrive after the new client authorizes
+        api.off();
+        api.close();
+    }
     showLoading('Establishing connection to Deriv...');
     setStatus('Connecting...', 'var(--muted-color)');
-    ws = new WebSocket(`wss://ws.derivws.com/websockets/v3?app_id=${APP_ID}`);
-
-    ws.onopen = () => {
-        appendFeed('WebSocket connection established', 'success');
-        try {
-            ws.send(JSON.stringify({ authorize: token }));
-        } catch (e) {
-            appendFeed(`Authorization failed: ${e.message}`, 'error');
-        }
-        pingTimer = setInterval(() => {
-            try {
-                ws.send(JSON.stringify({ ping: 1 }));
-            } catch (e) {}
-        }, KEEP_ALIVE_MS);
-    };
-
-    ws.onmessage = (evt) => {
-        const data = JSON.parse(evt.data);
+    api = createDerivClient(getApiUrl(), { keepAliveMs: KEEP_ALIVE_MS });
 
-        if (data.error) {
-            appendFeed(`API Error: ${data.error.message || JSON.stringify(data.error)}`, 'error');
-            hideLoading();
+    api.on('close', ({ willReconnect }) => {
+        authorized = false;
+        // Proposal streams die with the socket and in-flight buys are rejected
+        pendingTrades.clear();
+        setStatus('Disconnected', 'var(--muted-color)');
+        hideLoading();
+        if (willReconnect) appendFeed('WebSocket connection closed - Attempting reconnect...', 'warn');
+    });
+    api.on('reconnect', ({ authorize, restored, error }) => {
+        if (error) {
+            appendFeed(`Re-authorization failed after reconnect: ${error.message}`, 'error');
             return;
         }
+        handleAuthorized(authorize);
+        // The fresh balance already includes contracts that closed while offline
+        activeContracts.forEach(active => { active.restored = true; });
+        appendFeed(`Reconnected - restored authorization and ${restored} stream(s)`, 'success');
+        // Ticks missed while offline would leave holes in the candles, so refetch history
+        getWatchedSymbols().forEach(s => fetchCandles(s, parseInt(granEl.value, 10)));
+    });
 
-        if (data.msg_type === 'authorize' && data.authorize) {
-            authorized = true;
-            accountBalance = data.authorize.balance;
-            updateBalanceDisplay();
-            hideLoading();
-            appendFeed('Authorization successful - Adaptive intelligence activated', 'success');
-            fetchCandles(symbolEl.value, parseInt(granEl.value, 10));
-            startAutoBtn.disabled = false;
-            if (TICK_SUBSCRIPTION) subscribeToTicks(symbolEl.value);
-            return;
-        }
+    try {
+        await api.connect();
+        appendFeed('WebSocket connection established', 'success');
+        const res = await api.authorize(token);
+        handleAuthorized(res.authorize);
+        hideLoading();
+        appendFeed('Authorization successful - Adaptive intelligence activated', 'success');
+        selectChartSymbol(symbolEl.value);
+        getWatchedSymbols().forEach(watchSymbol);
+        resubscribeContracts();
+        startAutoBtn.disabled = false;
+    } catch (e) {
+        reportApiError(e, 'Connection failed');
+    }
+}
 
-        if (data.candles) {
-            candleData = data.candles;
-            const now = new Date().toLocaleTimeString();
-            lastUpdatedEl.textContent = `Last Updated: ${now}`;
-            updateChartAndIndicators();
-            appendFeed(`Candles data refreshed - Analyzing ${candleData.length} candles`, 'info');
-            hideLoading();
-            return;
-        }
+function handleAuthorized(auth) {
+    authorized = true;
+    accountBalance = auth.balance;
+    updateBalanceDisplay();
+}
 
-        if (data.tick) {
-            // Store tick for micro-structure analysis
-            tickBuffer.push({ epoch: data.tick.epoch, quote: data.tick.quote });
-            if (tickBuffer.length > 50) tickBuffer.shift();
-            
-            const latestTick = { epoch: data.tick.epoch, close: data.tick.quote, high: data.tick.quote, low: data.tick.quote, open: data.tick.quote };
-            if (candleData.length > 0 && latestTick.epoch > candleData[candleData.length - 1].epoch + parseInt(granEl.value, 10)) {
-                candleData.push(latestTick);
-                if (candleData.length > CANDLES_COUNT) candleData.shift();
-                updateChartAndIndicators();
-            }
-            return;
-        }
+function handleCandles(data) {
+    const symbol = data.echo_req.ticks_history;
+    const state = getSymbolState(symbol);
+    state.candles = data.candles;
+    state.stream = createIndicatorStream(CANDLES_COUNT);
+    state.candles.forEach(c => state.stream.push(c));
+    measurePatternLibrary(symbol, data.echo_req.granularity, state.candles);
+    state.regimeModel = calibrateRegimes(state.candles);
+    fetchTimeframes(symbol);
+    if (symbol === symbolEl.value) {
+        candleData = state.candles;
+        const now = new Date().toLocaleTimeString();
+        lastUpdatedEl.textContent = `Last Updated: ${now}`;
+        updateChartAndIndicators();
+    }
+    renderWatchTable();
+    appendFeed(`Candles data refreshed for ${symbol} - Analyzing ${state.candles.length} candles`, 'info');
+    hideLoading();
+}
 
-        if (data.proposal) {
-            lastProposalReceived = data.proposal;
-            appendFeed(`Proposal received - Ask Price: ${data.proposal.ask_price} | Payout: ${data.proposal.payout}`, 'info');
-            // Automatic purchase without confirmation prompt
-            if (liveModeCheckbox.checked && data.proposal.id) {
-                try {
-                    ws.send(JSON.stringify({ buy: data.proposal.id, price: data.proposal.ask_price, subscribe: 1 }));
-                    appendFeed(`Auto-buy executed for proposal ID: ${data.proposal.id}`, 'success');
-                } catch (e) {
-                    appendFeed(`Buy failed: ${e.message}`, 'error');
-                }
-            }
-            return;
-        }
+function handleTick(data) {
+    const state = getSymbolState(data.tick.symbol);
+    // Store tick for micro-structure analysis
+    state.ticks.push({ epoch: data.tick.epoch, quote: data.tick.quote });
+    if (state.ticks.length > TICK_BUFFER_SIZE) state.ticks.shift();
+    if (data.tick.pip_size !== undefined) state.pipSize = data.tick.pip_size;
+    recordDigit(state, data.tick);
+    settlePaperContracts(data.tick);
+    updateTimeframes(state, data.tick);
+    
+    // Fold the tick into the forming bar; wait for history before building bars
+    if (state.candles.length === 0) return;
+    const agg = aggregateTick(state.candles, data.tick, parseInt(granEl.value, 10), CANDLES_COUNT);
+    if (agg.status === 'GAP') {
+        appendFeed(`${agg.missing} candle(s) missing for ${data.tick.symbol} - refetching history`, 'warn');
+        state.candles.length = 0;
+        fetchCandles(data.tick.symbol, parseInt(granEl.value, 10));
+        return;
+    }
+    if (agg.status === 'STALE') return;
+    // Keep the streaming indicators in step: revise the forming bar or append new ones
+    if (agg.status === 'UPDATED') {
+        state.stream.replaceLast(state.candles[state.candles.length - 1]);
+    } else {
+        state.candles.slice(-(agg.filled + 1)).forEach(c => state.stream.push(c));
+        scoreClosedBars(state, agg.filled + 1);
+        state.regimeModel = refreshRegimeModel(state.regimeModel, state.candles, parseInt(granEl.value, 10));
+    }
+    if (data.tick.symbol === symbolEl.value) updateChartAndIndicators();
+}
 
-        if (data.buy) {
-    const buy = data.buy;
+// `params` are the trade parameters of the decision that requested this proposal
+async function handleProposal(data, handle, params) {
+    lastProposalReceived = data.proposal;
+    // One look per proposal: stop the price stream whether it is bought or rejected
+    handle.forget();
+    appendFeed(`Proposal received - Ask Price: ${data.proposal.ask_price} | Payout: ${data.proposal.payout}`, 'info');
+    if (!liveModeCheckbox.checked || !data.proposal.id) {
+        pendingTrades.delete(params);
+        return;
+    }
+    const verdict = evaluateLiveProposal(params, data);
+    appendFeed(`Proposal ${params.symbol} ${params.contract_type}: ${verdict.reason}`, verdict.accept ? 'info' : 'warn');
+    if (!verdict.accept) {
+        pendingTrades.delete(params);
+        return;
+    }
+    params.evaluation = verdict;
+    // Automatic purchase without confirmation prompt
+    try {
+        const res = await api.send({ buy: data.proposal.id, price: data.proposal.ask_price });
+        appendFeed(`Auto-buy executed for proposal ID: ${data.proposal.id}`, 'success');
+        handleBuy(res.buy, data.echo_req, params);
+    } catch (e) {
+        reportApiError(e, 'Buy failed');
+    }
+    // Bought contracts are in activeContracts by now
+    pendingTrades.delete(params);
+}
+
+// `params` are the trade parameters from autoCheck; the decision's signal vector is kept for learning
+async function handleBuy(buy, proposalReq, params = {}) {
+    const decision = params.decisionObj || {};
+    const contract = params.contract || {};
     const rec = {
-        time: new Date().toLocaleTimeString(),
+        opened_at: new Date((buy.start_time || Date.now() / 1000) * 1000).toISOString(),
         mode: 'LIVE',
-        symbol: buy.symbol,
+        symbol: proposalReq.symbol,
         amount: buy.buy_price,
-        decision: buy.contract_type === 'CALL' ? 'CALL' : 'PUT',
+        payout: buy.payout,
+        decision: proposalReq.contract_type,
+        contract_type: proposalReq.contract_type,
+        family: contract.family,
+        barrier: proposalReq.barrier,
+        direction: contract.direction,
+        duration: proposalReq.duration,
+        duration_unit: proposalReq.duration_unit,
         result: 'PENDING',
         contract_id: buy.contract_id,
         profit: 0,
-        regime: marketRegime.type
+        confidence: decision.confidence,
+        strategy: params.strategy,
+        expected_value: params.evaluation ? params.evaluation.ev : undefined,
+        regime: decisionRegimeType(params.decisionObj),
+        decision_snapshot: buildDecisionSnapshot(params.decisionObj),
+        signals: decision.signals,
+        weights: decision.weights
     };
     saveHistoryRecord(rec);
     appendFeed(`Live buy confirmed - Contract ID: ${buy.contract_id}`, 'success');
+    if (buy.balance_after !== undefined) {
+        accountBalance = parseFloat(buy.balance_after);
+        updateBalanceDisplay();
+    }
 
-    // ✅ Subscribe to updates for this specific contract
-    activeContracts.set(buy.contract_id, { threshold: PROFIT_THRESHOLD });
-    ws.send(JSON.stringify({ proposal_open_contract: 1, contract_id: buy.contract_id, subscribe: 1 }));
-    return;
+    // ✅ Subscribe to updates for this specific contract; restored after a reconnect
+    activeContracts.set(buy.contract_id, { exit: createExitState(getExitRules()) });
+    await subscribeContract(buy.contract_id);
 }
 
-        if (data.proposal_open_contract) {
-    const poc = data.proposal_open_contract;
-
-    if (poc.contract_id) {
-        // Update history
-        const hist = JSON.parse(localStorage.getItem('tradeHistory') || '[]');
-        const idx = hist.findIndex(h => h.contract_id === poc.contract_id);
-        if (idx >= 0) {
-            const rec = hist[idx];
-            rec.result = poc.status.toUpperCase();
-            if (poc.profit !== undefined) {
-                rec.profit = parseFloat(poc.profit);
-                accountBalance += rec.profit;
-                updateBalanceDisplay();
-            }
-            hist[idx] = rec;
-            localStorage.setItem('tradeHistory', JSON.stringify(hist));
-            renderHistory();
-            appendFeed(`Contract ${poc.contract_id} updated: ${rec.result} (${rec.profit.toFixed(2)})`, rec.profit > 0 ? 'success' : 'error');
-        }
+async function subscribeContract(contractId) {
+    try {
+        const handle = await api.subscribe(
+            { proposal_open_contract: 1, contract_id: contractId },
+            handleOpenContract,
+            { persistent: true }
+        );
+        const active = activeContracts.get(contractId);
+        if (active) active.subscription = handle;
+    } catch (e) {
+        // Untracked, it would hold a slot of the open-contract limit forever
+        activeContracts.delete(contractId);
+        reportApiError(e, `Contract ${contractId} subscription failed`);
+    }
+}
 
-        // ✅ Auto-sell logic
-        if (poc.is_open && poc.profit >= (activeContracts.get(poc.contract_id)?.threshold || PROFIT_THRESHOLD)) {
-            appendFeed(`💰 Profit target reached (${poc.profit.toFixed(2)}). Selling contract ${poc.contract_id}...`, 'success');
-            ws.send(JSON.stringify({ sell: poc.contract_id, price: poc.current_spot }));
-            activeContracts.delete(poc.contract_id); // Clean up
-        }
+// A new connection starts without the old one's streams: follow the still-tracked contracts
+// again, the closed ones settle on their first update
+function resubscribeContracts() {
+    activeContracts.forEach((active, contractId) => {
+        active.subscription = null;
+        active.restored = true;
+        subscribeContract(contractId);
+    });
+    if (activeContracts.size > 0) appendFeed(`Following ${activeContracts.size} open contract(s) from the previous connection`, 'info');
+}
 
-        // Cleanup if closed
-        if (!poc.is_open) {
-            activeContracts.delete(poc.contract_id);
-        }
+function handleOpenContract(data) {
+    const poc = data.proposal_open_contract;
+    if (!poc.contract_id) return;
+
+    // Deriv marks closed contracts with is_sold; there is no is_open field
+    const isOpen = poc.status === 'open' && !poc.is_sold;
+    // Results follow the paper WIN/LOSS convention; Deriv's own status (won/lost/sold) is kept alongside
+    const changes = { status: poc.status };
+    if (poc.profit !== undefined) changes.profit = parseFloat(poc.profit);
+    if (poc.entry_spot) changes.entry_spot = parseFloat(poc.entry_spot);
+    if (isOpen) {
+        changes.result = 'OPEN';
+    } else {
+        changes.result = parseFloat(poc.profit) > 0 ? 'WIN' : 'LOSS';
+        const exitSpot = poc.exit_tick || poc.sell_spot;
+        if (exitSpot) changes.exit_spot = parseFloat(exitSpot);
+        const closedAt = poc.sell_time || poc.date_expiry;
+        changes.closed_at = closedAt ? new Date(closedAt * 1000).toISOString() : new Date().toISOString();
     }
-    return;
-}
-    };
+    const active = activeContracts.get(poc.contract_id);
+    if (active && !isOpen) changes.exit_reason = active.exitReason || (poc.status === 'sold' ? 'SOLD' : 'EXPIRY');
+    const updated = updateHistoryRecord(poc.contract_id, changes);
+    updated.then(rec => {
+        if (rec) appendFeed(`Contract ${poc.contract_id} updated: ${rec.result} (${rec.profit.toFixed(2)})`, rec.profit > 0 ? 'success' : 'error');
+    });
 
-    ws.onclose = () => {
-        appendFeed('WebSocket connection closed - Attempting reconnect...', 'warn');
-        setStatus('Disconnected', 'var(--muted-color)');
-        authorized = false;
-        hideLoading();
-        clearInterval(pingTimer);
-        setTimeout(() => {
-            if (!authorized && tokenInput.value.trim()) {
-                appendFeed('Auto-reconnecting...', 'info');
-                connectAndAuthorize();
-            }
-        }, 5000);
-    };
+    if (!active) return;
+    if (isOpen) {
+        active.restored = false;
+        manageExit(poc, active);
+        return;
+    }
 
-    ws.onerror = (err) => {
-        appendFeed('WebSocket error occurred', 'error');
-        hideLoading();
-    };
+    // Closed: credit the proceeds once, record why it ended and stop the stream. A contract that
+    // closed while disconnected is already in the balance authorize returned
+    activeContracts.delete(poc.contract_id);
+    if (active.subscription) active.subscription.forget();
+    if (accountBalance !== null && !active.restored) {
+        accountBalance += parseFloat(poc.sell_price || 0);
+        updateBalanceDisplay();
+    }
+    recordTradeOutcome(parseFloat(poc.profit));
+    updated.then(rec => {
+        appendFeed(`Contract ${poc.contract_id} closed - ${EXIT_REASONS[changes.exit_reason]}`, 'info');
+        learnFromTrade(rec);
+    });
+    refreshAnalytics();
 }
 
 /* ---------- Event Listeners ---------- */
@@ -374,25 +556,89 @@ connectBtn.addEventListener('click', () => {
 startAutoBtn.addEventListener('click', startAutoTrading);
 stopAutoBtn.addEventListener('click', stopAutoTrading);
 clearHistoryBtn.addEventListener('click', clearHistory);
+[historySymbolFilterEl, historyModeFilterEl, historyResultFilterEl, historyFromEl, historyToEl]
+    .forEach(el => el.addEventListener('change', applyHistoryFilters));
+historyPrevBtn.addEventListener('click', () => changeHistoryPage(-1));
+historyNextBtn.addEventListener('click', () => changeHistoryPage(1));
+exportHistoryCsvBtn.addEventListener('click', () => exportHistory('csv'));
+exportHistoryJsonBtn.addEventListener('click', () => exportHistory('json'));
+exportPerfCsvBtn.addEventListener('click', () => exportPerformance('csv'));
+exportPerfJsonBtn.addEventListener('click', () => exportPerformance('json'));
+exportProfileBtn.addEventListener('click', exportProfile);
+importHistoryBtn.addEventListener('click', () => importHistoryFileEl.click());
+importHistoryFileEl.addEventListener('change', () => handleImportInput(importHistoryFileEl, importHistory));
+importProfileBtn.addEventListener('click', () => importProfileFileEl.click());
+importProfileFileEl.addEventListener('change', () => handleImportInput(importProfileFileEl, importProfile));
+analyticsModeEl.addEventListener('change', refreshAnalytics);
+refreshAnalyticsBtn.addEventListener('click', refreshAnalytics);
+analyticsBreakdownEl.addEventListener('change', renderAnalyticsBreakdown);
+resetZoomBtn.addEventListener('click', resetChartZoom);
+[[chartOverlayEl, 'chartOverlay'], [chartOscillatorEl, 'chartOscillator']].forEach(([el, key]) => {
+    el.addEventListener('change', () => {
+        settings[key] = el.value;
+        localStorage.setItem('botSettings', JSON.stringify(settings));
+        if (candleData.length > 0) updateChartAndIndicators();
+    });
+});
+runBacktestBtn.addEventListener('click', startBacktest);
+runOptimizerBtn.addEventListener('click', startOptimization);
+optimizerResultsEl.addEventListener('click', handleOptimizerClick);
+killSwitchBtn.addEventListener('click', () => haltTrading('Manual kill switch'));
+resetRiskBtn.addEventListener('click', resetRiskHalt);
+saveRuleBtn.addEventListener('click', saveRuleStrategy);
+deleteRuleBtn.addEventListener('click', deleteRuleStrategy);
+resetLearnerBtn.addEventListener('click', resetWeightLearner);
+contractFamiliesEl.addEventListener('change', saveContractFamilies);
+learnWeightsEl.addEventListener('change', () => {
+    settings.learnWeights = learnWeightsEl.checked;
+    localStorage.setItem('botSettings', JSON.stringify(settings));
+    appendFeed(`Learned indicator weights ${learnWeightsEl.checked ? 'applied' : 'ignored'} - the model keeps training either way`, 'info');
+});
+strategyEl.addEventListener('change', () => {
+    selectStrategy(strategyEl.value);
+    appendFeed(`Strategy switched to ${getActiveStrategy().name}`, 'info');
+});
 
 symbolEl.addEventListener('change', () => {
-    if (ws && authorized) {
-        if (tickSubscriptionId) {
-            ws.send(JSON.stringify({ forget: tickSubscriptionId }));
-        }
-        tickBuffer = []; // Reset tick buffer for new symbol
-        fetchCandles(symbolEl.value, parseInt(granEl.value, 10));
-        if (TICK_SUBSCRIPTION) subscribeToTicks(symbolEl.value);
+    const previous = chartSymbol;
+    const alreadyWatched = symbolStates.has(symbolEl.value);
+    selectChartSymbol(symbolEl.value);
+    if (api && authorized) {
+        if (previous && !getWatchedSymbols().includes(previous)) unwatchSymbol(previous);
+        if (!alreadyWatched || candleData.length === 0) watchSymbol(symbolEl.value);
     }
+    renderWatchTable();
 });
 
 granEl.addEventListener('change', () => {
-    if (ws && authorized) {
-        tickBuffer = []; // Reset tick buffer
-        fetchCandles(symbolEl.value, parseInt(granEl.value, 10));
+    if (api && authorized) {
+        getWatchedSymbols().forEach(s => fetchCandles(s, parseInt(granEl.value, 10)));
     }
 });
 
+watchlistEl.addEventListener('change', (e) => {
+    const symbol = e.target.value;
+    settings.watchlist = [...watchlistEl.querySelectorAll('input[type="checkbox"]:checked')].map(el => el.value);
+    localStorage.setItem('botSettings', JSON.stringify(settings));
+    if (api && authorized) {
+        if (e.target.checked && !symbolStates.has(symbol)) watchSymbol(symbol);
+        if (!e.target.checked && symbol !== symbolEl.value) unwatchSymbol(symbol);
+    }
+    renderWatchTable();
+});
+
+confirmTimeframesEl.addEventListener('change', () => {
+    settings.confirmTimeframes = [...confirmTimeframesEl.querySelectorAll('input[type="checkbox"]:checked')].map(el => el.value);
+    localStorage.setItem('botSettings', JSON.stringify(settings));
+    refetchAllTimeframes();
+});
+
+digitWindowEl.addEventListener('change', () => {
+    settings.digitWindow = digitWindowEl.value;
+    localStorage.setItem('botSettings', JSON.stringify(settings));
+    resizeDigitStreams();
+});
+
 liveModeCheckbox.addEventListener('change', () => {
     // Hide confirm group - single checkbox confirmation only
     if (confirmLiveGroup) {
@@ -414,9 +660,39 @@ function init() {
     
     // Load persistent settings
     settings = JSON.parse(localStorage.getItem('botSettings') || '{}');
+    if (settings.apiEndpoint) apiEndpointEl.value = settings.apiEndpoint;
+    if (settings.appId) appIdEl.value = settings.appId;
     if (settings.symbol) symbolEl.value = settings.symbol;
     if (settings.granularity) granEl.value = settings.granularity;
     if (settings.stake) stakeEl.value = settings.stake;
+    if (settings.watchlist) {
+        watchlistEl.querySelectorAll('input[type="checkbox"]').forEach(el => el.checked = settings.watchlist.includes(el.value));
+    }
+    if (settings.confirmTimeframes) {
+        confirmTimeframesEl.querySelectorAll('input[type="checkbox"]').forEach(el => el.checked = settings.confirmTimeframes.includes(el.value));
+    }
+    if (settings.stakeStrategy) stakeStrategyEl.value = settings.stakeStrategy;
+    if (settings.sizingPct) sizingPctEl.value = settings.sizingPct;
+    if (settings.kellyFraction) kellyFractionEl.value = settings.kellyFraction;
+    if (settings.martingaleMult) martingaleMultEl.value = settings.martingaleMult;
+    if (settings.martingaleSteps) martingaleStepsEl.value = settings.martingaleSteps;
+    if (settings.maxDailyLoss) maxDailyLossEl.value = settings.maxDailyLoss;
+    if (settings.maxConsecLosses) maxConsecLossesEl.value = settings.maxConsecLosses;
+    if (settings.maxOpenContracts) maxOpenContractsEl.value = settings.maxOpenContracts;
+    if (settings.maxStakePct) maxStakePctEl.value = settings.maxStakePct;
+    if (settings.exitTakeProfit !== undefined) exitTakeProfitEl.value = settings.exitTakeProfit;
+    if (settings.exitStopLoss !== undefined) exitStopLossEl.value = settings.exitStopLoss;
+    if (settings.exitTrailStart !== undefined) exitTrailStartEl.value = settings.exitTrailStart;
+    if (settings.exitTrailGiveBack !== undefined) exitTrailGiveBackEl.value = settings.exitTrailGiveBack;
+    if (settings.exitTimePct !== undefined) exitTimePctEl.value = settings.exitTimePct;
+    if (settings.learnWeights !== undefined) learnWeightsEl.checked = settings.learnWeights;
+    if (settings.chartOverlay) chartOverlayEl.value = settings.chartOverlay;
+    if (settings.chartOscillator) chartOscillatorEl.value = settings.chartOscillator;
+    if (settings.digitWindow) digitWindowEl.value = settings.digitWindow;
+    if (settings.barrierSource) barrierSourceEl.value = settings.barrierSource;
+    if (settings.multiplierValue) multiplierValueEl.value = settings.multiplierValue;
+    if (settings.takeProfitPct) takeProfitPctEl.value = settings.takeProfitPct;
+    if (settings.stopLossPct) stopLossPctEl.value = settings.stopLossPct;
 
     // Save on changes
     symbolEl.addEventListener('change', () => { 
@@ -431,8 +707,49 @@ function init() {
         settings.stake = stakeEl.value; 
         localStorage.setItem('botSettings', JSON.stringify(settings)); 
     });
-
-    renderHistory();
+    stakeStrategyEl.addEventListener('change', () => {
+        settings.stakeStrategy = stakeStrategyEl.value;
+        localStorage.setItem('botSettings', JSON.stringify(settings));
+    });
+    barrierSourceEl.addEventListener('change', () => {
+        settings.barrierSource = barrierSourceEl.value;
+        localStorage.setItem('botSettings', JSON.stringify(settings));
+    });
+    [
+        [apiEndpointEl, 'apiEndpoint'],
+        [appIdEl, 'appId'],
+        [sizingPctEl, 'sizingPct'],
+        [kellyFractionEl, 'kellyFraction'],
+        [martingaleMultEl, 'martingaleMult'],
+        [martingaleStepsEl, 'martingaleSteps'],
+        [maxDailyLossEl, 'maxDailyLoss'],
+        [maxConsecLossesEl, 'maxConsecLosses'],
+        [maxOpenContractsEl, 'maxOpenContracts'],
+        [maxStakePctEl, 'maxStakePct'],
+        [multiplierValueEl, 'multiplierValue'],
+        [takeProfitPctEl, 'takeProfitPct'],
+        [stopLossPctEl, 'stopLossPct'],
+        [exitTakeProfitEl, 'exitTakeProfit'],
+        [exitStopLossEl, 'exitStopLoss'],
+        [exitTrailStartEl, 'exitTrailStart'],
+        [exitTrailGiveBackEl, 'exitTrailGiveBack'],
+        [exitTimePctEl, 'exitTimePct']
+    ].forEach(([el, key]) => el.addEventListener('input', () => {
+        settings[key] = el.value;
+        localStorage.setItem('botSettings', JSON.stringify(settings));
+        renderRiskStatus();
+    }));
+
+    loadCustomStrategies();
+    loadEngineParams();
+    renderStrategyOptions();
+    renderLearnerStatus();
+    renderHistorySymbolOptions();
+    initJournal().then(refreshAnalytics);
+    renderRiskStatus();
+    selectChartSymbol(symbolEl.value);
+    renderWatchTable();
+    if (riskState.halted) appendFeed(`Trading halted: ${riskState.halted}`, 'warn');
     setStatus('Idle - Adaptive Intelligence Ready', 'var(--muted-color)');
     appendFeed('🤖 Enhanced Bot v2.0 initialized with Adaptive Intelligence', 'info');
     appendFeed('✓ IndicatorsModel: Dynamic weighting enabled', 'success');
@@ -0,0 +1,119 @@
+// optimizer.js
+
+/* ---------- Core Bindings ---------- */
+const { runWalkForward, describeParams, resolveEngineParams } = BotCore;
+
+let optimizerRunning = false;
+let lastOptimization = null;
+
+/* ---------- Engine Parameters ---------- */
+function loadEngineParams() {
+    const saved = JSON.parse(localStorage.getItem('engineParams') || 'null');
+    if (saved) getStrategy(DEFAULT_STRATEGY_ID).params = resolveEngineParams(saved);
+}
+
+function applyEngineParams(params) {
+    const strategy = getStrategy(DEFAULT_STRATEGY_ID);
+    strategy.params = resolveEngineParams(params);
+    localStorage.setItem('engineParams', JSON.stringify(strategy.params));
+    appendFeed(`Parameters applied to ${strategy.name}: ${describeParams(strategy.params)}`, 'success');
+    if (lastOptimization) renderOptimizerReport(lastOptimization);
+}
+
+/* ---------- Optimization Run ---------- */
+async function startOptimization() {
+    if (!api || !api.isOpen()) {
+        appendFeed('Cannot run optimizer - WS not open', 'error');
+        return;
+    }
+    if (optimizerRunning || backtestState) {
+        appendFeed('A backtest or optimization is already running', 'warn');
+        return;
+    }
+    const symbol = symbolEl.value;
+    const granularity = parseInt(granEl.value, 10);
+    const target = Math.max(BACKTEST_MIN_CANDLES + 1, parseInt(backtestCandlesEl.value, 10) || 1000);
+    const options = {
+        method: optMethodEl.value,
+        samples: parseInt(optSamplesEl.value, 10) || 40,
+        folds: parseInt(optFoldsEl.value, 10) || 4,
+        objective: optObjectiveEl.value,
+        minTrades: parseInt(optMinTradesEl.value, 10) || 10,
+        granularity,
+        stake: parseFloat(stakeEl.value) || 1,
+        payout: (parseFloat(backtestPayoutEl.value) || BACKTEST_DEFAULT_PAYOUT * 100) / 100
+    };
+
+    optimizerRunning = true;
+    runOptimizerBtn.disabled = true;
+    showLoading(`Fetching ${target} candles for optimization...`);
+    appendFeed(`Optimizer started on ${symbol} (${options.method} search, ${options.folds} folds, objective: ${options.objective})`, 'info');
+    try {
+        const candles = await fetchCandleHistory(symbol, granularity, target);
+        const result = await runWalkForward(candles, options, (done, total) => {
+            showLoading(`Optimizing... ${done}/${total} backtests`);
+        });
+        result.symbol = symbol;
+        lastOptimization = result;
+        renderOptimizerReport(result);
+        const oos = result.outOfSample;
+        appendFeed(`Optimizer complete: ${result.evaluated} sets | Walk-forward OOS: ${oos.trades} trades, ${(oos.winRate * 100).toFixed(1)}% win, P/L ${oos.totalProfit.toFixed(2)}`, oos.totalProfit >= 0 ? 'success' : 'warn');
+    } catch (e) {
+        appendFeed(`Optimizer failed: ${e.message}`, 'error');
+    } finally {
+        optimizerRunning = false;
+        runOptimizerBtn.disabled = false;
+        hideLoading();
+    }
+}
+
+/* ---------- Report ---------- */
+function renderOptimizerReport(result) {
+    const applied = JSON.stringify(getStrategy(DEFAULT_STRATEGY_ID).params);
+    const fmtScore = (s) => s === null ? 'n/a' : (result.objective === 'winRate' ? `${(s * 100).toFixed(1)}%` : s.toFixed(2));
+    const profitColor = (p) => p >= 0 ? 'var(--success-color)' : 'var(--error-color)';
+    const oos = result.outOfSample;
+
+    const foldRows = result.folds.map((f, i) => `
+        <div class="history-item">
+            <span>Fold ${i + 1}: ${new Date(f.testFrom * 1000).toLocaleDateString()} → ${new Date(f.testTo * 1000).toLocaleDateString()}</span>
+            <span>${f.params ? `Pick #${f.candidate} (train ${fmtScore(f.train.score)})` : `No set reached ${result.minTrades} trades`}</span>
+            <span>${f.test ? `Test: ${f.test.trades} trades, ${(f.test.winRate * 100).toFixed(1)}%` : '-'}</span>
+            <span style="color: ${f.test ? profitColor(f.test.totalProfit) : 'inherit'}">${f.test ? f.test.totalProfit.toFixed(2) : '-'}</span>
+        </div>
+    `).join('');
+
+    const row = (r, label) => `
+        <div class="history-item optimizer-row">
+            <span>${label} • ${result.objectiveLabel}: ${fmtScore(r.score)}</span>
+            <span>Trades: ${r.trades} • Win: ${(r.winRate * 100).toFixed(1)}%${r.foldWins ? ` • Picked in ${r.foldWins} fold(s)` : ''}</span>
+            <button class="btn btn-secondary btn-sm" data-candidate="${r.candidate}" ${JSON.stringify(r.params) === applied ? 'disabled' : ''}>Apply</button>
+            <span class="optimizer-params">${r.description}</span>
+            <span style="color: ${profitColor(r.totalProfit)}">${r.totalProfit.toFixed(2)}</span>
+        </div>
+    `;
+    const rankRows = result.ranking.map((r, i) => row(r, `#${i + 1}`)).join('');
+
+    optimizerResultsEl.innerHTML = `
+        <div class="history-summary">
+            <strong>${result.symbol}</strong> • ${result.evaluated} parameter sets (${result.method}) • ${result.objectiveLabel}, min ${result.minTrades} trades<br>
+            <strong>Walk-forward out-of-sample:</strong> ${oos.trades} trades over ${oos.folds} fold(s) •
+            <strong>Win Rate:</strong> ${(oos.winRate * 100).toFixed(1)}% •
+            <strong>P/L:</strong> <span style="color: ${profitColor(oos.totalProfit)}">${oos.totalProfit.toFixed(2)} USD</span>
+        </div>
+        ${foldRows}
+        <p class="form-hint">Ranking on the most recent training window</p>
+        ${rankRows || `<p class="form-hint">No parameter set reached ${result.minTrades} trades</p>`}
+        ${row({ ...result.baseline, params: resolveEngineParams(), candidate: 0 }, 'Baseline')}
+    `;
+}
+
+function handleOptimizerClick(e) {
+    const btn = e.target.closest('button[data-candidate]');
+    if (!btn || !lastOptimization) return;
+    const index = parseInt(btn.dataset.candidate, 10);
+    const entry = index === 0
+        ? { params: resolveEngineParams() }
+        : lastOptimization.ranking.find(r => r.candidate === index);
+    if (entry) applyEngineParams(entry.params);
+}
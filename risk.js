@@ -0,0 +1,122 @@
+// risk.js
+
+/* ---------- Risk Config ---------- */
+const DEFAULT_RISK_LIMITS = {
+    maxDailyLoss: 20,         // USD lost since 00:00 GMT
+    maxConsecutiveLosses: 5,
+    maxOpenContracts: 3,
+    maxStakePct: 5            // Max stake as % of accountBalance
+};
+
+let riskState = loadRiskState();
+
+function todayKey() {
+    // Deriv trading days roll over at 00:00 GMT
+    return new Date().toISOString().slice(0, 10);
+}
+
+function loadRiskState() {
+    const saved = JSON.parse(localStorage.getItem('riskState') || 'null');
+    if (saved && saved.day === todayKey()) return saved;
+    // New day: daily P/L restarts and a daily loss halt expires; other halts persist until reset
+    const carryHalt = saved && saved.halted && saved.haltType !== 'DAILY_LOSS';
+    return {
+        day: todayKey(),
+        dailyProfit: 0,
+        consecutiveLosses: saved ? saved.consecutiveLosses : 0,
+        halted: carryHalt ? saved.halted : null,
+        haltType: carryHalt ? saved.haltType : null
+    };
+}
+
+function saveRiskState() {
+    localStorage.setItem('riskState', JSON.stringify(riskState));
+    renderRiskStatus();
+}
+
+function getRiskLimits() {
+    return {
+        maxDailyLoss: parseFloat(maxDailyLossEl.value) || DEFAULT_RISK_LIMITS.maxDailyLoss,
+        maxConsecutiveLosses: parseInt(maxConsecLossesEl.value, 10) || DEFAULT_RISK_LIMITS.maxConsecutiveLosses,
+        maxOpenContracts: parseInt(maxOpenContractsEl.value, 10) || DEFAULT_RISK_LIMITS.maxOpenContracts,
+        maxStakePct: parseFloat(maxStakePctEl.value) || DEFAULT_RISK_LIMITS.maxStakePct
+    };
+}
+
+/* ---------- Pre-Trade Checks ---------- */
+function checkTradeRisk(params, live) {
+    if (riskState.day !== todayKey()) riskState = loadRiskState();
+    const limits = getRiskLimits();
+
+    if (riskState.halted) {
+        return { allowed: false, halt: false, reason: `Trading halted: ${riskState.halted}` };
+    }
+    if (-riskState.dailyProfit >= limits.maxDailyLoss) {
+        return { allowed: false, halt: 'DAILY_LOSS', reason: `Daily loss limit reached (${riskState.dailyProfit.toFixed(2)} / -${limits.maxDailyLoss.toFixed(2)} USD)` };
+    }
+    if (riskState.consecutiveLosses >= limits.maxConsecutiveLosses) {
+        return { allowed: false, halt: 'CONSECUTIVE_LOSSES', reason: `${riskState.consecutiveLosses} consecutive losses (limit ${limits.maxConsecutiveLosses})` };
+    }
+    if (accountBalance !== null && params.amount > accountBalance * limits.maxStakePct / 100) {
+        // A property of this one trade, not of the account: reject it without halting
+        return { allowed: false, halt: false, reason: `Stake ${params.amount.toFixed(2)} exceeds ${limits.maxStakePct}% of balance (${accountBalance.toFixed(2)} USD)` };
+    }
+    // Live proposals awaiting their buy become contracts moments later, so they count too
+    const open = live ? activeContracts.size + pendingTrades.size : paperContracts.size;
+    if (open >= limits.maxOpenContracts) {
+        // Capacity frees up as contracts settle, so this only skips the trade
+        return { allowed: false, halt: false, reason: `${open} contracts already open or pending (limit ${limits.maxOpenContracts})` };
+    }
+    return { allowed: true };
+}
+
+function approveTrade(params, live) {
+    const check = checkTradeRisk(params, live);
+    if (check.allowed) return true;
+    if (check.halt) {
+        haltTrading(check.reason, check.halt);
+    } else {
+        appendFeed(`Risk check blocked trade - ${check.reason}`, 'warn');
+    }
+    return false;
+}
+
+/* ---------- Outcome Tracking & Kill Switch ---------- */
+function recordTradeOutcome(profit) {
+    if (riskState.day !== todayKey()) riskState = loadRiskState();
+    riskState.dailyProfit += profit;
+    riskState.consecutiveLosses = profit < 0 ? riskState.consecutiveLosses + 1 : 0;
+    saveRiskState();
+
+    // Stop as soon as a settlement breaches a limit rather than on the next signal
+    const check = checkTradeRisk({ amount: 0 }, true);
+    if (check.halt === 'DAILY_LOSS' || check.halt === 'CONSECUTIVE_LOSSES') {
+        haltTrading(check.reason, check.halt);
+    }
+}
+
+function haltTrading(reason, haltType = 'MANUAL') {
+    riskState.halted = reason;
+    riskState.haltType = haltType;
+    saveRiskState();
+    appendFeed(`🛑 Trading halted - ${reason}. Auto trading stopped.`, 'error');
+    if (autoTrading) stopAutoTrading();
+}
+
+function resetRiskHalt() {
+    riskState.halted = null;
+    riskState.haltType = null;
+    riskState.consecutiveLosses = 0;
+    saveRiskState();
+    appendFeed('Risk halt cleared - trading may resume', 'info');
+}
+
+function renderRiskStatus() {
+    const limits = getRiskLimits();
+    const pnlColor = riskState.dailyProfit >= 0 ? 'var(--success-color)' : 'var(--error-color)';
+    riskStatusEl.innerHTML = `
+        <strong>Today:</strong> <span style="color: ${pnlColor}">${riskState.dailyProfit.toFixed(2)}</span> / -${limits.maxDailyLoss.toFixed(2)} USD •
+        <strong>Loss Streak:</strong> ${riskState.consecutiveLosses}/${limits.maxConsecutiveLosses}
+        ${riskState.halted ? `<br><span style="color: var(--error-color)">HALTED: ${riskState.halted}</span>` : ''}
+    `;
+}
@@ -0,0 +1,113 @@
+// sizing.js
+
+/* ---------- Sizing Config ---------- */
+const MIN_STAKE = 0.35; // Deriv minimum stake in USD
+const SIZING_HISTORY = 20;
+
+/* ---------- Position Sizing Strategies ---------- */
+// Each sizer receives the sizing context and returns { stake, reason }, with `skip` when no bet should be placed
+const STAKE_SIZERS = {
+    fixed: (ctx) => ({
+        stake: ctx.baseStake,
+        reason: 'Fixed stake'
+    }),
+
+    percent: (ctx) => {
+        if (ctx.balance === null) return { stake: ctx.baseStake, reason: 'Balance unknown - fixed stake' };
+        const riskAdj = 1 - ctx.riskScore * 0.5;
+        return {
+            stake: ctx.balance * ctx.balancePct / 100 * riskAdj,
+            reason: `${ctx.balancePct}% of ${ctx.balance.toFixed(2)} USD × ${riskAdj.toFixed(2)} risk adj.`
+        };
+    },
+
+    kelly: (ctx) => {
+        if (ctx.balance === null) return { stake: ctx.baseStake, reason: 'Balance unknown - fixed stake' };
+        // Blend model confidence with realised win rate once there is enough history
+        const p = ctx.recent.length >= 10 ? (ctx.confidence + ctx.winRate) / 2 : ctx.confidence;
+        const b = ctx.payout;
+        const edge = (p * b - (1 - p)) / b;
+        if (edge <= 0) {
+            return { stake: 0, skip: true, reason: `Kelly edge ${(edge * 100).toFixed(1)}% ≤ 0 (p=${p.toFixed(2)}, b=${b}) - no bet` };
+        }
+        const riskAdj = 1 - ctx.riskScore * 0.5;
+        return {
+            stake: ctx.balance * edge * ctx.kellyFraction * riskAdj,
+            reason: `${ctx.kellyFraction}× Kelly: edge ${(edge * 100).toFixed(1)}% (p=${p.toFixed(2)}, b=${b}) × ${riskAdj.toFixed(2)} risk adj.`
+        };
+    },
+
+    martingale: (ctx) => {
+        const steps = Math.min(ctx.lossStreak, ctx.maxSteps);
+        return {
+            stake: ctx.baseStake * Math.pow(ctx.multiplier, steps),
+            reason: `Martingale step ${steps}/${ctx.maxSteps} after ${ctx.lossStreak} loss(es)`
+        };
+    },
+
+    antimartingale: (ctx) => {
+        const steps = Math.min(ctx.winStreak, ctx.maxSteps);
+        return {
+            stake: ctx.baseStake * Math.pow(ctx.multiplier, steps),
+            reason: `Anti-martingale step ${steps}/${ctx.maxSteps} after ${ctx.winStreak} win(s)`
+        };
+    }
+};
+
+function countStreak(trades, result) {
+    let n = 0;
+    for (const t of trades) {
+        if (t.result !== result) break;
+        n++;
+    }
+    return n;
+}
+
+function buildSizingContext(decision, riskScore, payout = PAPER_PAYOUT) {
+    const hist = getJournalRecords();
+    // The journal is read newest first; only settled trades say anything about streaks
+    const recent = hist.filter(h => h.result === 'WIN' || h.result === 'LOSS').slice(0, SIZING_HISTORY);
+    return {
+        baseStake: parseFloat(stakeEl.value) || 1,
+        balance: accountBalance,
+        confidence: decision.confidence,
+        riskScore,
+        recent,
+        winRate: recent.length > 0 ? recent.filter(t => t.result === 'WIN').length / recent.length : 0.5,
+        lossStreak: countStreak(recent, 'LOSS'),
+        winStreak: countStreak(recent, 'WIN'),
+        payout,
+        balancePct: parseFloat(sizingPctEl.value) || 1,
+        kellyFraction: parseFloat(kellyFractionEl.value) || 0.25,
+        multiplier: parseFloat(martingaleMultEl.value) || 2,
+        maxSteps: parseInt(martingaleStepsEl.value, 10) || 3
+    };
+}
+
+// `payout` is the profit per unit stake on a win; it defaults to the Rise/Fall paper payout.
+// `skip` is set when the sizer declines the bet or even the minimum stake would breach the risk manager's cap
+function computeStake(decision, riskScore, payout) {
+    const strategy = stakeStrategyEl.value in STAKE_SIZERS ? stakeStrategyEl.value : 'fixed';
+    const ctx = buildSizingContext(decision, riskScore, payout);
+    const sized = STAKE_SIZERS[strategy](ctx);
+    if (sized.skip) return { stake: 0, strategy, skip: true, reason: sized.reason };
+    let { stake, reason } = sized;
+
+    // Never size past the risk manager's stake cap; the trade would be rejected
+    if (ctx.balance !== null) {
+        const cap = ctx.balance * getRiskLimits().maxStakePct / 100;
+        if (cap < MIN_STAKE) {
+            return { stake: 0, strategy, skip: true, reason: `minimum stake ${MIN_STAKE} exceeds ${getRiskLimits().maxStakePct}% of balance (${cap.toFixed(2)} USD)` };
+        }
+        if (stake > cap) {
+            stake = cap;
+            reason += ` | capped at ${getRiskLimits().maxStakePct}% of balance`;
+        }
+    }
+    if (stake < MIN_STAKE) {
+        stake = MIN_STAKE;
+        reason += ' | raised to minimum stake';
+    }
+
+    return { stake: Math.round(stake * 100) / 100, strategy, reason };
+}
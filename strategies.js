@@ -0,0 +1,142 @@
+// strategies.js
+
+/* ---------- Core Bindings ---------- */
+const {
+    DEFAULT_STRATEGY_ID, registerStrategy, unregisterStrategy, getStrategy, listStrategies, compileRuleStrategy,
+    CONTRACT_FAMILIES, DEFAULT_CONTRACT_FAMILIES, DEFAULT_CONTRACT_OPTIONS
+} = BotCore;
+
+const RULE_TEMPLATE = {
+    id: 'rsi-bb-bounce',
+    name: 'RSI + Lower Band Bounce',
+    rules: [
+        {
+            when: { all: [['rsi(14)', '<', 30], ['price', '<=', 'bb.lower(20,2)']] },
+            action: 'CALL',
+            bars: 2,
+            confidence: 0.75
+        },
+        {
+            when: { all: [['rsi(14)', '>', 70], ['price', '>=', 'bb.upper(20,2)']] },
+            action: 'PUT',
+            bars: 2,
+            confidence: 0.75
+        }
+    ]
+};
+
+/* ---------- Custom Strategy Storage ---------- */
+function loadCustomStrategies() {
+    JSON.parse(localStorage.getItem('customStrategies') || '[]').forEach(spec => {
+        try {
+            registerStrategy(compileRuleStrategy(spec));
+        } catch (e) {
+            appendFeed(`Skipped saved strategy ${spec && spec.id}: ${e.message}`, 'warn');
+        }
+    });
+}
+
+function saveCustomStrategies() {
+    const specs = listStrategies().filter(s => s.custom).map(s => s.spec);
+    localStorage.setItem('customStrategies', JSON.stringify(specs));
+}
+
+/* ---------- Selection ---------- */
+function getActiveStrategy() {
+    return getStrategy(strategyEl.value);
+}
+
+function selectStrategy(id) {
+    strategyEl.value = getStrategy(id).id;
+    settings.strategy = strategyEl.value;
+    localStorage.setItem('botSettings', JSON.stringify(settings));
+    renderStrategyInfo();
+}
+
+function renderStrategyOptions() {
+    const current = strategyEl.value || settings.strategy || DEFAULT_STRATEGY_ID;
+    strategyEl.innerHTML = listStrategies()
+        .map(s => `<option value="${s.id}">${s.custom ? '✎ ' : ''}${s.name}</option>`)
+        .join('');
+    strategyEl.value = getStrategy(current).id;
+    renderStrategyInfo();
+}
+
+function renderStrategyInfo() {
+    const strategy = getActiveStrategy();
+    strategyDescriptionEl.textContent = strategy.description;
+    deleteRuleBtn.disabled = !strategy.custom;
+    // Custom strategies open in the editor so they can be tweaked and re-saved
+    if (strategy.custom) ruleEditorEl.value = JSON.stringify(strategy.spec, null, 2);
+    else if (!ruleEditorEl.value.trim()) ruleEditorEl.value = JSON.stringify(RULE_TEMPLATE, null, 2);
+    ruleEditorEl.classList.remove('invalid');
+    renderContractFamilies();
+}
+
+/* ---------- Contract Families ---------- */
+// The user's choice per strategy, else the strategy's own default
+function getAllowedFamilies(strategy = getActiveStrategy()) {
+    const chosen = (settings.contractFamilies || {})[strategy.id];
+    return chosen || strategy.contracts || DEFAULT_CONTRACT_FAMILIES;
+}
+
+function renderContractFamilies() {
+    const allowed = getAllowedFamilies();
+    contractFamiliesEl.innerHTML = Object.entries(CONTRACT_FAMILIES).map(([id, family]) => `
+        <label class="checkbox-label">
+            <input type="checkbox" value="${id}" class="checkbox-input" ${allowed.includes(id) ? 'checked' : ''}>
+            <span class="checkbox-text">${family.label}</span>
+        </label>`).join('');
+}
+
+function saveContractFamilies() {
+    const strategy = getActiveStrategy();
+    const chosen = [...contractFamiliesEl.querySelectorAll('input:checked')].map(el => el.value);
+    settings.contractFamilies = { ...(settings.contractFamilies || {}), [strategy.id]: chosen };
+    localStorage.setItem('botSettings', JSON.stringify(settings));
+    appendFeed(`${strategy.name} may trade: ${chosen.map(id => CONTRACT_FAMILIES[id].label).join(', ') || 'nothing (no trades will be placed)'}`, chosen.length > 0 ? 'info' : 'warn');
+}
+
+function getContractOptions() {
+    return {
+        barrierSource: barrierSourceEl.value,
+        multiplier: parseInt(multiplierValueEl.value, 10) || DEFAULT_CONTRACT_OPTIONS.multiplier,
+        takeProfitPct: parseFloat(takeProfitPctEl.value) || DEFAULT_CONTRACT_OPTIONS.takeProfitPct,
+        stopLossPct: parseFloat(stopLossPctEl.value) || DEFAULT_CONTRACT_OPTIONS.stopLossPct
+    };
+}
+
+/* ---------- Rule Editor ---------- */
+function saveRuleStrategy() {
+    let strategy;
+    try {
+        strategy = compileRuleStrategy(JSON.parse(ruleEditorEl.value));
+    } catch (e) {
+        ruleEditorEl.classList.add('invalid');
+        ruleEditorStatusEl.textContent = e.message;
+        appendFeed(`Rule strategy not saved: ${e.message}`, 'error');
+        return;
+    }
+    const existing = listStrategies().find(s => s.id === strategy.id);
+    if (existing && !existing.custom) {
+        ruleEditorEl.classList.add('invalid');
+        ruleEditorStatusEl.textContent = `"${strategy.id}" is a built-in strategy id - choose another`;
+        return;
+    }
+    registerStrategy(strategy);
+    saveCustomStrategies();
+    renderStrategyOptions();
+    selectStrategy(strategy.id);
+    ruleEditorStatusEl.textContent = `Saved "${strategy.name}": ${strategy.description}`;
+    appendFeed(`Rule strategy saved and activated: ${strategy.name}`, 'success');
+}
+
+function deleteRuleStrategy() {
+    const strategy = getActiveStrategy();
+    if (!strategy.custom) return;
+    unregisterStrategy(strategy.id);
+    saveCustomStrategies();
+    renderStrategyOptions();
+    selectStrategy(DEFAULT_STRATEGY_ID);
+    appendFeed(`Rule strategy deleted: ${strategy.name}`, 'info');
+}
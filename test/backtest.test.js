@@ -0,0 +1,61 @@
+// test/backtest.test.js
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runBacktest } = require('../core/backtest');
+const { getStrategy } = require('../core/strategies');
+const { makeCandles } = require('./helpers');
+
+const candles = makeCandles(600);
+const report = runBacktest(candles, { granularity: 60, stake: 2, payout: 0.9 });
+
+test('report totals agree with the trade log', () => {
+    assert.ok(report.trades > 0);
+    assert.equal(report.trades, report.tradeLog.length);
+    assert.equal(report.wins + report.losses, report.trades);
+    const profit = report.tradeLog.reduce((s, t) => s + t.profit, 0);
+    assert.ok(Math.abs(profit - report.totalProfit) < 1e-9);
+    const byRegime = Object.values(report.byRegime).reduce((s, r) => s + r.trades, 0);
+    assert.equal(byRegime, report.trades);
+});
+
+test('each trade settles on the close at expiry at the configured stake and payout', () => {
+    report.tradeLog.forEach(t => {
+        const up = t.exitSpot > t.entrySpot;
+        const down = t.exitSpot < t.entrySpot;
+        assert.equal(t.result === 'WIN', t.contract_type === 'CALL' ? up : down);
+        assert.equal(t.profit, t.result === 'WIN' ? 1.8 : -2);
+    });
+});
+
+test('trades settle on the first bar closing at or after expiry across gaps in the history', () => {
+    const gappy = candles.filter((c, i) => i % 7 !== 3);
+    const r = runBacktest(gappy, { granularity: 60 });
+    assert.ok(r.trades > 0);
+    r.tradeLog.forEach(t => {
+        const expiry = t.epoch + 60 + t.duration;
+        const exit = gappy.findIndex(c => c.epoch + 60 >= expiry);
+        assert.equal(t.expiry, gappy[exit].epoch + 60);
+        assert.equal(t.exitSpot, gappy[exit].close);
+    });
+});
+
+test('positions do not overlap', () => {
+    report.tradeLog.slice(1).forEach((t, i) => assert.ok(t.epoch >= report.tradeLog[i].expiry - 60));
+});
+
+test('trades never depend on candles after their expiry', () => {
+    const cut = report.tradeLog[Math.floor(report.trades / 2)];
+    const end = candles.findIndex(c => c.epoch === cut.expiry - 60) + 1;
+    const truncated = runBacktest(candles.slice(0, end), { granularity: 60, stake: 2, payout: 0.9 });
+    assert.deepEqual(truncated.tradeLog, report.tradeLog.slice(0, truncated.trades));
+    assert.ok(truncated.tradeLog.some(t => t.epoch === cut.epoch));
+});
+
+test('runs any registered strategy', () => {
+    const r = runBacktest(candles, { granularity: 60, strategy: getStrategy('ma-crossover') });
+    assert.equal(r.strategy, getStrategy('ma-crossover').name);
+    assert.equal(r.wins + r.losses, r.trades);
+});
@@ -0,0 +1,62 @@
+// test/csv.test.js
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { flattenRecord, unflattenRecord, toCsv, parseCsv } = require('../core/csv');
+
+const record = {
+    contract_id: 123,
+    symbol: 'R_100',
+    result: 'WIN',
+    profit: 0.95,
+    paper: false,
+    reason: 'Bullish, "strong"\nsignal',
+    barrier: '+10.75',
+    opened_at: '2026-01-01T09:30:00.000Z',
+    decision_snapshot: { rsi: 28.5, pattern: 'HAMMER', signals: [1, -1, 0] }
+};
+
+test('flattenRecord writes nested fields as dotted columns and arrays as JSON', () => {
+    const flat = flattenRecord(record);
+    assert.equal(flat['decision_snapshot.rsi'], 28.5);
+    assert.equal(flat['decision_snapshot.signals'], '[1,-1,0]');
+});
+
+test('records round-trip through CSV text', () => {
+    const other = { contract_id: 124, symbol: 'R_50', opened_at: '2026-01-01T09:31:00.000Z' };
+    const text = toCsv([record, other].map(r => flattenRecord(r)));
+    const [a, b] = parseCsv(text).map(unflattenRecord);
+    assert.deepEqual(a, record);
+    assert.deepEqual(b, other);
+});
+
+test('parseCsv reads quoted cells, CRLF or LF lines, and skips blank lines', () => {
+    const rows = parseCsv('a,b\n"x, ""y""",2\r\n\r\n3,"multi\nline"\n');
+    assert.deepEqual(rows, [{ a: 'x, "y"', b: '2' }, { a: '3', b: 'multi\nline' }]);
+    assert.deepEqual(parseCsv(''), []);
+});
+
+test('toCsv keeps the requested column order', () => {
+    assert.equal(toCsv([{ b: 1, a: 2 }], ['a', 'b']), 'a,b\r\n2,1\r\n');
+});
+
+test('text cells a spreadsheet would run as formulas are neutralized and read back unchanged', () => {
+    const risky = {
+        contract_id: 125,
+        reason: '=HYPERLINK("http://example.com","x")',
+        barrier: '+10.75',
+        note: '@SUM(A1)',
+        tag: '-2',
+        quoted: "'=already quoted",
+        tabbed: '\tcell',
+        profit: -1.5
+    };
+    const text = toCsv([flattenRecord(risky)]);
+    const [row] = parseCsv(text);
+    ['reason', 'barrier', 'note', 'tag', 'tabbed'].forEach(k => assert.equal(row[k][0], "'", k));
+    assert.equal(row.quoted, "''=already quoted");
+    assert.equal(row.profit, '-1.5');
+    assert.deepEqual(unflattenRecord(row), risky);
+});
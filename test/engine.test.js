@@ -0,0 +1,74 @@
+// test/engine.test.js
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { advancedDecisionEngine } = require('../core/engine');
+const { createIndicatorStream } = require('../core/streaming');
+const { getStrategy } = require('../core/strategies');
+const { makeCandles } = require('./helpers');
+
+const ACTIONS = ['STRONG BUY', 'BUY', 'HOLD', 'SELL', 'STRONG SELL'];
+
+// The first entry the engine takes on `candles`, with the trailing window the bot keeps
+function firstEntry(candles) {
+    for (let i = 60; i < candles.length; i++) {
+        const window = candles.slice(Math.max(0, i - 199), i + 1);
+        const decision = advancedDecisionEngine(window);
+        if (decision.action !== 'HOLD') return { window, decision };
+    }
+    throw new Error('no entry in the series');
+}
+
+test('holds until there are 50 candles', () => {
+    const d = advancedDecisionEngine(makeCandles(49));
+    assert.equal(d.action, 'HOLD');
+    assert.equal(d.reason, 'Insufficient data');
+});
+
+test('decisions are deterministic and well formed', () => {
+    const candles = makeCandles(200);
+    for (let i = 50; i <= candles.length; i += 25) {
+        const d = advancedDecisionEngine(candles.slice(0, i));
+        assert.deepEqual(advancedDecisionEngine(candles.slice(0, i)), d);
+        assert.ok(ACTIONS.includes(d.action), d.action);
+        assert.ok(d.confidence >= 0 && d.confidence <= 0.95);
+        assert.ok(d.regime && d.regime.type);
+    }
+});
+
+test('streaming indicators in the context give the batch decision', () => {
+    const { window, decision } = firstEntry(makeCandles(400));
+    const stream = createIndicatorStream();
+    window.forEach(c => stream.push(c));
+    assert.equal(advancedDecisionEngine(window, { indicators: stream.latest() }).action, decision.action);
+});
+
+test('thresholds in params gate the entry', () => {
+    const { window } = firstEntry(makeCandles(400));
+    const strict = { thresholds: { signal: 100, moderate: 100 } };
+    assert.equal(advancedDecisionEngine(window, { params: strict }).action, 'HOLD');
+});
+
+test('higher timeframes trending against the entry veto it', () => {
+    const { window, decision } = firstEntry(makeCandles(400));
+    const direction = decision.action.includes('BUY') ? 1 : -1;
+    const against = makeCandles(120, { drift: -0.003 * direction, granularity: 300 });
+    const vetoed = advancedDecisionEngine(window, { timeframes: [{ granularity: 300, candles: against }] });
+    assert.equal(vetoed.action, 'HOLD');
+    assert.match(vetoed.reason, /^Higher timeframes disagree \(5m\)/);
+
+    const along = makeCandles(120, { drift: 0.003 * direction, granularity: 300 });
+    const confirmed = advancedDecisionEngine(window, { timeframes: [{ granularity: 300, candles: along }] });
+    assert.equal(confirmed.action, decision.action);
+    assert.ok(confirmed.confidence >= decision.confidence);
+});
+
+test('other strategies are confirmed by higher timeframes too', () => {
+    const falling = makeCandles(80, { drift: -0.01 });
+    const rsi = getStrategy('rsi-reversion');
+    assert.match(rsi.evaluate(falling, {}).action, /BUY$/);
+    const down = makeCandles(120, { drift: -0.003, granularity: 300 });
+    assert.equal(rsi.evaluate(falling, { timeframes: [{ granularity: 300, candles: down }] }).action, 'HOLD');
+});
@@ -0,0 +1,30 @@
+// test/helpers.js
+// Deterministic market data for the core tests (npm test)
+
+'use strict';
+
+// Park-Miller generator, so every run sees the same series
+function createRandom(seed = 7) {
+    let r = seed;
+    return () => (r = (r * 16807) % 2147483647) / 2147483647;
+}
+
+// Random-walk candles: each bar is six sub-steps of up to ±step/2 relative change, plus `drift` per bar
+function makeCandles(count, { seed = 7, start = 100, step = 0.004, drift = 0, granularity = 60 } = {}) {
+    const rand = createRandom(seed);
+    const candles = [];
+    let p = start;
+    for (let i = 0; i < count; i++) {
+        const open = p;
+        let high = open, low = open;
+        for (let k = 0; k < 6; k++) {
+            p *= 1 + (rand() - 0.5) * step + drift / 6;
+            high = Math.max(high, p);
+            low = Math.min(low, p);
+        }
+        candles.push({ epoch: i * granularity, open, high, low, close: p });
+    }
+    return candles;
+}
+
+module.exports = { createRandom, makeCandles };
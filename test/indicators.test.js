@@ -0,0 +1,65 @@
+// test/indicators.test.js
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    calcMA, calcEMA, calcRSI, calcBollinger, calcVolatility, calcMACD, calcTickVWAP, latestIndicators
+} = require('../core/indicators');
+const { makeCandles } = require('./helpers');
+
+const close = (a, b, eps = 1e-9) => assert.ok(Math.abs(a - b) < eps, `${a} != ${b}`);
+
+test('calcMA averages the trailing period and pads the warm-up with null', () => {
+    assert.deepEqual(calcMA([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+});
+
+test('calcEMA seeds with the first value and weights by 2 / (period + 1)', () => {
+    const ema = calcEMA([10, 20, 20], 3);
+    assert.equal(ema[0], 10);
+    close(ema[1], 15);
+    close(ema[2], 17.5);
+});
+
+test('calcRSI is 100 on a series that only rises and 0 on one that only falls', () => {
+    const up = Array.from({ length: 30 }, (_, i) => 100 + i);
+    assert.equal(calcRSI(up, 14).at(-1), 100);
+    assert.equal(calcRSI(up.slice().reverse(), 14).at(-1), 0);
+    assert.ok(calcRSI(up.slice(0, 14), 14).every(v => v === null));
+});
+
+test('calcBollinger bands collapse onto the mean of a flat series', () => {
+    const band = calcBollinger(Array(25).fill(5), 20, 2).at(-1);
+    assert.equal(band.middle, 5);
+    assert.equal(band.upper, 5);
+    assert.equal(band.lower, 5);
+});
+
+test('calcVolatility is the population deviation of the last period', () => {
+    close(calcVolatility([1, 3, 1, 3], 4), 1);
+    assert.equal(calcVolatility([1, 2], 4), 0);
+});
+
+test('calcMACD histogram is the MACD line less its signal line', () => {
+    const closes = makeCandles(80).map(c => c.close);
+    const { macdLine, signalLine, histogram } = calcMACD(closes);
+    histogram.forEach((h, i) => close(h, macdLine[i] - signalLine[i]));
+});
+
+test('calcTickVWAP weights each quote by the gap since the previous tick', () => {
+    const ticks = [{ epoch: 0, quote: 10 }, { epoch: 1, quote: 20 }, { epoch: 4, quote: 30 }];
+    // Weights 1, 1, 3
+    close(calcTickVWAP(ticks, 3)[2], (10 + 20 + 90) / 5);
+    assert.deepEqual(calcTickVWAP(ticks, 3).slice(0, 2), [null, null]);
+});
+
+test('latestIndicators returns the last value of every series the engine reads', () => {
+    const candles = makeCandles(120);
+    const closes = candles.map(c => c.close);
+    const latest = latestIndicators(candles);
+    close(latest.ma14, calcMA(closes, 14).at(-1));
+    close(latest.ma50, calcMA(closes, 50).at(-1));
+    close(latest.rsi, calcRSI(closes, 14).at(-1));
+    ['bb', 'atr', 'stoch', 'williamsR', 'cci', 'adx', 'supertrend', 'ichimoku'].forEach(k => assert.notEqual(latest[k], null, k));
+});
@@ -0,0 +1,69 @@
+// test/regime.test.js
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    REGIME_TYPES, FIXED_REGIME_THRESHOLDS, REGIME_RECALIBRATION_BARS, classifyRegime, detectMarketRegime, calibrateRegimes,
+    refreshRegimeModel, computeIndicatorWeights
+} = require('../core/regime');
+const { makeCandles } = require('./helpers');
+
+const classify = (trendStrength, volPercentage, adx = null) => classifyRegime({ trendStrength, volPercentage, adx }, FIXED_REGIME_THRESHOLDS).type;
+
+test('classifyRegime orders trend strength, ADX direction, then volatility', () => {
+    assert.equal(classify(0.03, 0.005), 'STRONG_UPTREND');
+    assert.equal(classify(-0.03, 0.005), 'STRONG_DOWNTREND');
+    assert.equal(classify(0.015, 0.005), 'UPTREND');
+    assert.equal(classify(0, 0.005, { adx: 35, plusDI: 10, minusDI: 25 }), 'DOWNTREND');
+    assert.equal(classify(0, 0.02), 'HIGH_VOLATILITY');
+    assert.equal(classify(0, 0.001), 'CONSOLIDATION');
+    assert.equal(classify(0, 0.005), 'NEUTRAL');
+});
+
+test('classifyRegime demotes a strong MA spread when ADX finds no direction', () => {
+    assert.equal(classify(0.03, 0.005, { adx: 15, plusDI: 20, minusDI: 20 }), 'UPTREND');
+});
+
+test('detectMarketRegime needs 50 candles and reads a steady climb as an uptrend', () => {
+    assert.equal(detectMarketRegime(makeCandles(49)).type, 'INSUFFICIENT_DATA');
+    const regime = detectMarketRegime(makeCandles(120, { drift: 0.002 }));
+    assert.match(regime.type, /UPTREND$/);
+    assert.ok(regime.trend > 0);
+});
+
+test('calibrateRegimes derives ordered cutoffs and normalized transition odds', () => {
+    assert.equal(calibrateRegimes(makeCandles(60)), null);
+    const candles = makeCandles(400, { seed: 5 });
+    const model = calibrateRegimes(candles);
+    assert.ok(model.thresholds.strongTrend >= model.thresholds.trend);
+    assert.ok(model.thresholds.highVol >= model.thresholds.lowVol);
+    assert.equal(model.epoch, candles[candles.length - 1].epoch);
+    REGIME_TYPES.forEach(from => {
+        const total = Object.values(model.transitions[from]).reduce((a, b) => a + b, 0);
+        assert.ok(Math.abs(total - 1) < 1e-9, from);
+    });
+    const regime = detectMarketRegime(candles, null, model);
+    assert.equal(regime.persistence, model.transitions[regime.type][regime.type]);
+});
+
+test('refreshRegimeModel keeps a model for REGIME_RECALIBRATION_BARS bars', () => {
+    const candles = makeCandles(400, { seed: 5 });
+    const model = refreshRegimeModel(null, candles.slice(0, 300), 60);
+    assert.equal(refreshRegimeModel(model, candles.slice(0, 300 + REGIME_RECALIBRATION_BARS - 1), 60), model);
+    const next = refreshRegimeModel(model, candles.slice(0, 300 + REGIME_RECALIBRATION_BARS), 60);
+    assert.notEqual(next, model);
+    assert.equal(next.epoch, candles[300 + REGIME_RECALIBRATION_BARS - 1].epoch);
+});
+
+test('computeIndicatorWeights favours trend indicators in a strong trend and scales by recent win rate', () => {
+    const neutral = { winRate: 0.5 };
+    const trend = computeIndicatorWeights({ type: 'STRONG_UPTREND' }, neutral);
+    const range = computeIndicatorWeights({ type: 'CONSOLIDATION' }, neutral);
+    assert.ok(trend.ma > range.ma);
+    assert.ok(trend.rsi < range.rsi);
+    const hot = computeIndicatorWeights({ type: 'NEUTRAL' }, { winRate: 0.8 }, { amplify: 2, dampen: 0.5 });
+    const cold = computeIndicatorWeights({ type: 'NEUTRAL' }, { winRate: 0.2 }, { amplify: 2, dampen: 0.5 });
+    assert.equal(hot.ma, cold.ma * 4);
+});
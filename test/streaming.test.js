@@ -0,0 +1,49 @@
+// test/streaming.test.js
+// The streaming indicator set must agree with the batch functions it replaces on live ticks
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createIndicatorStream } = require('../core/streaming');
+const { latestIndicators } = require('../core/indicators');
+const { makeCandles } = require('./helpers');
+
+// Compares two latest() shapes key by key, descending into objects such as bb and adx
+function assertSameValues(actual, expected, path = '') {
+    if (expected === null || typeof expected !== 'object') {
+        if (typeof expected === 'number' && typeof actual === 'number') {
+            assert.ok(Math.abs(actual - expected) <= 1e-8 * Math.max(1, Math.abs(expected)), `${path}: ${actual} != ${expected}`);
+        } else {
+            assert.equal(actual, expected, path);
+        }
+        return;
+    }
+    assert.ok(actual && typeof actual === 'object', `${path} missing`);
+    Object.keys(expected).forEach(k => assertSameValues(actual[k], expected[k], `${path}.${k}`));
+}
+
+test('latest() matches latestIndicators() bar by bar', () => {
+    const candles = makeCandles(160, { seed: 11 });
+    const stream = createIndicatorStream();
+    candles.forEach((c, i) => {
+        stream.push(c);
+        if (i >= 60 && i % 10 === 0) assertSameValues(stream.latest(), latestIndicators(candles.slice(0, i + 1)), `bar ${i}`);
+    });
+});
+
+test('replaceLast() revises the forming bar as if it had been pushed final', () => {
+    const candles = makeCandles(100, { seed: 3 });
+    const stream = createIndicatorStream();
+    candles.slice(0, -1).forEach(c => stream.push(c));
+    const last = candles[candles.length - 1];
+    stream.push({ ...last, close: last.open, high: last.open, low: last.open });
+    stream.replaceLast(last);
+    assertSameValues(stream.latest(), latestIndicators(candles));
+});
+
+test('series stay aligned with the candles and trimmed to maxLength', () => {
+    const stream = createIndicatorStream(50);
+    makeCandles(80).forEach(c => stream.push(c));
+    Object.entries(stream.series).forEach(([k, values]) => assert.equal(values.length, 50, k));
+});
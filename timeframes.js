@@ -0,0 +1,63 @@
+// timeframes.js
+
+/* ---------- Core Bindings ---------- */
+const { formatGranularity } = BotCore;
+
+/* ---------- Higher-Timeframe Candles ---------- */
+const TIMEFRAME_CANDLES_COUNT = 100; // Enough for MA(50) and the regime check
+
+// Checked confirmation granularities that are slower than the trading candles
+function getConfirmTimeframes() {
+    const base = parseInt(granEl.value, 10);
+    return [...confirmTimeframesEl.querySelectorAll('input[type="checkbox"]:checked')]
+        .map(el => parseInt(el.value, 10))
+        .filter(g => g > base);
+}
+
+// Replaces the symbol's higher-timeframe series; called whenever its trading candles are (re)fetched
+function fetchTimeframes(symbol) {
+    const state = getSymbolState(symbol);
+    state.timeframes = new Map();
+    if (!api || !api.isOpen()) return;
+    getConfirmTimeframes().forEach(granularity => fetchTimeframe(symbol, granularity));
+}
+
+function fetchTimeframe(symbol, granularity) {
+    return api.send({
+        ticks_history: symbol,
+        end: 'latest',
+        count: TIMEFRAME_CANDLES_COUNT,
+        style: 'candles',
+        granularity
+    })
+        .then(data => {
+            const state = symbolStates.get(symbol);
+            // The symbol may have been unwatched, or the selection changed, while the request was out
+            if (!state || !getConfirmTimeframes().includes(granularity)) return;
+            state.timeframes.set(granularity, data.candles || []);
+        })
+        .catch(e => reportApiError(e, `${formatGranularity(granularity)} candles request failed for ${symbol}`));
+}
+
+// Folds a tick into every higher-timeframe series of its symbol
+function updateTimeframes(state, tick) {
+    state.timeframes.forEach((candles, granularity) => {
+        if (candles.length === 0) return;
+        const agg = aggregateTick(candles, tick, granularity, TIMEFRAME_CANDLES_COUNT);
+        if (agg.status === 'GAP') {
+            candles.length = 0;
+            fetchTimeframe(state.symbol, granularity);
+        }
+    });
+}
+
+// Engine context: [{ granularity, candles }] for the series that have loaded
+function getTimeframeContext(state) {
+    return [...state.timeframes.entries()]
+        .filter(([, candles]) => candles.length > 0)
+        .map(([granularity, candles]) => ({ granularity, candles }));
+}
+
+function refetchAllTimeframes() {
+    symbolStates.forEach((state, symbol) => fetchTimeframes(symbol));
+}
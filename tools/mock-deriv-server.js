@@ -0,0 +1,931 @@
+// tools/mock-deriv-server.js
+// Local stand-in for the Deriv v3 WebSocket API, for offline development and tests.
+// Speaks the subset the bot uses: authorize, ticks_history, ticks, proposal, buy,
+// proposal_open_contract, sell, forget, forget_all and ping. Prices are synthetic
+// Volatility-index paths (or a replayed recording) and contracts settle against the
+// same tick stream the client sees: Rise/Fall (with equals), Higher/Lower and
+// Touch/No Touch with relative or absolute barriers, Digits over tick durations, and
+// Multipliers with take profit / stop loss. No dependencies beyond Node itself.
+//
+// Usage:
+//   node tools/mock-deriv-server.js [--port 8765] [--seed 42] [--history 172800]
+//                                   [--balance 10000] [--replay ticks.json]
+// Then set the bot's API Endpoint to ws://localhost:8765 (any token authorizes).
+//
+// A replay file maps symbols to recorded ticks: { "R_50": [[epoch, quote], ...] }.
+// Recordings are shifted so that --history seconds of them lie in the past; the rest
+// plays out in real time and the symbol continues synthetically once it runs out.
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+
+/* ---------- Config ---------- */
+const DEFAULTS = { port: 8765, seed: 42, history: 172800, balance: 10000, replay: null };
+const COMMISSION = 0.0128;         // Added to the fair 0.5 probability: stake 10 pays 19.5
+const MIN_DURATION_S = 15;
+const MAX_DURATION_S = 86400;
+const MIN_TICKS = 1;
+const MAX_TICKS = 10;
+const MIN_WIN_PROBABILITY = 0.02;   // Barriers further out than this are not offered
+const MULTIPLIER_COMMISSION = 0.0002; // Share of stake × multiplier charged on a multiplier contract
+const MAX_HISTORY_COUNT = 5000;
+const GRANULARITIES = [60, 120, 180, 300, 600, 900, 1800, 3600, 7200, 14400, 28800, 86400];
+const SECONDS_PER_YEAR = 365 * 86400;
+
+// Volatility indices: annualised volatility and seconds between ticks
+const SYMBOLS = {
+    R_10: { sigma: 0.10, interval: 2, pip: 3, name: 'Volatility 10 Index' },
+    R_25: { sigma: 0.25, interval: 2, pip: 3, name: 'Volatility 25 Index' },
+    R_50: { sigma: 0.50, interval: 2, pip: 4, name: 'Volatility 50 Index' },
+    R_75: { sigma: 0.75, interval: 2, pip: 4, name: 'Volatility 75 Index' },
+    R_100: { sigma: 1.00, interval: 2, pip: 2, name: 'Volatility 100 Index' },
+    '1HZ10V': { sigma: 0.10, interval: 1, pip: 2, name: 'Volatility 10 (1s) Index' },
+    '1HZ25V': { sigma: 0.25, interval: 1, pip: 2, name: 'Volatility 25 (1s) Index' },
+    '1HZ50V': { sigma: 0.50, interval: 1, pip: 2, name: 'Volatility 50 (1s) Index' },
+    '1HZ75V': { sigma: 0.75, interval: 1, pip: 2, name: 'Volatility 75 (1s) Index' },
+    '1HZ100V': { sigma: 1.00, interval: 1, pip: 2, name: 'Volatility 100 (1s) Index' }
+};
+
+function parseArgs(argv) {
+    const opts = { ...DEFAULTS };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        if (!(key in DEFAULTS)) throw new Error(`Unknown option: ${argv[i]}`);
+        opts[key] = key === 'replay' ? argv[++i] : Number(argv[++i]);
+    }
+    return opts;
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/* ---------- Price Generation ---------- */
+function createRandom(seed) {
+    // mulberry32 with Box-Muller normals: reproducible paths for a given --seed
+    let a = seed >>> 0;
+    const uniform = () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        normal() {
+            const u = 1 - uniform();
+            return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * uniform());
+        }
+    };
+}
+
+// Each market holds its ticks as parallel epoch/quote arrays and extends them on demand
+function createMarket(symbol, spec, rand, startEpoch, recorded = null) {
+    const epochs = [];
+    const quotes = [];
+    const step = spec.sigma * Math.sqrt(spec.interval / SECONDS_PER_YEAR);
+    const round = (q) => Number(q.toFixed(spec.pip));
+
+    if (recorded && recorded.length > 0) {
+        const shift = startEpoch - recorded[0][0];
+        recorded.forEach(([e, q]) => { epochs.push(e + shift); quotes.push(q); });
+    } else {
+        epochs.push(startEpoch - (startEpoch % spec.interval));
+        quotes.push(round(1000 + rand.normal() * 100));
+    }
+
+    return {
+        symbol,
+        spec,
+        epochs,
+        quotes,
+        // Generates ticks up to `epoch` and returns how many ticks are at or before it
+        // (future replayed ticks already exist and are released as the clock passes them)
+        advance(epoch) {
+            let last = epochs.length - 1;
+            while (epochs[last] + spec.interval <= epoch) {
+                // Geometric random walk with zero drift, like the real indices
+                const q = quotes[last] * Math.exp(step * rand.normal() - step * step / 2);
+                epochs.push(epochs[last] + spec.interval);
+                quotes.push(round(q));
+                last++;
+            }
+            return upperBound(epochs, epoch);
+        },
+        // Index of the last tick at or before `epoch`
+        indexAt(epoch) {
+            return upperBound(epochs, epoch) - 1;
+        },
+        tick(i) {
+            return { epoch: epochs[i], quote: quotes[i] };
+        }
+    };
+}
+
+function upperBound(arr, v) {
+    let lo = 0, hi = arr.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (arr[mid] <= v) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+}
+
+function loadRecording(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.entries(data).forEach(([symbol, ticks]) => {
+        if (!SYMBOLS[symbol]) throw new Error(`Replay file: unknown symbol ${symbol}`);
+        if (!Array.isArray(ticks)) throw new Error(`Replay file: ${symbol} must be an array of [epoch, quote]`);
+        ticks.sort((a, b) => a[0] - b[0]);
+    });
+    return data;
+}
+
+/* ---------- Pricing ---------- */
+function normalCdf(x) {
+    // Abramowitz-Stegun 7.1.26
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x / 2);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// How each contract type settles: `units` are the duration units it accepts, `barrier` whether a
+// price barrier is 'optional' / 'required' / absent, and digit types list their valid digit barriers
+const CONTRACT_TYPES = {
+    CALL: { kind: 'risefall', units: 'tsmhd', barrier: 'optional' },
+    PUT: { kind: 'risefall', units: 'tsmhd', barrier: 'optional' },
+    CALLE: { kind: 'risefall', units: 'tsmhd' },
+    PUTE: { kind: 'risefall', units: 'tsmhd' },
+    ONETOUCH: { kind: 'touch', units: 'tsmhd', barrier: 'required' },
+    NOTOUCH: { kind: 'touch', units: 'tsmhd', barrier: 'required' },
+    DIGITEVEN: { kind: 'digit', units: 't', digits: [] },
+    DIGITODD: { kind: 'digit', units: 't', digits: [] },
+    DIGITOVER: { kind: 'digit', units: 't', digits: [0, 1, 2, 3, 4, 5, 6, 7, 8] },
+    DIGITUNDER: { kind: 'digit', units: 't', digits: [1, 2, 3, 4, 5, 6, 7, 8, 9] },
+    DIGITMATCH: { kind: 'digit', units: 't', digits: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9] },
+    DIGITDIFF: { kind: 'digit', units: 't', digits: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9] },
+    MULTUP: { kind: 'multiplier', units: '' },
+    MULTDOWN: { kind: 'multiplier', units: '' }
+};
+
+function durationSeconds(duration, unit) {
+    const scale = { s: 1, m: 60, h: 3600, d: 86400 }[unit];
+    return scale ? duration * scale : null;
+}
+
+// "+1.25" / "-0.5" are offsets from the entry spot; a bare number is an absolute level
+function parseBarrier(barrier) {
+    const text = String(barrier).trim();
+    const value = Number(text);
+    if (text === '' || !Number.isFinite(value)) return null;
+    return { relative: /^[+-]/.test(text), value };
+}
+
+function barrierLevel(barrier, entrySpot) {
+    if (!barrier) return entrySpot;
+    return barrier.relative ? entrySpot + barrier.value : barrier.value;
+}
+
+function lastDigit(quote, pip) {
+    const s = quote.toFixed(pip);
+    return Number(s[s.length - 1]);
+}
+
+function digitWins(type, digit, barrier) {
+    switch (type) {
+        case 'DIGITEVEN': return digit % 2 === 0;
+        case 'DIGITODD': return digit % 2 === 1;
+        case 'DIGITOVER': return digit > barrier;
+        case 'DIGITUNDER': return digit < barrier;
+        case 'DIGITMATCH': return digit === barrier;
+        case 'DIGITDIFF': return digit !== barrier;
+    }
+    return false;
+}
+
+// Driftless probability that a binary contract wins, from `spot` with `remainingS` to go and its
+// barrier at `level` (the entry spot for Rise/Fall). Touch contracts not yet touched; digit
+// contracts before their exit tick
+function winProbability(type, spot, level, remainingS, sigma, digit = null) {
+    const spec = CONTRACT_TYPES[type];
+    if (spec.kind === 'digit') {
+        let wins = 0;
+        for (let d = 0; d < 10; d++) if (digitWins(type, d, digit)) wins++;
+        return wins / 10;
+    }
+    const sd = sigma * Math.sqrt(Math.max(remainingS, 0) / SECONDS_PER_YEAR);
+    const distance = Math.log(spot / level);
+    if (spec.kind === 'touch') {
+        const touch = sd > 0 ? Math.min(1, 2 * (1 - normalCdf(Math.abs(distance) / sd))) : 0;
+        return type === 'ONETOUCH' ? touch : 1 - touch;
+    }
+    if (sd === 0) {
+        const up = type === 'CALLE' ? spot >= level : spot > level;
+        const down = type === 'PUTE' ? spot <= level : spot < level;
+        return (type === 'CALL' || type === 'CALLE' ? up : down) ? 1 : 0;
+    }
+    return normalCdf((type === 'CALL' || type === 'CALLE' ? distance : -distance) / sd);
+}
+
+/* ---------- Server ---------- */
+function createMockServer(options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const rand = createRandom(opts.seed);
+    const startEpoch = now() - opts.history;
+    const recording = opts.replay ? loadRecording(opts.replay) : {};
+
+    const markets = {};
+    const released = {}; // symbol → count of ticks already visible to clients
+    Object.entries(SYMBOLS).forEach(([symbol, spec]) => {
+        markets[symbol] = createMarket(symbol, spec, rand, startEpoch, recording[symbol]);
+        released[symbol] = markets[symbol].advance(now());
+    });
+
+    const accounts = new Map();   // token → { loginid, balance }
+    const proposals = new Map();  // proposal id → priced parameters
+    const contracts = new Map();  // contract_id → contract
+    const clients = new Set();
+    let nextContractId = 10000001;
+    let nextTransactionId = 20000001;
+
+    /* ---------- Requests ---------- */
+    function apiError(code, message) {
+        const err = new Error(message);
+        err.code = code;
+        return err;
+    }
+
+    function requireAuth(client) {
+        if (!client.account) throw apiError('AuthorizationRequired', 'Please log in.');
+        return client.account;
+    }
+
+    function requireMarket(symbol) {
+        const market = markets[symbol];
+        if (!market) throw apiError('InvalidSymbol', `Symbol ${symbol} invalid.`);
+        return market;
+    }
+
+    function authorize(client, req) {
+        if (typeof req.authorize !== 'string' || req.authorize.length === 0) {
+            throw apiError('InvalidToken', 'The token is invalid.');
+        }
+        if (!accounts.has(req.authorize)) {
+            accounts.set(req.authorize, { loginid: `VRTC${1000000 + accounts.size}`, balance: opts.balance });
+        }
+        client.account = accounts.get(req.authorize);
+        return {
+            authorize: {
+                loginid: client.account.loginid,
+                balance: round2(client.account.balance),
+                currency: 'USD',
+                is_virtual: 1,
+                email: 'mock@localhost',
+                fullname: 'Mock Account',
+                landing_company_name: 'virtual'
+            }
+        };
+    }
+
+    function ticksHistory(client, req) {
+        const market = requireMarket(req.ticks_history);
+        const last = released[market.symbol] - 1;
+        const end = req.end === 'latest' || req.end === undefined ? market.epochs[last] : Math.min(Number(req.end), market.epochs[last]);
+        const count = Math.min(Number(req.count) || MAX_HISTORY_COUNT, MAX_HISTORY_COUNT);
+        const endIdx = market.indexAt(end);
+        const startIdx = req.start !== undefined ? upperBound(market.epochs, Number(req.start) - 1) : 0;
+
+        if (req.style === 'candles') {
+            const gran = Number(req.granularity) || 60;
+            if (!GRANULARITIES.includes(gran)) throw apiError('InputValidationFailed', 'Input validation failed: granularity');
+            const candles = [];
+            // Walk backwards so only the requested bars are built
+            for (let i = endIdx; i >= startIdx && i >= 0; i--) {
+                const { epoch, quote } = market.tick(i);
+                const barEpoch = epoch - (epoch % gran);
+                let bar = candles[candles.length - 1];
+                if (!bar || bar.epoch !== barEpoch) {
+                    if (candles.length === count) break;
+                    bar = { epoch: barEpoch, open: quote, high: quote, low: quote, close: quote };
+                    candles.push(bar);
+                }
+                bar.open = quote; // Ticks arrive newest first, so the last one seen opens the bar
+                bar.high = Math.max(bar.high, quote);
+                bar.low = Math.min(bar.low, quote);
+            }
+            return { candles: candles.reverse(), pip_size: market.spec.pip };
+        }
+
+        const from = Math.max(startIdx, endIdx - count + 1, 0);
+        return {
+            history: {
+                prices: market.quotes.slice(from, endIdx + 1),
+                times: market.epochs.slice(from, endIdx + 1)
+            },
+            pip_size: market.spec.pip
+        };
+    }
+
+    function subscribeTicks(client, req) {
+        const market = requireMarket(req.ticks);
+        const existing = [...client.subscriptions.values()].some(s => s.type === 'ticks' && s.symbol === market.symbol);
+        if (existing) throw apiError('AlreadySubscribed', `You are already subscribed to ${market.symbol}.`);
+        const sub = addSubscription(client, req, 'ticks', { symbol: market.symbol });
+        return tickMessage(market, released[market.symbol] - 1, sub);
+    }
+
+    function tickMessage(market, i, sub) {
+        const { epoch, quote } = market.tick(i);
+        const msg = {
+            msg_type: 'tick',
+            tick: { symbol: market.symbol, epoch, quote, ask: quote, bid: quote, id: sub ? sub.id : undefined, pip_size: market.spec.pip }
+        };
+        if (sub) msg.subscription = { id: sub.id };
+        return msg;
+    }
+
+    function priceProposal(req) {
+        const market = requireMarket(req.symbol);
+        const type = req.contract_type;
+        const spec = CONTRACT_TYPES[type];
+        if (!spec) throw apiError('OfferingsValidationError', `Trading is not offered for contract type ${type}.`);
+        const amount = Number(req.amount);
+        if (!(amount > 0)) throw apiError('ContractCreationFailure', 'Please enter a stake amount.');
+        if (req.currency && req.currency !== 'USD') throw apiError('InvalidCurrency', `Currency ${req.currency} is not supported.`);
+        const spot = market.tick(released[market.symbol] - 1);
+        const name = market.spec.name;
+        const priced = {
+            symbol: market.symbol,
+            contract_type: type,
+            kind: spec.kind,
+            spot: spot.quote,
+            spot_time: spot.epoch,
+            seconds: null,
+            ticks: null,
+            barrier: null,
+            digit: null
+        };
+
+        if (spec.kind === 'multiplier') {
+            if (req.duration !== undefined) throw apiError('OfferingsValidationError', 'Multipliers do not take a duration.');
+            const multiplier = Number(req.multiplier);
+            if (!(multiplier >= 1 && multiplier <= 1000)) throw apiError('OfferingsValidationError', 'Multiplier is not offered.');
+            const limits = req.limit_order || {};
+            const limit = (key) => {
+                if (limits[key] === undefined || limits[key] === null) return null;
+                const v = Number(limits[key]);
+                if (!(v > 0)) throw apiError('ContractCreationFailure', `Please enter a positive ${key.replace('_', ' ')}.`);
+                return v;
+            };
+            const take_profit = limit('take_profit');
+            const stop_loss = limit('stop_loss');
+            if (stop_loss !== null && stop_loss > amount) throw apiError('ContractCreationFailure', 'Stop loss cannot exceed the stake.');
+            return {
+                ...priced,
+                multiplier,
+                take_profit,
+                stop_loss,
+                commission: round2(amount * multiplier * MULTIPLIER_COMMISSION),
+                ask_price: round2(amount),
+                payout: 0,
+                longcode: `Win ${multiplier}x the ${type === 'MULTUP' ? 'rise' : 'fall'} of ${name} from entry spot, closed at` +
+                    ` take profit ${take_profit === null ? 'none' : take_profit.toFixed(2)} / stop loss ${stop_loss === null ? 'stake' : stop_loss.toFixed(2)} USD.`
+            };
+        }
+
+        const unit = req.duration_unit || 's';
+        const duration = Number(req.duration);
+        if (!spec.units.includes(unit)) throw apiError('OfferingsValidationError', 'Trading is not offered for this duration.');
+        if (unit === 't') {
+            if (!Number.isInteger(duration) || duration < MIN_TICKS || duration > MAX_TICKS) {
+                throw apiError('OfferingsValidationError', 'Trading is not offered for this duration.');
+            }
+            priced.ticks = duration;
+            priced.seconds = duration * market.spec.interval; // Expected, for pricing and the provisional expiry
+        } else {
+            priced.seconds = durationSeconds(duration, unit);
+            if (!priced.seconds || priced.seconds < MIN_DURATION_S || priced.seconds > MAX_DURATION_S) {
+                throw apiError('OfferingsValidationError', 'Trading is not offered for this duration.');
+            }
+        }
+
+        if (spec.kind === 'digit') {
+            const digit = req.barrier === undefined ? null : Number(req.barrier);
+            if (spec.digits.length > 0 ? !spec.digits.includes(digit) : digit !== null) {
+                throw apiError('ContractBuyValidationError', `Barrier is not valid for ${type}.`);
+            }
+            priced.digit = digit;
+        } else if (req.barrier !== undefined) {
+            if (!spec.barrier) throw apiError('ContractBuyValidationError', `Barriers are not offered for ${type}.`);
+            priced.barrier = parseBarrier(req.barrier);
+            if (!priced.barrier) throw apiError('ContractBuyValidationError', 'Barrier is not valid.');
+        } else if (spec.barrier === 'required') {
+            throw apiError('ContractBuyValidationError', `${type} needs a barrier.`);
+        }
+
+        const level = barrierLevel(priced.barrier, spot.quote);
+        if (!(level > 0)) throw apiError('ContractBuyValidationError', 'Barrier is not valid.');
+        const p = winProbability(type, spot.quote, level, priced.seconds, market.spec.sigma, priced.digit);
+        if (p < MIN_WIN_PROBABILITY || p + COMMISSION >= 1) {
+            throw apiError('ContractBuyValidationError', 'This contract offers no return at this barrier; choose a different barrier or duration.');
+        }
+        const price = p + COMMISSION;
+        const basis = req.basis || 'stake';
+        const span = priced.ticks ? `${priced.ticks} tick${priced.ticks === 1 ? '' : 's'}` : `${priced.seconds} seconds`;
+        const target = !priced.barrier ? 'entry spot'
+            : (priced.barrier.relative ? `entry spot ${priced.barrier.value >= 0 ? 'plus' : 'minus'} ${Math.abs(priced.barrier.value)}` : String(priced.barrier.value));
+        const longcodes = {
+            risefall: () => `Win payout if ${name} is ${{ CALL: 'strictly higher than', PUT: 'strictly lower than', CALLE: 'higher than or equal to', PUTE: 'lower than or equal to' }[type]} ${target} at ${span} after contract start time.`,
+            touch: () => `Win payout if ${name} ${type === 'ONETOUCH' ? 'touches' : 'does not touch'} ${target} through ${span} after contract start time.`,
+            digit: () => `Win payout if the last digit of ${name} is ${{ DIGITEVEN: 'even', DIGITODD: 'odd', DIGITOVER: `higher than ${priced.digit}`, DIGITUNDER: `lower than ${priced.digit}`, DIGITMATCH: priced.digit, DIGITDIFF: `not ${priced.digit}` }[type]} after ${span}.`
+        };
+        return {
+            ...priced,
+            ask_price: round2(basis === 'payout' ? amount * price : amount),
+            payout: round2(basis === 'payout' ? amount : amount / price),
+            longcode: longcodes[spec.kind]()
+        };
+    }
+
+    function proposalMessage(priced, sub) {
+        const id = crypto.randomUUID();
+        proposals.set(id, priced);
+        const msg = {
+            msg_type: 'proposal',
+            proposal: {
+                id,
+                ask_price: priced.ask_price,
+                payout: priced.payout,
+                spot: priced.spot,
+                spot_time: priced.spot_time,
+                date_start: now(),
+                display_value: priced.ask_price.toFixed(2),
+                longcode: priced.longcode
+            }
+        };
+        if (sub) msg.subscription = { id: sub.id };
+        return msg;
+    }
+
+    function proposal(client, req) {
+        const priced = priceProposal(req);
+        const sub = req.subscribe ? addSubscription(client, req, 'proposal', { request: req, lastId: null }) : null;
+        const msg = proposalMessage(priced, sub);
+        if (sub) sub.lastId = msg.proposal.id;
+        return msg;
+    }
+
+    function buy(client, req) {
+        const account = requireAuth(client);
+        let priced;
+        if (req.buy === 1 || req.buy === '1') {
+            if (!req.parameters) throw apiError('InputValidationFailed', 'Input validation failed: parameters');
+            priced = priceProposal(req.parameters);
+        } else {
+            priced = proposals.get(req.buy);
+            if (!priced) throw apiError('InvalidContractProposal', 'Unknown contract proposal');
+            proposals.delete(req.buy);
+        }
+        if (req.price !== undefined && Number(req.price) < priced.ask_price) {
+            throw apiError('PriceMoved', `The underlying market has moved too much since you priced the contract. The contract price has changed from ${Number(req.price).toFixed(2)} USD to ${priced.ask_price.toFixed(2)} USD.`);
+        }
+        if (account.balance < priced.ask_price) {
+            throw apiError('InsufficientBalance', `Your account balance (${account.balance.toFixed(2)} USD) is insufficient to buy this contract (${priced.ask_price.toFixed(2)} USD).`);
+        }
+
+        account.balance -= priced.ask_price;
+        const start = now();
+        const contract = {
+            contract_id: nextContractId++,
+            account,
+            symbol: priced.symbol,
+            contract_type: priced.contract_type,
+            kind: priced.kind,
+            buy_price: priced.ask_price,
+            payout: priced.payout,
+            longcode: priced.longcode,
+            purchase_time: start,
+            date_start: start,
+            // Multipliers run until take profit, stop loss or a sale; tick contracts re-time it at the exit tick
+            date_expiry: priced.kind === 'multiplier' ? null : start + priced.seconds,
+            tick_count: priced.ticks,
+            ticks_seen: 0,
+            barrier: priced.barrier,
+            barrier_level: null,
+            digit: priced.digit,
+            multiplier: priced.multiplier,
+            take_profit: priced.take_profit,
+            stop_loss: priced.stop_loss,
+            commission: priced.commission,
+            // Like Deriv, the entry spot is the first tick after the start time
+            entry_spot: null,
+            entry_tick_time: null,
+            exit_spot: null,
+            exit_tick_time: null,
+            status: 'open',
+            sell_price: null,
+            sell_time: null,
+            transaction_id: nextTransactionId++
+        };
+        contracts.set(contract.contract_id, contract);
+        return {
+            buy: {
+                balance_after: round2(account.balance),
+                buy_price: contract.buy_price,
+                contract_id: contract.contract_id,
+                longcode: contract.longcode,
+                payout: contract.payout,
+                purchase_time: contract.purchase_time,
+                shortcode: `${contract.contract_type}_${contract.symbol}_${contract.payout}_${contract.date_start}_${contract.date_expiry || 0}S0P_0`,
+                start_time: contract.date_start,
+                transaction_id: contract.transaction_id
+            }
+        };
+    }
+
+    function findContract(client, id) {
+        const account = requireAuth(client);
+        const contract = contracts.get(Number(id));
+        if (!contract || contract.account !== account) throw apiError('InvalidContractId', 'This contract was not found among your open positions.');
+        return contract;
+    }
+
+    function bidPrice(contract) {
+        if (contract.status !== 'open') return contract.sell_price;
+        const market = markets[contract.symbol];
+        const spot = market.tick(released[contract.symbol] - 1);
+        if (contract.kind === 'multiplier') return round2(Math.max(0, contract.buy_price + multiplierProfit(contract, spot.quote)));
+        // Before the entry tick the barrier is still relative to the current spot
+        const level = contract.entry_spot === null ? barrierLevel(contract.barrier, spot.quote) : contract.barrier_level;
+        const remaining = contract.tick_count
+            ? (contract.tick_count - contract.ticks_seen) * market.spec.interval
+            : contract.date_expiry - spot.epoch;
+        const p = winProbability(contract.contract_type, spot.quote, level, remaining, market.spec.sigma, contract.digit);
+        return round2(contract.payout * Math.max(0, p - COMMISSION));
+    }
+
+    // Profit of a multiplier at `quote`, after commission
+    function multiplierProfit(contract, quote) {
+        if (contract.entry_spot === null) return -contract.commission;
+        const move = (quote - contract.entry_spot) / contract.entry_spot * (contract.contract_type === 'MULTUP' ? 1 : -1);
+        return contract.buy_price * contract.multiplier * move - contract.commission;
+    }
+
+    function openContractMessage(contract, sub) {
+        const market = markets[contract.symbol];
+        const spot = market.tick(released[contract.symbol] - 1);
+        const isSold = contract.status !== 'open';
+        const bid = bidPrice(contract);
+        const msg = {
+            msg_type: 'proposal_open_contract',
+            proposal_open_contract: {
+                contract_id: contract.contract_id,
+                contract_type: contract.contract_type,
+                underlying: contract.symbol,
+                display_name: market.spec.name,
+                currency: 'USD',
+                longcode: contract.longcode,
+                buy_price: contract.buy_price,
+                payout: contract.payout,
+                bid_price: bid,
+                current_spot: spot.quote,
+                current_spot_time: spot.epoch,
+                date_start: contract.date_start,
+                date_expiry: contract.date_expiry === null ? undefined : contract.date_expiry,
+                purchase_time: contract.purchase_time,
+                barrier: contract.kind === 'digit' ? (contract.digit === null ? undefined : contract.digit) : (contract.barrier && contract.barrier_level !== null ? contract.barrier_level : undefined),
+                multiplier: contract.multiplier,
+                limit_order: contract.kind === 'multiplier' ? { take_profit: contract.take_profit, stop_loss: contract.stop_loss } : undefined,
+                entry_spot: contract.entry_spot,
+                entry_tick_time: contract.entry_tick_time,
+                exit_tick: contract.exit_spot,
+                exit_tick_time: contract.exit_tick_time,
+                is_expired: contract.date_expiry !== null && spot.epoch >= contract.date_expiry ? 1 : 0,
+                is_sold: isSold ? 1 : 0,
+                is_valid_to_sell: !isSold && contract.entry_spot !== null && !contract.tick_count ? 1 : 0,
+                sell_price: contract.sell_price,
+                sell_time: contract.sell_time,
+                status: contract.status,
+                profit: round2(bid - contract.buy_price),
+                transaction_ids: { buy: contract.transaction_id }
+            }
+        };
+        if (sub) msg.subscription = { id: sub.id };
+        return msg;
+    }
+
+    function proposalOpenContract(client, req) {
+        if (!req.contract_id) {
+            // Without an id Deriv streams every open contract; one-shot is enough here
+            requireAuth(client);
+            return { msg_type: 'proposal_open_contract', proposal_open_contract: {} };
+        }
+        const contract = findContract(client, req.contract_id);
+        const sub = req.subscribe && contract.status === 'open'
+            ? addSubscription(client, req, 'proposal_open_contract', { contract_id: contract.contract_id })
+            : null;
+        return openContractMessage(contract, sub);
+    }
+
+    function sell(client, req) {
+        const contract = findContract(client, req.sell);
+        if (contract.status !== 'open') throw apiError('InvalidSellContractProposal', 'This contract has been sold.');
+        if (contract.entry_spot === null) throw apiError('InvalidSellContractProposal', 'Contract cannot be sold before the entry spot.');
+        if (contract.tick_count) throw apiError('InvalidSellContractProposal', 'Resale of tick contracts is not offered.');
+        const bid = bidPrice(contract);
+        if (bid < Number(req.price || 0)) {
+            throw apiError('InvalidSellContractProposal', `The contract's sell price (${bid.toFixed(2)} USD) is below your minimum (${Number(req.price).toFixed(2)} USD).`);
+        }
+        contract.status = 'sold';
+        contract.sell_price = bid;
+        contract.sell_time = now();
+        contract.account.balance += bid;
+        publishContract(contract);
+        return {
+            sell: {
+                balance_after: round2(contract.account.balance),
+                contract_id: contract.contract_id,
+                reference_id: contract.transaction_id,
+                sold_for: bid,
+                transaction_id: nextTransactionId++
+            }
+        };
+    }
+
+    function forget(client, req) {
+        return { forget: client.subscriptions.delete(req.forget) ? 1 : 0 };
+    }
+
+    function forgetAll(client, req) {
+        const types = [].concat(req.forget_all);
+        const removed = [];
+        client.subscriptions.forEach((sub, id) => {
+            if (types.includes(sub.type)) {
+                client.subscriptions.delete(id);
+                removed.push(id);
+            }
+        });
+        return { forget_all: removed };
+    }
+
+    const HANDLERS = {
+        authorize,
+        ticks_history: ticksHistory,
+        ticks: subscribeTicks,
+        proposal,
+        buy,
+        proposal_open_contract: proposalOpenContract,
+        sell,
+        forget,
+        forget_all: forgetAll,
+        ping: () => ({ ping: 'pong' }),
+        time: () => ({ time: now() })
+    };
+
+    function addSubscription(client, req, type, fields) {
+        const sub = { id: crypto.randomUUID(), type, req_id: req.req_id, echo_req: req, ...fields };
+        client.subscriptions.set(sub.id, sub);
+        return sub;
+    }
+
+    function handleRequest(client, raw) {
+        let req;
+        try {
+            req = JSON.parse(raw);
+        } catch (e) {
+            return send(client, { msg_type: 'error', error: { code: 'InputValidationFailed', message: 'Input must be valid JSON.' } });
+        }
+        const type = Object.keys(HANDLERS).find(k => k in req);
+        const reply = { echo_req: req, msg_type: type || 'error' };
+        if (req.req_id !== undefined) reply.req_id = req.req_id;
+        if (req.passthrough !== undefined) reply.passthrough = req.passthrough;
+        try {
+            if (!type) throw apiError('UnrecognisedRequest', 'Unrecognised request.');
+            send(client, { ...reply, ...HANDLERS[type](client, req) });
+        } catch (e) {
+            send(client, { ...reply, error: { code: e.code || 'InternalServerError', message: e.message } });
+        }
+    }
+
+    /* ---------- Streaming ---------- */
+    function publish(sub, client, msg) {
+        const out = { echo_req: sub.echo_req, ...msg };
+        if (sub.req_id !== undefined) out.req_id = sub.req_id;
+        send(client, out);
+    }
+
+    function publishContract(contract) {
+        clients.forEach(client => client.subscriptions.forEach((sub, id) => {
+            if (sub.type !== 'proposal_open_contract' || sub.contract_id !== contract.contract_id) return;
+            publish(sub, client, openContractMessage(contract, sub));
+            // Deriv ends the stream once the contract is closed
+            if (contract.status !== 'open') client.subscriptions.delete(id);
+        }));
+    }
+
+    function closeContract(contract, won, sellPrice, exit) {
+        contract.exit_spot = exit.quote;
+        contract.exit_tick_time = exit.epoch;
+        contract.status = won ? 'won' : 'lost';
+        contract.sell_price = round2(sellPrice);
+        contract.sell_time = exit.epoch;
+        contract.account.balance += contract.sell_price;
+    }
+
+    function settle(contract, market, i) {
+        const tick = market.tick(i);
+        if (contract.entry_spot === null) {
+            if (tick.epoch > contract.date_start) {
+                contract.entry_spot = tick.quote;
+                contract.entry_tick_time = tick.epoch;
+                contract.barrier_level = Number(barrierLevel(contract.barrier, tick.quote).toFixed(market.spec.pip));
+            }
+            return; // The entry tick itself never settles a contract
+        }
+        if (contract.status !== 'open') return;
+        contract.ticks_seen++;
+        const type = contract.contract_type;
+
+        if (contract.kind === 'multiplier') {
+            const profit = multiplierProfit(contract, tick.quote);
+            if (contract.take_profit !== null && profit >= contract.take_profit) {
+                closeContract(contract, true, contract.buy_price + profit, tick);
+                return;
+            }
+            // Stop loss, or the stop out once the whole stake is gone
+            const stop = contract.stop_loss !== null ? contract.stop_loss : contract.buy_price;
+            if (profit <= -stop) closeContract(contract, false, Math.max(0, contract.buy_price + profit), tick);
+            return;
+        }
+
+        if (contract.kind === 'touch' && (contract.tick_count || tick.epoch <= contract.date_expiry)) {
+            const up = contract.barrier_level > contract.entry_spot;
+            const touched = up ? tick.quote >= contract.barrier_level : tick.quote <= contract.barrier_level;
+            if (touched) {
+                closeContract(contract, type === 'ONETOUCH', type === 'ONETOUCH' ? contract.payout : 0, tick);
+                return;
+            }
+        }
+
+        // Tick contracts exit on their Nth tick after entry; timed ones on the last tick at or before expiry
+        let exit;
+        if (contract.tick_count) {
+            if (contract.ticks_seen < contract.tick_count) return;
+            contract.date_expiry = tick.epoch;
+            exit = tick;
+        } else {
+            if (tick.epoch < contract.date_expiry) return;
+            exit = market.tick(market.indexAt(contract.date_expiry));
+        }
+        let won;
+        if (contract.kind === 'digit') won = digitWins(type, lastDigit(exit.quote, market.spec.pip), contract.digit);
+        else if (contract.kind === 'touch') won = type === 'NOTOUCH';
+        else won = winProbability(type, exit.quote, contract.barrier_level, 0, market.spec.sigma) === 1;
+        closeContract(contract, won, won ? contract.payout : 0, exit);
+    }
+
+    function onTick(market, i) {
+        contracts.forEach(contract => {
+            if (contract.symbol !== market.symbol || contract.status !== 'open') return;
+            settle(contract, market, i);
+            publishContract(contract);
+        });
+        clients.forEach(client => client.subscriptions.forEach((sub, id) => {
+            if (sub.type === 'ticks' && sub.symbol === market.symbol) {
+                publish(sub, client, tickMessage(market, i, sub));
+            } else if (sub.type === 'proposal' && sub.request.symbol === market.symbol) {
+                // Each update carries a fresh proposal id; the previous one can no longer be bought
+                proposals.delete(sub.lastId);
+                let msg;
+                try {
+                    msg = proposalMessage(priceProposal(sub.request), sub);
+                } catch (e) {
+                    // The barrier may no longer be offered at the new spot; Deriv ends the stream with the error
+                    publish(sub, client, { msg_type: 'proposal', error: { code: e.code || 'InternalServerError', message: e.message } });
+                    client.subscriptions.delete(id);
+                    return;
+                }
+                sub.lastId = msg.proposal.id;
+                publish(sub, client, msg);
+            }
+        }));
+    }
+
+    function pump() {
+        const t = now();
+        Object.values(markets).forEach(market => {
+            const upTo = market.advance(t);
+            for (let i = released[market.symbol]; i < upTo; i++) {
+                released[market.symbol] = i + 1;
+                onTick(market, i);
+            }
+        });
+    }
+
+    /* ---------- WebSocket Transport (RFC 6455) ---------- */
+    function send(client, msg) {
+        if (client.closed) return;
+        const payload = Buffer.from(JSON.stringify(msg));
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x81, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x81; header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x81; header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        client.socket.write(Buffer.concat([header, payload]));
+    }
+
+    function readFrames(client, chunk) {
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+        while (client.buffer.length >= 2) {
+            const b = client.buffer;
+            const opcode = b[0] & 0x0f;
+            const masked = (b[1] & 0x80) !== 0;
+            let len = b[1] & 0x7f;
+            let offset = 2;
+            if (len === 126) {
+                if (b.length < 4) return;
+                len = b.readUInt16BE(2);
+                offset = 4;
+            } else if (len === 127) {
+                if (b.length < 10) return;
+                len = Number(b.readBigUInt64BE(2));
+                offset = 10;
+            }
+            const maskLen = masked ? 4 : 0;
+            if (b.length < offset + maskLen + len) return;
+            const payload = Buffer.from(b.subarray(offset + maskLen, offset + maskLen + len));
+            if (masked) {
+                const mask = b.subarray(offset, offset + 4);
+                for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            }
+            client.buffer = b.subarray(offset + maskLen + len);
+
+            if (opcode === 0x1) {
+                handleRequest(client, payload.toString('utf8'));
+            } else if (opcode === 0x8) {
+                client.socket.end(Buffer.from([0x88, 0]));
+                return;
+            } else if (opcode === 0x9) {
+                client.socket.write(Buffer.concat([Buffer.from([0x8a, payload.length]), payload]));
+            }
+        }
+    }
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('Mock Deriv API: connect with a WebSocket client\n');
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key) return socket.destroy();
+        const accept = crypto.createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        const client = { socket, buffer: Buffer.alloc(0), account: null, subscriptions: new Map(), closed: false };
+        clients.add(client);
+        socket.on('data', chunk => readFrames(client, chunk));
+        socket.on('close', () => { client.closed = true; clients.delete(client); });
+        socket.on('error', () => socket.destroy());
+    });
+
+    let timer = null;
+    return {
+        server,
+        markets,
+        listen(port = opts.port) {
+            timer = setInterval(pump, 250);
+            return new Promise(resolve => server.listen(port, () => resolve(server.address().port)));
+        },
+        close() {
+            clearInterval(timer);
+            clients.forEach(c => c.socket.destroy());
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = { createMockServer, SYMBOLS };
+
+if (require.main === module) {
+    const opts = parseArgs(process.argv.slice(2));
+    const mock = createMockServer(opts);
+    mock.listen().then(port => {
+        console.log(`Mock Deriv API listening on ws://localhost:${port} (${opts.replay ? `replaying ${opts.replay}` : `seed ${opts.seed}`}, ${opts.history}s of history)`);
+    });
+    process.on('SIGINT', () => mock.close().then(() => process.exit(0)));
+}
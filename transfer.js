@@ -0,0 +1,158 @@
+// transfer.js
+
+/* ---------- Core Bindings ---------- */
+const { flattenRecord, unflattenRecord, toCsv, parseCsv } = BotCore;
+
+const PROFILE_FORMAT = 'deriv-bot-profile';
+const PROFILE_VERSION = 1;
+const HISTORY_FORMAT = 'deriv-bot-history';
+// localStorage keys a profile carries; the API token is never stored, so never exported
+const PROFILE_KEYS = {
+    settings: 'botSettings',
+    customStrategies: 'customStrategies',
+    engineParams: 'engineParams',
+    weightLearner: 'weightLearner'
+};
+
+/* ---------- Files ---------- */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function fileStamp() {
+    return new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+}
+
+/* ---------- Trade History ---------- */
+async function exportHistory(format) {
+    const records = await readJournal();
+    if (records.length === 0) {
+        appendFeed('No trades to export', 'warn');
+        return;
+    }
+    if (format === 'csv') {
+        downloadFile(`trade-history-${fileStamp()}.csv`, toCsv(records.map(r => flattenRecord(r))), 'text/csv');
+    } else {
+        const doc = { format: HISTORY_FORMAT, version: PROFILE_VERSION, exported_at: new Date().toISOString(), records };
+        downloadFile(`trade-history-${fileStamp()}.json`, JSON.stringify(doc, null, 2), 'application/json');
+    }
+    appendFeed(`Exported ${records.length} trade(s) as ${format.toUpperCase()}`, 'success');
+}
+
+// Accepts a history export, a bare JSON array of records, or CSV with flattened columns
+function parseHistoryFile(name, text) {
+    if (/\.csv$/i.test(name)) return parseCsv(text).map(unflattenRecord);
+    const doc = JSON.parse(text);
+    if (Array.isArray(doc)) return doc;
+    if (doc && doc.format === HISTORY_FORMAT && Array.isArray(doc.records)) return doc.records;
+    throw new Error('not a trade history export');
+}
+
+async function importHistory(file) {
+    try {
+        const records = parseHistoryFile(file.name, await file.text());
+        const { added, skipped, invalid } = await importJournalRecords(records);
+        if (added > 0) refreshAnalytics();
+        appendFeed(`Imported ${added} trade(s) from ${file.name} - ${skipped} already in the journal, ${invalid} without contract_id/opened_at`, added > 0 ? 'success' : 'warn');
+    } catch (e) {
+        appendFeed(`History import failed: ${e.message}`, 'error');
+    }
+}
+
+/* ---------- Performance ---------- */
+// Computed from the journal's settled trades, as the analytics panel is
+async function exportPerformance(format) {
+    let a;
+    try {
+        a = computeTradeAnalytics(await readJournal());
+    } catch (e) {
+        appendFeed(`Performance export failed: ${e.message}`, 'error');
+        return;
+    }
+    if (a.trades === 0) {
+        appendFeed('No settled trades to export', 'warn');
+        return;
+    }
+    const byRegime = a.breakdowns.regime;
+    if (format === 'json') {
+        const { equityCurve, breakdowns, ...summary } = a;
+        const doc = { exported_at: new Date().toISOString(), ...summary, byRegime };
+        downloadFile(`performance-${fileStamp()}.json`, JSON.stringify(doc, null, 2), 'application/json');
+    } else {
+        // One row for the whole journal, then one per regime. Figures stay numbers so a negative
+        // P/L is not written as text
+        const round = (v, places) => Math.round(v * 10 ** places) / 10 ** places;
+        const row = (regime, g) => ({
+            regime,
+            trades: g.trades,
+            wins: g.wins,
+            losses: g.trades - g.wins,
+            win_rate: round(g.wins / g.trades, 3),
+            total_profit: round(g.profit, 2)
+        });
+        const rows = [row('ALL', { trades: a.trades, wins: a.wins, profit: a.totalProfit })];
+        Object.entries(byRegime).forEach(([regime, g]) => rows.push(row(regime, g)));
+        downloadFile(`performance-${fileStamp()}.csv`, toCsv(rows, ['regime', 'trades', 'wins', 'losses', 'win_rate', 'total_profit']), 'text/csv');
+    }
+    appendFeed(`Exported performance of ${a.trades} settled trade(s) as ${format.toUpperCase()}`, 'success');
+}
+
+/* ---------- Profiles ---------- */
+function exportProfile() {
+    const profile = { format: PROFILE_FORMAT, version: PROFILE_VERSION, exported_at: new Date().toISOString() };
+    Object.entries(PROFILE_KEYS).forEach(([field, key]) => {
+        profile[field] = JSON.parse(localStorage.getItem(key) || 'null');
+    });
+    downloadFile(`bot-profile-${fileStamp()}.json`, JSON.stringify(profile, null, 2), 'application/json');
+    appendFeed('Exported settings and strategy profile', 'success');
+}
+
+// Strategies that no longer compile are dropped here rather than at every load
+function validateProfile(profile) {
+    if (!profile || profile.format !== PROFILE_FORMAT) throw new Error('not a bot profile');
+    if (!(profile.version <= PROFILE_VERSION)) throw new Error(`profile version ${profile.version} is newer than this bot supports (${PROFILE_VERSION})`);
+    if (profile.settings !== null && typeof profile.settings !== 'object') throw new Error('settings must be an object');
+    const strategies = (profile.customStrategies || []).filter(spec => {
+        try {
+            compileRuleStrategy(spec);
+            return true;
+        } catch (e) {
+            appendFeed(`Profile strategy ${spec && spec.id} skipped: ${e.message}`, 'warn');
+            return false;
+        }
+    });
+    return { ...profile, customStrategies: strategies };
+}
+
+// Settings are applied by init(), so the page reloads with the imported values
+async function importProfile(file) {
+    if (autoTrading) {
+        appendFeed('Stop auto trading before importing a profile', 'warn');
+        return;
+    }
+    try {
+        const profile = validateProfile(JSON.parse(await file.text()));
+        Object.entries(PROFILE_KEYS).forEach(([field, key]) => {
+            if (profile[field] === undefined || profile[field] === null) localStorage.removeItem(key);
+            else localStorage.setItem(key, JSON.stringify(profile[field]));
+        });
+        appendFeed(`Profile ${file.name} imported - reloading to apply`, 'success');
+        location.reload();
+    } catch (e) {
+        appendFeed(`Profile import failed: ${e.message}`, 'error');
+    }
+}
+
+// File inputs only fire `change` for a new selection; clear them so the same file can be re-imported
+function handleImportInput(input, importer) {
+    const file = input.files && input.files[0];
+    input.value = '';
+    if (file) importer(file);
+}
@@ -0,0 +1,193 @@
+// watchlist.js
+
+/* ---------- Core Bindings ---------- */
+const { measurePatternHitRates, scorePatternOutcome, DEFAULT_PATTERN_OPTIONS, calibrateRegimes, refreshRegimeModel } = BotCore;
+
+/* ---------- Per-Symbol State ---------- */
+const TICK_BUFFER_SIZE = 50;
+const DIRECTION_FREE_RISK = 0.5; // Risk score of a direction-free contract, whose odds come from its own statistics
+
+let symbolStates = new Map(); // key: symbol, value: candles, ticks, regime, decision etc.
+let patternLibrary = new Map(); // key: symbol:granularity, value: pattern hit-rate stats (core/patterns.js)
+let chartSymbol = null;
+let lastScheduledSymbol = null;
+
+function getSymbolState(symbol) {
+    if (!symbolStates.has(symbol)) {
+        symbolStates.set(symbol, {
+            symbol,
+            candles: [],
+            ticks: [],
+            digitStream: createDigitStream(getDigitWindow()), // Last digits (core/digits.js) for digit statistics and contracts
+            pipSize: 2, // Replaced by the pip_size of the symbol's ticks
+            regime: { type: 'UNKNOWN', volatility: 0, trend: 0, confidence: 0 },
+            regimeModel: null, // Per-symbol regime cutoffs and transition odds, calibrated per history load and every REGIME_RECALIBRATION_BARS bars
+            patternScoredEpoch: null, // Newest bar whose patterns have been scored, so none is scored twice
+            decision: null,
+            durationOptimization: null,
+            score: 0,
+            stream: null, // Streaming indicators over `candles`, rebuilt when history is fetched
+            timeframes: new Map(), // key: higher granularity, value: its candles (timeframes.js)
+            tickSubscription: null
+        });
+    }
+    return symbolStates.get(symbol);
+}
+
+/* ---------- Pattern Hit Rates ---------- */
+function getPatternStats(symbol, granularity = granEl.value) {
+    const key = `${symbol}:${granularity}`;
+    if (!patternLibrary.has(key)) patternLibrary.set(key, {});
+    return patternLibrary.get(key);
+}
+
+// Fetched history replaces the measured rates; live bars then add outcomes as they close
+// The last history candle is still forming, so outcomes are measured on the closed ones only
+function measurePatternLibrary(symbol, granularity, candles) {
+    const closedBars = candles.slice(0, -1);
+    patternLibrary.set(`${symbol}:${granularity}`, measurePatternHitRates(closedBars));
+    const lastScored = closedBars.length - 1 - DEFAULT_PATTERN_OPTIONS.horizon;
+    getSymbolState(symbol).patternScoredEpoch = lastScored >= 2 ? closedBars[lastScored].epoch : null;
+}
+
+// `closed` bars just closed (the previous forming bar plus any gap fills); each settles the
+// patterns `horizon` bars back, unless the history measurement already scored them
+function scoreClosedBars(state, closed) {
+    const stats = getPatternStats(state.symbol);
+    for (let i = state.candles.length - 1 - closed; i < state.candles.length - 1; i++) {
+        const index = i - DEFAULT_PATTERN_OPTIONS.horizon;
+        if (index < 2 || (state.patternScoredEpoch !== null && state.candles[index].epoch <= state.patternScoredEpoch)) continue;
+        if (scorePatternOutcome(stats, state.candles, index)) state.patternScoredEpoch = state.candles[index].epoch;
+    }
+}
+
+function getWatchedSymbols() {
+    const checked = [...watchlistEl.querySelectorAll('input[type="checkbox"]:checked')].map(el => el.value);
+    return [...new Set([symbolEl.value, ...checked])];
+}
+
+/* ---------- Subscriptions ---------- */
+function watchSymbol(symbol) {
+    getSymbolState(symbol);
+    fetchCandles(symbol, parseInt(granEl.value, 10));
+    fetchDigitHistory(symbol);
+    if (TICK_SUBSCRIPTION) subscribeToTicks(symbol);
+}
+
+function unwatchSymbol(symbol) {
+    const state = symbolStates.get(symbol);
+    if (!state) return;
+    if (state.tickSubscription) state.tickSubscription.forget();
+    paperContracts.forEach((c, id) => {
+        if (c.symbol === symbol) voidPaperContract(id, `${symbol} removed from watchlist`);
+    });
+    symbolStates.delete(symbol);
+    appendFeed(`Stopped watching ${symbol}`, 'info');
+    renderWatchTable();
+}
+
+// Point the chart-facing globals at the chosen symbol's state so nothing is discarded
+function selectChartSymbol(symbol) {
+    const state = getSymbolState(symbol);
+    chartSymbol = symbol;
+    candleData = state.candles;
+    tickBuffer = state.ticks;
+    marketRegime = state.regime;
+    renderDigitStats(state);
+    if (candleData.length > 0) updateChartAndIndicators();
+}
+
+/* ---------- Scheduler ---------- */
+// buildContract() inputs for a symbol; `duration` is the planned expiry in seconds
+function getContractContext(state, duration, digitStats = state.digitStream.stats()) {
+    return {
+        families: getAllowedFamilies(),
+        candles: state.candles,
+        digitStats,
+        pipSize: state.pipSize,
+        granularity: parseInt(granEl.value, 10),
+        duration,
+        options: getContractOptions()
+    };
+}
+
+function evaluateSymbol(state) {
+    const strategy = getActiveStrategy();
+    const digitStats = state.digitStream.stats();
+    const d = strategy.evaluate(state.candles, {
+        ticks: state.ticks,
+        recentTrades: getRecentTrades(),
+        indicators: state.stream ? state.stream.latest() : undefined,
+        weightModel: getWeightModel(),
+        timeframes: getTimeframeContext(state),
+        patternStats: getPatternStats(state.symbol),
+        regimeModel: state.regimeModel,
+        digitStats
+    });
+    state.decision = d;
+    if (d.regime) state.regime = d.regime;
+    state.durationOptimization = null;
+    state.contract = null; // Set only when a direction-free family trades without a directional signal
+    state.score = 0;
+
+    if (d.action !== 'HOLD' && d.confidence >= 0.65) {
+        state.durationOptimization = optimizeTradeDuration(
+            d,
+            state.regime,
+            d.indicators.volatility,
+            d.indicators.pattern,
+            parseInt(granEl.value, 10),
+            strategy.params && strategy.params.duration
+        );
+        // Prefer confident signals whose expiry carries less risk
+        state.score = d.confidence * (1 - state.durationOptimization.riskScore / 2);
+    } else {
+        // No directional trade, but a direction-free family (digits) may trade its own statistics
+        const contract = buildContract({ ...d, action: 'HOLD' }, getContractContext(state, null, digitStats));
+        if (contract) {
+            state.contract = contract;
+            state.durationOptimization = {
+                duration: contract.duration,
+                riskScore: DIRECTION_FREE_RISK,
+                rationale: `${describeContractDuration(contract)} on last-digit statistics, independent of the ${d.action} decision`
+            };
+            state.score = contract.confidence * (1 - DIRECTION_FREE_RISK / 2);
+        }
+    }
+    return state;
+}
+
+function rankSignals() {
+    const evaluated = getWatchedSymbols().map(s => evaluateSymbol(getSymbolState(s)));
+    return evaluated
+        .filter(s => s.score > 0)
+        .sort((a, b) => b.score - a.score || Math.abs(b.decision.compositeSignal) - Math.abs(a.decision.compositeSignal));
+}
+
+/* ---------- Summary Table ---------- */
+function renderWatchTable() {
+    const rows = getWatchedSymbols().map(symbol => {
+        const state = getSymbolState(symbol);
+        const d = state.decision;
+        const last = state.ticks.length > 0 ? state.ticks[state.ticks.length - 1].quote :
+            (state.candles.length > 0 ? state.candles[state.candles.length - 1].close : null);
+        const classes = [
+            symbol === chartSymbol ? 'charted' : '',
+            symbol === lastScheduledSymbol ? 'scheduled' : ''
+        ].join(' ').trim();
+        const actionColor = !d || d.action === 'HOLD' ? 'var(--text-muted)' :
+            (d.action.includes('BUY') ? 'var(--success-color)' : 'var(--error-color)');
+        return `
+            <tr class="${classes}">
+                <td>${symbol}</td>
+                <td>${last !== null ? last.toFixed(4) : '-'}</td>
+                <td>${state.candles.length}</td>
+                <td>${state.regime.type}</td>
+                <td style="color: ${actionColor}">${d ? d.action : '-'}</td>
+                <td>${d ? (d.confidence * 100).toFixed(0) + '%' : '-'}</td>
+                <td>${state.score > 0 ? state.score.toFixed(3) : '-'}</td>
+            </tr>
+        `;
+    });
+    watchTableBody.innerHTML = rows.join('');
+}